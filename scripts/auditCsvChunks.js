@@ -2,6 +2,7 @@
 require('dotenv').config();
 const auditController = require('../src/controllers/auditController');
 const workflowLogger = require('../src/utils/workflowLogger');
+const auditConfig = require('../src/config/audit');
 
 // CLI interface
 if (require.main === module) {
@@ -13,9 +14,9 @@ if (require.main === module) {
     process.exit(1);
   }
 
-  // Check if API key is available
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY is not set in .env file');
+  // Check if API key is available (only needed for the OpenAI provider)
+  if (auditConfig.llm.provider === 'openai' && !process.env.OPENAI_API_KEY) {
+    console.error('❌ OPENAI_API_KEY is not set in .env file (or set LLM_PROVIDER=mock / openai-compatible)');
     workflowLogger.error('OPENAI_API_KEY not configured');
     process.exit(1);
   }
@@ -16,6 +16,7 @@ const config = {
     exportsDir: process.env.EXPORTS_DIR || path.join(__dirname, '..', 'exports'),
     screamingFrogCli: process.env.SF_CLI_PATH || 'ScreamingFrogSEOSpiderCli',
   },
+  bulkExports: process.env.SF_BULK_EXPORTS !== undefined ? process.env.SF_BULK_EXPORTS : 'All Inlinks',
   retries: {
     maxAttempts: parseInt(process.env.MAX_RETRIES) || 3,
     backoffMs: parseInt(process.env.RETRY_BACKOFF_MS) || 1000,
@@ -80,6 +81,7 @@ async function executeCrawl(url, outputDir, retries = config.retries.maxAttempts
     --headless \
     --save-crawl \
     --export-tabs "Internal:All" \
+    ${config.bulkExports ? `--bulk-export "${config.bulkExports}"` : ''} \
     --output-folder "${outputDir}"`;
 
   for (let attempt = 1; attempt <= retries; attempt++) {
@@ -0,0 +1,56 @@
+// scripts/import.js - CLI to audit a crawl export from another tool (Sitebulb, Ahrefs, ...) without crawling
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const path = require('path');
+const importService = require('../src/services/importService');
+const { executeWorkflow, validateSystemPrerequisites } = require('./run-workflow');
+
+function listProfiles() {
+  importService.listProfiles().forEach(profile => {
+    console.log(`${profile.name.padEnd(14)} ${profile.label}`);
+  });
+}
+
+async function importAndAudit(csvFile, profile, projectName) {
+  const csv = await fs.readFile(path.resolve(csvFile), 'utf8');
+
+  // Fail fast on an unknown profile instead of inside a workflow session
+  importService.getProfile(profile);
+
+  const prerequisites = validateSystemPrerequisites();
+  if (!prerequisites.valid) {
+    throw new Error(`System prerequisites not met: ${prerequisites.issues.join('; ')}`);
+  }
+
+  const result = await executeWorkflow({ mode: 'import', csv, profile, projectName });
+  const { crawlResult, auditResult } = result;
+
+  console.log(`✅ Imported ${crawlResult.rowCount} rows (${crawlResult.profile}) and audited as '${result.slug}'`);
+  (crawlResult.warnings || []).forEach(warning => console.warn(`⚠️  ${warning}`));
+  console.log(`📁 Reports: ${auditResult.organizationInfo.sessionDirectory}`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args[0] === '--profiles') {
+    listProfiles();
+    process.exit(0);
+  }
+
+  const [csvFile, profile, projectName] = args;
+  if (!csvFile || !profile || !projectName) {
+    console.error('Usage: node scripts/import.js <csv-file> <profile> <projectName> | --profiles');
+    process.exit(1);
+  }
+
+  importAndAudit(csvFile, profile, projectName)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { importAndAudit, listProfiles };
@@ -0,0 +1,64 @@
+// scripts/jobs.js - CLI for the background job API of a running server
+require('dotenv').config();
+
+const baseUrl = process.env.SERVICE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+async function request(method, endpoint) {
+  const response = await fetch(`${baseUrl}${endpoint}`, { method });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.message || `Server responded with status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+async function listJobs(status) {
+  const query = status ? `?status=${encodeURIComponent(status)}` : '';
+  const data = await request('GET', `/jobs${query}`);
+
+  if (data.jobs.length === 0) {
+    console.log('No jobs found');
+    return;
+  }
+
+  data.jobs.forEach(job => {
+    console.log(`${job.id}  ${job.status.padEnd(10)} ${String(job.progress).padStart(3)}%  ${job.step.padEnd(18)} ${job.url || ''}`);
+  });
+}
+
+async function showJob(jobId) {
+  const data = await request('GET', `/jobs/${jobId}`);
+  console.log(JSON.stringify(data.job, null, 2));
+}
+
+async function cancelJob(jobId) {
+  const data = await request('DELETE', `/jobs/${jobId}`);
+  console.log(`🛑 ${data.message} (${data.jobId}, step: ${data.step})`);
+}
+
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+  const commands = {
+    list: () => listJobs(arg),
+    status: () => showJob(arg),
+    cancel: () => cancelJob(arg)
+  };
+
+  if (!commands[command] || (command !== 'list' && !arg)) {
+    console.error('Usage: node scripts/jobs.js list [status] | status <jobId> | cancel <jobId>');
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { listJobs, showJob, cancelJob };
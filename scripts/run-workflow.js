@@ -2,17 +2,33 @@
 const path = require('path');
 const dotenv = require('dotenv');
 const workflowLogger = require('../src/utils/workflowLogger');
-const { validateUrl, generateSlug } = require('../src/utils/validation');
+const { validateUrl, generateSlug, validateUrlList } = require('../src/utils/validation');
+const { getListUrls } = require('../src/utils/urlList');
+const importService = require('../src/services/importService');
 const crawlController = require('../src/controllers/crawlController');
 const auditController = require('../src/controllers/auditController');
+const { isCancelledError, throwIfCancelled } = require('../src/utils/cancellation');
+const auditConfig = require('../src/config/audit');
+const config = require('../src/config');
 
 // Load environment variables
 dotenv.config();
 
 // Main workflow execution function
-async function executeWorkflow(inputData) {
-  const sessionId = `workflow_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+// options.sessionId reuses a caller-provided ID (e.g. the job ID), options.onStep is notified on every step change
+// and options.onProgress receives fine-grained crawl/analysis progress events.
+// Aborting options.signal kills the crawl / in-flight OpenAI calls and rejects with a cancelled error
+async function executeWorkflow(inputData, options = {}) {
+  const sessionId = options.sessionId || `workflow_${Date.now()}_${Math.random().toString(36).substring(7)}`;
   let currentStep = 'initialization';
+
+  const setStep = (step) => {
+    throwIfCancelled(options.signal, `Workflow cancelled before step '${step}'`);
+    currentStep = step;
+    if (typeof options.onStep === 'function') {
+      options.onStep(step);
+    }
+  };
   
   try {
     // Create workflow session
@@ -28,16 +44,40 @@ async function executeWorkflow(inputData) {
     });
 
     // Step 1: Extract and validate URL
-    currentStep = 'url_validation';
+    setStep('url_validation');
     workflowLogger.logSession(sessionId, 'INFO', 'Starting URL validation', {
       step: currentStep
     });
 
-    const url = inputData.url || 
+    // Import mode audits a third-party crawl export, list mode (urls / urlList) exactly the given URLs;
+    // both run under a caller-supplied project name
+    const isImport = inputData.mode === 'import';
+    const listUrls = isImport ? null : getListUrls(inputData);
+    const url = isImport ? null : listUrls ? listUrls[0] :
+               (inputData.url || 
                (inputData.body && inputData.body.url) || 
-               (inputData.query && inputData.query.url);
+               (inputData.query && inputData.query.url));
 
-    if (!url || !validateUrl(url)) {
+    if (isImport) {
+      if (typeof inputData.projectName !== 'string' || !generateSlug(inputData.projectName)) {
+        const error = new Error('projectName is required for imported audits and must contain letters or digits');
+        workflowLogger.logErrorWithContext(error, { sessionId, step: currentStep, projectName: inputData.projectName });
+        throw error;
+      }
+    } else if (listUrls) {
+      const listErrors = validateUrlList(listUrls, inputData.projectName, config.crawler.listMode.maxUrls);
+      if (listErrors.length > 0) {
+        const error = new Error(`Invalid URL list provided: ${listErrors.join('; ')}`);
+        error.validationErrors = listErrors;
+        workflowLogger.logErrorWithContext(error, {
+          sessionId,
+          step: currentStep,
+          urlCount: listUrls.length,
+          projectName: inputData.projectName
+        });
+        throw error;
+      }
+    } else if (!url || !validateUrl(url)) {
       const error = new Error('Invalid URL provided');
       workflowLogger.logErrorWithContext(error, {
         sessionId,
@@ -49,71 +89,91 @@ async function executeWorkflow(inputData) {
     }
 
     // Generate slug and job metadata
-    const slug = generateSlug(url);
+    const slug = typeof inputData.projectName === 'string' && generateSlug(inputData.projectName)
+      ? generateSlug(inputData.projectName)
+      : generateSlug(url);
+    const mode = isImport ? 'import' : listUrls ? 'list' : 'spider';
     const jobId = sessionId; // Use session ID as job ID for consistency
 
     workflowLogger.logSession(sessionId, 'INFO', 'URL validation completed', {
       step: currentStep,
       url: url,
+      mode,
+      urlCount: listUrls ? listUrls.length : 1,
       slug: slug,
       jobId: jobId
     });
 
-    // Step 2: Website Crawling
-    currentStep = 'website_crawling';
-    workflowLogger.logSession(sessionId, 'INFO', 'Starting website crawl', {
-      step: currentStep,
-      url: url,
-      slug: slug
-    });
-
     const crawlStartTime = Date.now();
     let crawlResult;
-    
-    try {
-      crawlResult = await crawlController.crawlWebsite(url, slug);
-      
-      const crawlDuration = Date.now() - crawlStartTime;
-      workflowLogger.logSession(sessionId, 'INFO', 'Website crawl completed', {
+
+    if (isImport) {
+      // Step 2 (import mode): audit the normalised third-party export instead of crawling
+      setStep('data_import');
+      crawlResult = await loadImportedCrawl(inputData, slug, sessionId, currentStep);
+    } else {
+      // Step 2: Website Crawling
+      setStep('website_crawling');
+      workflowLogger.logSession(sessionId, 'INFO', 'Starting website crawl', {
         step: currentStep,
-        duration: crawlDuration,
-        success: crawlResult.success,
-        outputDir: crawlResult.outputDir
+        url: url,
+        slug: slug
       });
+    
+      try {
+        const crawlOptions = {
+          onProgress: options.onProgress,
+          signal: options.signal,
+          sitemapUrl: inputData.sitemapUrl,
+          scope: inputData.scope
+        };
+        crawlResult = listUrls
+          ? await crawlController.crawlUrlList(listUrls, slug, crawlOptions)
+          : await crawlController.crawlWebsite(url, slug, crawlOptions);
       
-    } catch (crawlError) {
-      const crawlDuration = Date.now() - crawlStartTime;
+        const crawlDuration = Date.now() - crawlStartTime;
+        workflowLogger.logSession(sessionId, 'INFO', 'Website crawl completed', {
+          step: currentStep,
+          duration: crawlDuration,
+          success: crawlResult.success,
+          outputDir: crawlResult.outputDir
+        });
       
-      workflowLogger.logErrorWithContext(crawlError, {
-        sessionId,
-        step: currentStep,
-        url: url,
-        slug: slug,
-        duration: crawlDuration,
-        errorType: 'crawl_failure',
-        troubleshooting: {
-          possibleCauses: [
-            'Large website causing timeout',
-            'Screaming Frog CLI not found or misconfigured',
-            'Insufficient system resources (memory/disk)',
-            'Network connectivity issues',
-            'Target website blocking crawlers'
-          ],
-          nextSteps: [
-            'Check Screaming Frog CLI installation',
-            'Verify URL accessibility',
-            'Check system resources',
-            'Review crawl configuration',
-            'Consider reducing crawl scope'
-          ]
-        }
-      });
+      } catch (crawlError) {
+        const crawlDuration = Date.now() - crawlStartTime;
+        if (isCancelledError(crawlError)) throw crawlError;
       
-      throw crawlError;
+        workflowLogger.logErrorWithContext(crawlError, {
+          sessionId,
+          step: currentStep,
+          url: url,
+          slug: slug,
+          duration: crawlDuration,
+          errorType: 'crawl_failure',
+          troubleshooting: {
+            possibleCauses: [
+              'Large website causing timeout',
+              'Screaming Frog CLI not found or misconfigured',
+              'Insufficient system resources (memory/disk)',
+              'Network connectivity issues',
+              'Target website blocking crawlers'
+            ],
+            nextSteps: [
+              'Check Screaming Frog CLI installation',
+              'Verify URL accessibility',
+              'Check system resources',
+              'Review crawl configuration',
+              'Consider reducing crawl scope'
+            ]
+          }
+        });
+      
+        throw crawlError;
+      }
     }
 
     // Step 3: SEO Analysis
-    currentStep = 'seo_analysis';
+    setStep('seo_analysis');
     workflowLogger.logSession(sessionId, 'INFO', 'Starting SEO analysis', {
       step: currentStep,
       slug: slug
@@ -123,7 +183,21 @@ async function executeWorkflow(inputData) {
     let auditResult;
     
     try {
-      auditResult = await auditController.analyzeWebsite(slug);
+      auditResult = await auditController.analyzeWebsite(slug, {
+        onProgress: options.onProgress,
+        signal: options.signal,
+        budgetLimits: inputData.budget,
+        pageFilter: inputData.pageFilter,
+        bypassCache: inputData.noCache === true,
+        // Recorded in the session manifest
+        input: {
+          mode,
+          url,
+          urlCount: listUrls ? listUrls.length : null,
+          projectName: inputData.projectName || null,
+          jobId
+        }
+      });
       
       const auditDuration = Date.now() - auditStartTime;
       workflowLogger.logSession(sessionId, 'INFO', 'SEO analysis completed', {
@@ -136,6 +210,7 @@ async function executeWorkflow(inputData) {
       
     } catch (auditError) {
       const auditDuration = Date.now() - auditStartTime;
+      if (isCancelledError(auditError)) throw auditError;
       
       workflowLogger.logErrorWithContext(auditError, {
         sessionId,
@@ -165,7 +240,7 @@ async function executeWorkflow(inputData) {
     }
 
     // Step 4: Prepare final result
-    currentStep = 'result_preparation';
+    setStep('result_preparation');
     workflowLogger.logSession(sessionId, 'INFO', 'Preparing final result', {
       step: currentStep
     });
@@ -176,10 +251,16 @@ async function executeWorkflow(inputData) {
       sessionId,
       url,
       slug,
+      mode,
+      urls: listUrls || undefined,
+      projectName: inputData.projectName,
       status: 'success',
       timestamp: new Date().toISOString(),
       crawlResult,
       auditResult,
+      usage: auditResult.usage,
+      budget: auditResult.budget,
+      cache: auditResult.cache,
       performance: {
         totalDuration,
         crawlDuration: crawlResult.duration,
@@ -201,6 +282,25 @@ async function executeWorkflow(inputData) {
     return result;
 
   } catch (error) {
+    // A staged upload the job did not get to apply would otherwise stay under jobs/imports
+    if (inputData.importId) {
+      await importService.discardStagedImport(inputData.importId);
+    }
+
+    if (isCancelledError(error)) {
+      workflowLogger.logSession(sessionId, 'WARN', 'Workflow cancelled', {
+        step: currentStep,
+        finalStatus: 'cancelled'
+      });
+
+      const cancelledError = new Error(`Workflow cancelled at step '${currentStep}'`);
+      cancelledError.cancelled = true;
+      cancelledError.originalError = error;
+      cancelledError.sessionId = sessionId;
+      cancelledError.step = currentStep;
+      throw cancelledError;
+    }
+
     // Enhanced error handling with full context
     const errorContext = {
       sessionId,
@@ -218,6 +318,8 @@ async function executeWorkflow(inputData) {
         uptime: process.uptime()
       },
       configuration: {
+        llmProvider: auditConfig.llm.provider,
+        crawlerEngine: config.crawler.engine,
         hasOpenAIKey: !!process.env.OPENAI_API_KEY,
         hasSFPath: !!process.env.SF_CLI_PATH,
         nodeEnv: process.env.NODE_ENV || 'development'
@@ -241,6 +343,47 @@ async function executeWorkflow(inputData) {
   }
 }
 
+// Import mode: inputData.csv (CLI) is normalised here; the server maps and stages the upload before
+// queueing the job (so mapping errors reach the caller as a 400) and the job moves it into exports/ now
+async function loadImportedCrawl(inputData, slug, sessionId, step) {
+  const startTime = Date.now();
+  let importMetadata;
+
+  if (typeof inputData.csv === 'string') {
+    importMetadata = await importService.importCsv(inputData.csv, inputData.profile, slug);
+  } else if (inputData.importId) {
+    importMetadata = await importService.applyStagedImport(inputData.importId, slug);
+  } else {
+    importMetadata = await importService.readImportMetadata(slug);
+  }
+
+  if (!importMetadata) {
+    const error = new Error(`No imported crawl data found for project '${inputData.projectName}' (upload a CSV first)`);
+    workflowLogger.logErrorWithContext(error, { sessionId, step, slug, errorType: 'import_missing' });
+    throw error;
+  }
+
+  workflowLogger.logSession(sessionId, 'INFO', 'Imported crawl data loaded', {
+    step,
+    slug,
+    profile: importMetadata.profile,
+    rowCount: importMetadata.rowCount,
+    warnings: importMetadata.warnings
+  });
+
+  return {
+    success: true,
+    mode: 'import',
+    outputDir: path.join(config.paths.exportsDir, slug),
+    duration: Date.now() - startTime,
+    slug,
+    profile: importMetadata.profile,
+    rowCount: importMetadata.rowCount,
+    importedAt: importMetadata.importedAt,
+    warnings: importMetadata.warnings
+  };
+}
+
 // Helper function to get workflow status
 async function getWorkflowStatus(sessionId) {
   try {
@@ -270,13 +413,14 @@ function validateSystemPrerequisites() {
   const issues = [];
   const warnings = [];
   
-  // Check required environment variables
-  if (!process.env.OPENAI_API_KEY) {
-    issues.push('OPENAI_API_KEY environment variable not set');
+  // Check required environment variables (only the OpenAI provider needs an API key)
+  if (auditConfig.llm.provider === 'openai' && !process.env.OPENAI_API_KEY) {
+    issues.push('OPENAI_API_KEY environment variable not set (or choose another LLM_PROVIDER)');
   }
   
-  if (!process.env.SF_CLI_PATH) {
-    warnings.push('SF_CLI_PATH not explicitly set, using default');
+  // The native crawler engine needs neither Java nor a Screaming Frog install
+  if (config.crawler.engine !== 'native' && !process.env.SF_CLI_PATH) {
+    warnings.push('SF_CLI_PATH not explicitly set, using default (or set CRAWLER_ENGINE=native)');
   }
   
   // Check Node.js version
@@ -301,6 +445,8 @@ function validateSystemPrerequisites() {
       nodeVersion,
       platform: process.platform,
       memoryUsage,
+      llmProvider: auditConfig.llm.provider,
+      crawlerEngine: config.crawler.engine,
       hasOpenAIKey: !!process.env.OPENAI_API_KEY,
       hasSFPath: !!process.env.SF_CLI_PATH
     }
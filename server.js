@@ -6,6 +6,16 @@ const path = require('path');
 const { executeWorkflow } = require('./scripts/run-workflow');
 const workflowLogger = require('./src/utils/workflowLogger');
 const auditController = require('./src/controllers/auditController');
+const jobService = require('./src/services/jobService');
+const config = require('./src/config');
+const { validateUrl, validateBudget, validateCrawlScope, validatePageFilter, validateUrlList, generateSlug } = require('./src/utils/validation');
+const { getListUrls } = require('./src/utils/urlList');
+const importService = require('./src/services/importService');
+const graphService = require('./src/services/graphService');
+const compareService = require('./src/services/compareService');
+const reportService = require('./src/services/reportService');
+const metricsHistoryService = require('./src/services/metricsHistoryService');
+const pdfReportService = require('./src/services/pdfReportService');
 
 dotenv.config();
 
@@ -13,41 +23,133 @@ const app = express();
 const port = process.env.PORT || 3000;
 
 // Middleware
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '1mb' })); // list-mode audits post up to LIST_MODE_MAX_URLS URLs
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static("public")); // For serving static files
 
-// Main webhook endpoint (existing functionality)
-app.post('/crawl-site', async (req, res) => {
+// Main webhook endpoint - queues the crawl + analysis workflow and returns immediately
+// Besides JSON, a plain text/CSV URL list can be uploaded as the body (?projectName=... names the audit)
+app.post('/crawl-site', bodyParser.text({ type: ['text/plain', 'text/csv'], limit: '1mb' }), async (req, res) => {
   try {
     workflowLogger.info('Webhook received', { 
       body: req.body,
       headers: req.headers 
     });
 
-    const result = await executeWorkflow(req.body);
+    const body = typeof req.body === 'string'
+      ? { urlList: req.body, projectName: req.query.projectName }
+      : req.body;
 
-    // Enhanced response with comprehensive results and organized structure info
-    const response = {
-      ...result,
-      // Add metadata about the response and organized structure
+    // List mode: urls: [...] or an uploaded list instead of a single url
+    const listUrls = getListUrls(body);
+    if (listUrls) {
+      const listErrors = validateUrlList(listUrls, body.projectName, config.crawler.listMode.maxUrls);
+      if (listErrors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid URL list provided',
+          errors: listErrors,
+          timestamp: new Date().toISOString(),
+          meta: {
+            version: '2.0.0',
+            hasResults: false
+          }
+        });
+      }
+    }
+
+    const url = listUrls ? null : (body.url || (body.body && body.body.url) || req.query.url);
+
+    // Reject obviously bad input now instead of failing later inside the job
+    if (!listUrls && (!url || !validateUrl(url))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid URL provided',
+        timestamp: new Date().toISOString(),
+        meta: {
+          version: '2.0.0',
+          hasResults: false
+        }
+      });
+    }
+
+    if (body.sitemapUrl !== undefined && !validateUrl(body.sitemapUrl)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid sitemapUrl provided',
+        timestamp: new Date().toISOString(),
+        meta: {
+          version: '2.0.0',
+          hasResults: false
+        }
+      });
+    }
+
+    // Crawl scope applies to spider crawls; in list mode the list itself is the scope
+    const scopeErrors = listUrls && body.scope !== undefined
+      ? ['scope is not supported for list-mode audits']
+      : validateCrawlScope(body.scope, config.crawler.scope.maxUrlsLimit);
+    if (scopeErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid crawl scope provided',
+        errors: scopeErrors,
+        timestamp: new Date().toISOString(),
+        meta: {
+          version: '2.0.0',
+          hasResults: false
+        }
+      });
+    }
+
+    const pageFilterErrors = validatePageFilter(body.pageFilter);
+    if (pageFilterErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid pageFilter provided',
+        errors: pageFilterErrors,
+        timestamp: new Date().toISOString(),
+        meta: {
+          version: '2.0.0',
+          hasResults: false
+        }
+      });
+    }
+
+    const budgetErrors = validateBudget(body.budget);
+    if (budgetErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid budget provided',
+        errors: budgetErrors,
+        timestamp: new Date().toISOString(),
+        meta: {
+          version: '2.0.0',
+          hasResults: false
+        }
+      });
+    }
+
+    // Uploaded lists are stored parsed, so the job input is the same for every list format
+    const job = await jobService.createJob(listUrls
+      ? { ...body, urlList: undefined, urls: listUrls }
+      : { ...body, url });
+
+    res.status(202).json({
+      status: 'queued',
+      jobId: job.id,
+      url: url || undefined,
+      projectName: listUrls ? body.projectName : undefined,
+      urlCount: listUrls ? listUrls.length : undefined,
+      queuePosition: jobService.getQueuePosition(job.id),
+      statusUrl: `/jobs/${job.id}`,
+      timestamp: job.createdAt,
       meta: {
-        processedAt: new Date().toISOString(),
         version: '2.0.0',
-        hasResults: !!(result.auditResult && result.auditResult.results),
-        dataStructure: {
-          crawlResult: 'Basic crawl information',
-          auditResult: 'Complete SEO analysis with structured data',
-          results: 'Parsed and structured results for frontend consumption'
-        },
-        organizationInfo: {
-          reportsStructure: 'reports/slug/timestamp/',
-          description: 'Reports are now organized in hierarchical folders by website and analysis date'
-        }
+        hasResults: false,
+        description: 'Crawl and analysis run in the background. Poll statusUrl for step, progress and final result.'
       }
-    };
-
-    res.json(response);
+    });
   } catch (error) {
     workflowLogger.error('Webhook processing error', { 
       error: error.message,
@@ -66,6 +168,334 @@ app.post('/crawl-site', async (req, res) => {
   }
 });
 
+// Import a crawl export from another tool and queue the audit without crawling
+// Post the CSV as a text/csv body (?profile=...&projectName=...) or as JSON { csv, profile, projectName }
+const IMPORT_ERROR_CODES = ['UNKNOWN_PROFILE', 'INVALID_CSV', 'MISSING_URL_COLUMN', 'EMPTY_IMPORT'];
+
+app.post('/import-csv', bodyParser.text({ type: ['text/plain', 'text/csv'], limit: config.imports.maxUploadBytes }), async (req, res) => {
+  try {
+    const body = typeof req.body === 'string'
+      ? { csv: req.body, profile: req.query.profile, projectName: req.query.projectName }
+      : req.body;
+
+    workflowLogger.info('Crawl import received', {
+      profile: body.profile,
+      projectName: body.projectName,
+      size: typeof body.csv === 'string' ? body.csv.length : 0
+    });
+
+    const inputErrors = [];
+    if (typeof body.projectName !== 'string' || !generateSlug(body.projectName)) {
+      inputErrors.push('projectName is required and must contain letters or digits');
+    }
+    if (typeof body.csv !== 'string' || body.csv.trim() === '') {
+      inputErrors.push('csv is required (send it as a text/csv body or a csv string field)');
+    }
+    if (!body.profile) {
+      inputErrors.push(`profile is required (one of: ${importService.listProfiles().map(profile => profile.name).join(', ')})`);
+    }
+    inputErrors.push(...validatePageFilter(body.pageFilter));
+    inputErrors.push(...validateBudget(body.budget));
+
+    if (inputErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid import request',
+        errors: inputErrors,
+        timestamp: new Date().toISOString(),
+        meta: {
+          version: '2.0.0',
+          hasResults: false
+        }
+      });
+    }
+
+    // Map the upload now so profile/column problems are reported here rather than by a failed job;
+    // the job copies the staged CSV into exports/ when it starts
+    let importSummary;
+    try {
+      importSummary = await importService.stageImport(body.csv, body.profile);
+    } catch (error) {
+      if (!IMPORT_ERROR_CODES.includes(error.code)) throw error;
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString(),
+        meta: {
+          version: '2.0.0',
+          hasResults: false
+        }
+      });
+    }
+
+    const job = await jobService.createJob({
+      mode: 'import',
+      projectName: body.projectName,
+      profile: importSummary.profile,
+      importId: importSummary.importId,
+      budget: body.budget,
+      pageFilter: body.pageFilter,
+      noCache: body.noCache
+    });
+
+    res.status(202).json({
+      status: 'queued',
+      jobId: job.id,
+      projectName: body.projectName,
+      import: {
+        profile: importSummary.profile,
+        rowCount: importSummary.rowCount,
+        skippedRows: importSummary.skippedRows,
+        mappedColumns: importSummary.mappedColumns,
+        unmappedColumns: importSummary.unmappedColumns,
+        warnings: importSummary.warnings
+      },
+      queuePosition: jobService.getQueuePosition(job.id),
+      statusUrl: `/jobs/${job.id}`,
+      timestamp: job.createdAt,
+      meta: {
+        version: '2.0.0',
+        hasResults: false,
+        description: 'The export was imported; analysis runs in the background. Poll statusUrl for the result.'
+      }
+    });
+  } catch (error) {
+    workflowLogger.error('Crawl import error', { error: error.message });
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      timestamp: new Date().toISOString(),
+      meta: {
+        version: '2.0.0',
+        hasResults: false
+      }
+    });
+  }
+});
+
+// Mapping profiles accepted by /import-csv
+app.get('/import-profiles', (req, res) => {
+  res.json({
+    status: 'success',
+    profiles: importService.listProfiles(),
+    meta: {
+      version: '2.0.0'
+    }
+  });
+});
+
+// List recent jobs (optionally filtered by ?status=queued|running|completed|failed)
+app.get('/jobs', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const jobs = jobService.listJobs({ status: req.query.status, limit });
+
+    res.json({
+      status: 'success',
+      jobCount: jobs.length,
+      jobs,
+      meta: {
+        version: '2.0.0',
+        endpoint: 'jobs'
+      }
+    });
+  } catch (error) {
+    workflowLogger.error('Failed to list jobs', { error: error.message });
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Job status, current step, progress and - once completed - the full workflow result
+app.get('/jobs/:id', (req, res) => {
+  try {
+    const job = jobService.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'not_found',
+        message: 'Job not found',
+        jobId: req.params.id
+      });
+    }
+
+    const result = job.result;
+
+    res.json({
+      status: 'success',
+      job: {
+        id: job.id,
+        status: job.status,
+        step: job.step,
+        progress: job.progress,
+        input: job.input,
+        queuePosition: jobService.getQueuePosition(job.id),
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error
+      },
+      // Same shape the synchronous endpoint used to return
+      result: result ? {
+        ...result,
+        meta: {
+          processedAt: job.finishedAt,
+          version: '2.0.0',
+          hasResults: !!(result.auditResult && result.auditResult.results),
+          dataStructure: {
+            crawlResult: 'Basic crawl information',
+            auditResult: 'Complete SEO analysis with structured data',
+            results: 'Parsed and structured results for frontend consumption'
+          },
+          organizationInfo: {
+            reportsStructure: 'reports/slug/timestamp/',
+            description: 'Reports are now organized in hierarchical folders by website and analysis date'
+          }
+        }
+      } : null,
+      meta: {
+        version: '2.0.0',
+        endpoint: 'jobs'
+      }
+    });
+  } catch (error) {
+    workflowLogger.error('Failed to retrieve job', {
+      jobId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      jobId: req.params.id
+    });
+  }
+});
+
+// Live job progress as Server-Sent Events: step changes, crawl attempts, chunk/batch progress and the final result
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobService.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      status: 'not_found',
+      message: 'Job not found',
+      jobId: req.params.id
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Current state first, so clients that connect (or reconnect) late are in sync
+  sendEvent({
+    type: 'snapshot',
+    jobId: job.id,
+    status: job.status,
+    step: job.step,
+    progress: job.progress,
+    queuePosition: jobService.getQueuePosition(job.id),
+    timestamp: new Date().toISOString()
+  });
+
+  if (jobService.isFinished(job)) {
+    if (job.status === 'completed') {
+      sendEvent({ type: 'result', jobId: job.id, status: job.status, progress: 100, result: job.result });
+    } else if (job.status === 'cancelled') {
+      sendEvent({ type: 'cancelled', jobId: job.id, status: job.status, error: job.error });
+    } else {
+      sendEvent({ type: 'failed', jobId: job.id, status: job.status, error: job.error });
+    }
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const unsubscribe = jobService.subscribe(job.id, (event) => {
+    sendEvent(event);
+    if (['result', 'failed', 'cancelled'].includes(event.type)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+// Cancel a queued or running job: kills the crawler process tree and aborts in-flight OpenAI calls.
+// Partial reports stay in reports/slug/timestamp/ and are flagged as incomplete.
+app.delete('/jobs/:id', async (req, res) => {
+  try {
+    const existing = jobService.getJob(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        status: 'not_found',
+        message: 'Job not found',
+        jobId: req.params.id
+      });
+    }
+
+    if (jobService.isFinished(existing)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Job already ${existing.status}`,
+        jobId: existing.id,
+        jobStatus: existing.status
+      });
+    }
+
+    workflowLogger.info('Job cancellation requested', { jobId: existing.id });
+    const job = await jobService.cancelJob(existing.id);
+    // A cancelled queued import never runs, so its staged upload is removed here; running jobs clean up as they settle
+    if (job.status === 'cancelled' && job.input.importId) {
+      await importService.discardStagedImport(job.input.importId);
+    }
+
+    res.status(202).json({
+      status: 'success',
+      jobId: job.id,
+      jobStatus: job.status,
+      step: job.step,
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation in progress',
+      meta: {
+        version: '2.0.0',
+        endpoint: 'jobs'
+      }
+    });
+  } catch (error) {
+    workflowLogger.error('Failed to cancel job', {
+      jobId: req.params.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      jobId: req.params.id
+    });
+  }
+});
+
 // NEW: Get all analysis sessions for a website
 app.get('/analysis-sessions/:slug', async (req, res) => {
   try {
@@ -145,7 +575,231 @@ app.get('/analysis-session/:slug/:timestamp', async (req, res) => {
   }
 });
 
+// Internal link graph of a session: summary plus pages, or one page with its linking/linked URLs (?url=)
+const LINK_GRAPH_FILTERS = {
+  orphans: page => page.orphan,
+  'single-inlink': page => page.singleInlink,
+  hubs: page => page.hub,
+  unreachable: page => page.depth === null
+};
+const LINK_GRAPH_SORTS = {
+  rank: (a, b) => (a.rank || 0) - (b.rank || 0),
+  depth: (a, b) => (a.depth === null ? Infinity : a.depth) - (b.depth === null ? Infinity : b.depth),
+  inlinks: (a, b) => b.inlinks - a.inlinks,
+  outlinks: (a, b) => b.outlinks - a.outlinks
+};
+
+app.get('/link-graph/:slug/:timestamp', async (req, res) => {
+  try {
+    const { slug, timestamp } = req.params;
+    const { url, filter, sort = 'rank' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    if (filter && !LINK_GRAPH_FILTERS[filter]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid filter. Available filters: ${Object.keys(LINK_GRAPH_FILTERS).join(', ')}`
+      });
+    }
+    if (!LINK_GRAPH_SORTS[sort]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid sort. Available sorts: ${Object.keys(LINK_GRAPH_SORTS).join(', ')}`
+      });
+    }
+
+    const session = await auditController.getAnalysisSession(slug, timestamp);
+    const graph = session.available && session.reports.files.linkGraph
+      ? await graphService.load(session.reports.sessionDirectory)
+      : null;
+
+    if (!graph) {
+      return res.status(404).json({
+        status: 'not_found',
+        message: 'Link graph not found for this session',
+        slug,
+        timestamp
+      });
+    }
+
+    const meta = { version: '2.0.0', endpoint: 'link-graph' };
+
+    if (url) {
+      const page = graphService.describePage(graph, url);
+      if (!page) {
+        return res.status(404).json({
+          status: 'not_found',
+          message: 'URL is not part of this crawl',
+          url
+        });
+      }
+      return res.json({ status: 'success', slug, timestamp, page, meta });
+    }
+
+    const pages = graph.pages
+      .filter(filter ? LINK_GRAPH_FILTERS[filter] : () => true)
+      .sort(LINK_GRAPH_SORTS[sort]);
+
+    res.json({
+      status: 'success',
+      slug,
+      timestamp,
+      startUrls: graph.startUrls,
+      summary: graph.summary,
+      total: pages.length,
+      pages: pages.slice(0, limit),
+      meta
+    });
+
+  } catch (error) {
+    workflowLogger.error('Failed to retrieve link graph', {
+      slug: req.params.slug,
+      timestamp: req.params.timestamp,
+      error: error.message
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Headline metrics of every audit run of a site (?limit=N for the latest N runs)
+app.get('/trends/:slug', async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const limit = parseInt(req.query.limit) || null;
+
+    workflowLogger.info('Retrieving metrics history', { slug, limit });
+
+    const trends = await metricsHistoryService.getTrends(slug, limit);
+    if (trends.runs === 0) {
+      return res.status(404).json({
+        status: 'not_found',
+        message: 'No metrics history recorded for this website',
+        slug
+      });
+    }
+
+    res.json({
+      status: 'success',
+      slug,
+      trends,
+      meta: {
+        version: '2.0.0',
+        endpoint: 'trends'
+      }
+    });
+
+  } catch (error) {
+    workflowLogger.error('Failed to retrieve metrics history', {
+      slug: req.params.slug,
+      error: error.message
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      slug: req.params.slug
+    });
+  }
+});
+
+// What changed between two sessions of a site: JSON, or the comparison.md report with ?format=markdown
+app.get('/compare/:slug/:fromTimestamp/:toTimestamp', async (req, res) => {
+  try {
+    const { slug, fromTimestamp, toTimestamp } = req.params;
+
+    workflowLogger.info('Comparing analysis sessions', { slug, fromTimestamp, toTimestamp });
+
+    let comparison;
+    try {
+      comparison = await compareService.compareSessions(slug, fromTimestamp, toTimestamp);
+    } catch (error) {
+      if (error.code === 'SESSION_NOT_FOUND' || error.code === 'SNAPSHOT_MISSING') {
+        return res.status(error.code === 'SESSION_NOT_FOUND' ? 404 : 422).json({
+          status: error.code === 'SESSION_NOT_FOUND' ? 'not_found' : 'error',
+          message: error.message,
+          code: error.code
+        });
+      }
+      throw error;
+    }
+
+    if (req.query.format === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      return res.send(reportService.formatComparisonReport(slug, comparison));
+    }
+
+    res.json({
+      status: 'success',
+      comparison,
+      meta: {
+        version: '2.0.0',
+        endpoint: 'compare'
+      }
+    });
+
+  } catch (error) {
+    workflowLogger.error('Failed to compare analysis sessions', {
+      slug: req.params.slug,
+      fromTimestamp: req.params.fromTimestamp,
+      toTimestamp: req.params.toTimestamp,
+      error: error.message
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 // NEW: Download report files from organized structure
+// PDF of the executive summary and action plan; ?brandName=&preparedFor=&preparedBy=&contact=&color= override config.pdf
+const PDF_BRANDING_PARAMS = ['brandName', 'preparedFor', 'preparedBy', 'contact'];
+
+async function sendPdfReport(req, res, session) {
+  const { slug, timestamp } = req.params;
+
+  if (!session.reports.files.executive) {
+    return res.status(404).json({
+      status: 'not_found',
+      message: "Report type 'pdf' needs the session's executive summary, which was not found"
+    });
+  }
+
+  const branding = {};
+  for (const param of PDF_BRANDING_PARAMS) {
+    if (typeof req.query[param] === 'string' && req.query[param].trim()) {
+      branding[param] = req.query[param].trim().substring(0, 200);
+    }
+  }
+  if (req.query.color !== undefined) {
+    if (!/^#?[0-9a-f]{6}$/i.test(req.query.color)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid color. Use a hex color such as 2c3e50 or #2c3e50'
+      });
+    }
+    branding.primaryColor = req.query.color.startsWith('#') ? req.query.color : `#${req.query.color}`;
+  }
+
+  const pdf = await pdfReportService.generatePdfReport(slug, timestamp, {
+    executive: session.reports.files.executive,
+    actionPlan: session.reports.files.actionPlan
+  }, branding);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${slug}_seo_report_${timestamp}.pdf"`);
+  res.send(pdf);
+
+  workflowLogger.info('File downloaded successfully', {
+    slug, timestamp, reportType: 'pdf', bytes: pdf.length
+  });
+}
+
 app.get('/download-report/:slug/:timestamp/:reportType', async (req, res) => {
   try {
     const { slug, timestamp, reportType } = req.params;
@@ -161,6 +815,11 @@ app.get('/download-report/:slug/:timestamp/:reportType', async (req, res) => {
       });
     }
     
+    // Rendered on request from the session's Markdown, so branding can be set per download
+    if (reportType === 'pdf') {
+      return await sendPdfReport(req, res, session);
+    }
+
     let filePath;
     let filename;
     let contentType = 'text/plain';
@@ -189,11 +848,77 @@ app.get('/download-report/:slug/:timestamp/:reportType', async (req, res) => {
         filename = `${slug}_action_plan_${timestamp}.md`;
         contentType = 'text/markdown';
         break;
+
+      case 'robots':
+        filePath = session.reports.files.robots;
+        filename = `${slug}_robots_report_${timestamp}.md`;
+        contentType = 'text/markdown';
+        break;
+
+      case 'sitemap':
+        filePath = session.reports.files.sitemap;
+        filename = `${slug}_sitemap_coverage_${timestamp}.md`;
+        contentType = 'text/markdown';
+        break;
+
+      case 'excluded':
+        filePath = session.reports.files.excluded;
+        filename = `${slug}_excluded_urls_${timestamp}.md`;
+        contentType = 'text/markdown';
+        break;
+
+      case 'broken':
+        filePath = session.reports.files.broken;
+        filename = `${slug}_broken_urls_${timestamp}.md`;
+        contentType = 'text/markdown';
+        break;
+
+      case 'link-health':
+        filePath = session.reports.files.linkHealth;
+        filename = `${slug}_link_health_${timestamp}.md`;
+        contentType = 'text/markdown';
+        break;
+
+      case 'link-health-csv':
+        filePath = session.reports.files.linkHealthCsv;
+        filename = `${slug}_link_health_${timestamp}.csv`;
+        contentType = 'text/csv';
+        break;
+
+      case 'duplicates':
+        filePath = session.reports.files.duplicates;
+        filename = `${slug}_duplicates_${timestamp}.md`;
+        contentType = 'text/markdown';
+        break;
+
+      case 'comparison':
+        filePath = session.reports.files.comparison;
+        filename = `${slug}_comparison_${timestamp}.md`;
+        contentType = 'text/markdown';
+        break;
+
+      case 'html':
+        filePath = session.reports.files.html;
+        filename = `${slug}_report_${timestamp}.html`;
+        contentType = 'text/html';
+        break;
+
+      case 'results':
+        filePath = session.reports.files.results;
+        filename = `${slug}_results_${timestamp}.json`;
+        contentType = 'application/json';
+        break;
+
+      case 'manifest':
+        filePath = session.reports.files.manifest;
+        filename = `${slug}_manifest_${timestamp}.json`;
+        contentType = 'application/json';
+        break;
         
       default:
         return res.status(400).json({
           status: 'error',
-          message: 'Invalid report type. Available types: comprehensive, executive, per-page-summary, action-plan'
+          message: 'Invalid report type. Available types: comprehensive, executive, per-page-summary, action-plan, robots, sitemap, excluded, broken, link-health, link-health-csv, duplicates, comparison, html, pdf, results, manifest'
         });
     }
     
@@ -320,14 +1045,24 @@ app.get('/', (req, res) => {
     status: 'SEO Crawler Service is running',
     version: '2.0.0',
     endpoints: [
-      '/crawl-site (POST) - Main analysis endpoint',
+      '/crawl-site (POST) - Queue a crawl + analysis job (url + optional scope, or urls/text list + projectName for list mode)',
+      '/import-csv (POST) - Import a crawl CSV from another tool (profile + projectName) and queue its audit',
+      '/import-profiles (GET) - List CSV import mapping profiles',
+      '/jobs (GET) - List recent jobs',
+      '/jobs/:id (GET) - Job status, progress and result',
+      '/jobs/:id/events (GET) - Live job progress (Server-Sent Events)',
+      '/jobs/:id (DELETE) - Cancel a queued or running job',
       '/analysis-sessions/:slug (GET) - List all sessions for a website', 
       '/analysis-session/:slug/:timestamp (GET) - Get specific session details',
-      '/download-report/:slug/:timestamp/:reportType (GET) - Download report files',
+      '/download-report/:slug/:timestamp/:reportType (GET) - Download report files (pdf is rendered on request; branding via ?brandName, preparedFor, preparedBy, contact, color)',
+      '/trends/:slug (GET) - Metrics history across audit runs (?limit=N)',
+      '/compare/:slug/:fromTimestamp/:toTimestamp (GET) - Regressions and fixes between two sessions (?format=markdown for comparison.md)',
+      '/link-graph/:slug/:timestamp (GET) - Internal link graph: link scores, depth, orphans (?url=, ?filter=, ?sort=, ?limit=)',
       '/organization-overview (GET) - View report organization structure'
     ],
     features: [
       'Crawling', 
+      'Background Job Queue',
       'AI Analysis', 
       'Comprehensive Results API',
       'Organized Report Structure (reports/slug/timestamp/)',
@@ -341,6 +1076,17 @@ app.get('/', (req, res) => {
       files: {
         comprehensive: 'comprehensive_analysis.txt',
         executive: 'executive_summary.md',
+        robots: 'robots_report.md (robots.txt evaluated for CRAWL_ROBOTS_USER_AGENT, which only the native engine crawls as; Screaming Frog uses the user agent in its own configuration)',
+        sitemap: 'sitemap_coverage.md (sitemap URLs also seed native crawls; Screaming Frog follows its own sitemap settings)',
+        excluded: 'excluded_urls.md',
+        broken: 'broken_urls.md',
+        linkHealth: 'link_health.md, link_health.csv',
+        linkGraph: 'link_graph.json',
+        duplicates: 'duplicates.md',
+        comparison: 'comparison.md (vs the previous session), page_snapshot.json',
+        html: 'report.html (self-contained: executive summary, charts, sortable page table)',
+        results: 'results.json (every crawled URL with its findings)',
+        manifest: 'manifest.json (run settings, timings, usage, file list with SHA-256 hashes, status)',
         perPageDirectory: 'per_page_analysis/',
         individualPages: 'page_001_*.md, page_002_*.md, ...',
         summaries: 'per_page_analysis_summary.md, priority_action_plan.md'
@@ -365,11 +1111,22 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start the server
-app.listen(port, () => {
-  workflowLogger.info(`SEO Auditor Service v2.0 running on port ${port}`);
-  workflowLogger.info('Report organization enabled', {
-    structure: 'reports/slug/timestamp/',
-    features: ['Organized folders', 'Session management', 'Report downloads']
+// Restore persisted jobs and drop staged imports no unfinished job will apply, then start the server
+// (the queue is already running, so jobs that just started keep theirs too)
+jobService.initialize(executeWorkflow)
+  .then(() => importService.pruneStagedImports(jobService.listJobs({ limit: Infinity })
+    .map(summary => jobService.getJob(summary.id))
+    .filter(job => !jobService.isFinished(job) && job.input.importId)
+    .map(job => job.input.importId)))
+  .catch(error => {
+    workflowLogger.error('Failed to initialize job queue', { error: error.message });
+  })
+  .finally(() => {
+    app.listen(port, () => {
+      workflowLogger.info(`SEO Auditor Service v2.0 running on port ${port}`);
+      workflowLogger.info('Report organization enabled', {
+        structure: 'reports/slug/timestamp/',
+        features: ['Organized folders', 'Session management', 'Report downloads', 'Background jobs']
+      });
+    });
   });
-});
\ No newline at end of file
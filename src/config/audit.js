@@ -1,23 +1,158 @@
 // src/config/audit.js - Optimized for speed
 const path = require('path');
+const workflowLogger = require('../utils/workflowLogger');
+const { validatePageFilter } = require('../utils/validation');
+
+const openaiModel = process.env.AI_MODEL || 'gpt-4o-mini';
+
+// Optional JSON settings from the environment. A malformed value (or one `validate` returns errors for)
+// is reported and the default kept, so a typo cannot stop the service or the scripts from loading
+function jsonFromEnv(name, fallback, validate = () => []) {
+  if (!process.env[name]) return fallback;
+
+  let value;
+  try {
+    value = JSON.parse(process.env[name]);
+  } catch (error) {
+    workflowLogger.warn(`Ignoring ${name}: not valid JSON`, { error: error.message });
+    return fallback;
+  }
+
+  const errors = validate(value);
+  if (errors.length > 0) {
+    workflowLogger.warn(`Ignoring ${name}: invalid value`, { errors });
+    return fallback;
+  }
+  return value;
+}
+
+// LLM_PRICING: { "<model>": { "input": <usd>, "output": <usd> } }
+function validatePricing(pricing) {
+  if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) return ['must be an object keyed by model'];
+  return Object.entries(pricing)
+    .filter(([, price]) => !price || typeof price.input !== 'number' || typeof price.output !== 'number')
+    .map(([model]) => `${model}: input and output must be numbers (USD per 1M tokens)`);
+}
+
+// PAGE_FILTER_*: checked like a request's pageFilter override, so a bad regex or word count is caught
+// here instead of failing (or silently disabling the filter) in pageFilterService
+const pageFilterField = field => value => validatePageFilter({ [field]: value });
+
+function minWordCountFromEnv(fallback) {
+  const value = process.env.PAGE_FILTER_MIN_WORDS;
+  if (!value) return fallback;
+
+  const errors = pageFilterField('minWordCount')(Number(value));
+  if (errors.length > 0) {
+    workflowLogger.warn('Ignoring PAGE_FILTER_MIN_WORDS: invalid value', { errors });
+    return fallback;
+  }
+  return Number(value);
+}
 
 module.exports = {
+  // LLM backend used for all analysis calls: openai | openai-compatible | mock
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    'openai': {
+      model: openaiModel,
+    },
+    'openai-compatible': {
+      baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1', // Ollama default; llama.cpp uses :8080/v1
+      apiKey: process.env.LLM_API_KEY,
+      model: process.env.LLM_MODEL || 'llama3.1',
+    },
+    'mock': {
+      model: 'mock-seo-model',
+      latencyMs: parseInt(process.env.MOCK_LLM_LATENCY_MS) || 0, // Simulate API latency in demos
+    }
+  },
   models: {
     openai: {
-      model: process.env.AI_MODEL || 'gpt-4o-mini', // Keep fast model
+      model: openaiModel, // Keep fast model
       temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.1, // Reduced for faster, more consistent responses
       maxTokens: parseInt(process.env.MAX_TOKENS) || 2000, // Reduced from 3000 for speed
     },
     chunking: {
       tokenLimit: parseInt(process.env.CHUNK_TOKEN_LIMIT) || 3000, // Larger chunks = fewer API calls
-      useFastEstimation: process.env.USE_FAST_ESTIMATION !== 'false', // Default to fast estimation
+      useFastEstimation: process.env.USE_FAST_ESTIMATION === 'true', // Default to tiktoken counts; length/4 when enabled
       maxChunkSize: parseInt(process.env.MAX_CHUNK_SIZE) || 50, // Max rows per chunk for size-based chunking
     }
   },
   files: {
     csvFilename: process.env.CSV_FILENAME || 'internal_all.csv',
+    inlinksFilename: process.env.INLINKS_FILENAME || 'all_inlinks.csv', // Screaming Frog "All Inlinks" bulk export
+    pageTextFilename: process.env.PAGE_TEXT_FILENAME || 'page_text.jsonl', // Body text per 200 HTML page ({url, text} lines)
     promptPath: path.join(__dirname, '../../prompts', process.env.PROMPT_FILE || 'seo_analysis_prompt.txt'),
   },
+  // USD per 1M tokens for cost estimates; extend or override with LLM_PRICING='{"model":{"input":0.1,"output":0.2}}'
+  pricing: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'mock-seo-model': { input: 0, output: 0 },
+    ...jsonFromEnv('LLM_PRICING', {}, validatePricing)
+  },
+  // On-disk LLM response cache (paths.cacheDir); requests can bypass it with noCache
+  cache: {
+    enabled: process.env.LLM_CACHE !== 'false',
+    promptVersion: process.env.PROMPT_VERSION || '1', // Bump to invalidate entries after prompt/parsing changes
+    // Columns that change on every crawl without the page changing; left out of LLM input and cache keys
+    volatileColumns: ['Crawl Timestamp', 'Response Time', 'Transferred (bytes)', 'Total Transferred (bytes)'],
+  },
+  // Global caps for one audit run; requests can pass tighter limits in `budget` (null = unlimited)
+  budget: {
+    maxPages: parseInt(process.env.BUDGET_MAX_PAGES) || null,
+    maxTokens: parseInt(process.env.BUDGET_MAX_TOKENS) || null,
+    maxCostUsd: parseFloat(process.env.BUDGET_MAX_COST_USD) || null,
+  },
+  // Structured per-page output
+  pageAnalysis: {
+    responseFormat: process.env.PAGE_ANALYSIS_RESPONSE_FORMAT || 'json_schema', // json_schema | json_object (for servers without schema support)
+    maxReasks: process.env.PAGE_ANALYSIS_MAX_REASKS !== undefined ? parseInt(process.env.PAGE_ANALYSIS_MAX_REASKS) : 1, // Follow-up calls for missing/invalid pages
+  },
+  // Map-reduce synthesis of chunk analyses into the final site-wide report
+  synthesis: {
+    condensedChunkTokens: parseInt(process.env.CONDENSED_CHUNK_TOKENS) || 350, // Per-chunk summary size fed upwards
+    finalPromptTokenBudget: parseInt(process.env.FINAL_PROMPT_TOKEN_BUDGET) || 6000, // Chunk material allowed in the final call
+    maxMergeLevels: parseInt(process.env.MAX_MERGE_LEVELS) || 4,
+  },
+  // Thresholds for the deterministic rule-based checks (rulesService)
+  rules: {
+    titleMinLength: parseInt(process.env.RULE_TITLE_MIN_LENGTH) || 30,
+    titleMaxLength: parseInt(process.env.RULE_TITLE_MAX_LENGTH) || 60,
+    metaDescriptionMinLength: parseInt(process.env.RULE_META_MIN_LENGTH) || 70,
+    metaDescriptionMaxLength: parseInt(process.env.RULE_META_MAX_LENGTH) || 160,
+    lowWordCount: parseInt(process.env.RULE_LOW_WORD_COUNT) || 300,
+  },
+  // Which crawled rows reach the AI audit (pageFilterService); requests can override any field via `pageFilter`.
+  // Patterns are case-insensitive regexes on the URL; non-200 rows always go to the broken/redirecting URLs report.
+  pageFilter: {
+    minWordCount: minWordCountFromEnv(50),
+    htmlOnly: process.env.PAGE_FILTER_HTML_ONLY !== 'false', // Drop images, CSS, PDFs, ... by Content Type
+    excludePatterns: jsonFromEnv('PAGE_FILTER_EXCLUDE', [
+      '\\.(jpg|jpeg|png|gif|webp|svg|ico|css|js|pdf|doc|docx|xls|xlsx|zip|rar|mp3|mp4|avi|mov)$',
+      '/wp-content/uploads/'
+    ], pageFilterField('excludePatterns')),
+    includePatterns: jsonFromEnv('PAGE_FILTER_INCLUDE', [], pageFilterField('includePatterns')), // Always audited when 200 (JSON list)
+  },
+  // Near-duplicate content detection (duplicateService); similarity is the estimated share of shingles two pages have in common
+  duplicates: {
+    similarityThreshold: parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.9,
+    minWords: parseInt(process.env.DUPLICATE_MIN_WORDS) || 30, // Shorter pages give unreliable fingerprints
+    shingleSize: parseInt(process.env.DUPLICATE_SHINGLE_SIZE) || 3, // Words per shingle
+    maxBucketSize: parseInt(process.env.DUPLICATE_MAX_BUCKET_SIZE) || 500, // Pages sharing one MinHash band beyond this are boilerplate and not compared
+  },
+  // Branding of the PDF export (pdfReportService); each field can be overridden per download via query parameters
+  pdf: {
+    brandName: process.env.PDF_BRAND_NAME || 'SEO Auditor Service',
+    preparedBy: process.env.PDF_PREPARED_BY || '',
+    contact: process.env.PDF_CONTACT || '', // e.g. "seo@agency.example - +1 555 0100", shown on the cover
+    primaryColor: process.env.PDF_PRIMARY_COLOR || '#2c3e50',
+  },
   retries: {
     maxAttempts: parseInt(process.env.MAX_RETRIES) || 2, // Reduced from 3
     delayMs: parseInt(process.env.RETRY_DELAY_MS) || 1000, // Reduced delay
@@ -28,11 +163,11 @@ module.exports = {
     pageBatchSize: parseInt(process.env.PAGE_BATCH_SIZE) || 5, // Increased from 3
     batchDelayMs: parseInt(process.env.BATCH_DELAY_MS) || 2000, // Reduced from 3000
     
-    // Size limits for faster processing
-    maxPagesForFullAnalysis: parseInt(process.env.MAX_PAGES_FULL_ANALYSIS) || 200,
-    maxPagesForPageAnalysis: parseInt(process.env.MAX_PAGES_PAGE_ANALYSIS) || 100,
+    // Size limits for faster processing (pages beyond these get rule-based analysis only)
+    maxPagesForFullAnalysis: parseInt(process.env.MAX_PAGES_FULL_ANALYSIS) || 200, // Site overview chunks
+    maxPagesForPageAnalysis: parseInt(process.env.MAX_PAGES_PAGE_ANALYSIS) || 100, // Per-page LLM analysis
     
-    // Skip heavy processing for large sites
+    // Skip per-page LLM analysis entirely for sites larger than this
     skipPerPageAnalysisThreshold: parseInt(process.env.SKIP_PAGE_ANALYSIS_THRESHOLD) || 500,
     
     // Cache settings
@@ -0,0 +1,97 @@
+// src/config/importProfiles.js - Column mappings for crawl exports from other tools
+// Each profile maps an internal (Screaming Frog "Internal: All") column to the source headers that may
+// hold it. Headers are matched case-insensitively and the first one present in the upload wins, so
+// vendors renaming a column only needs one more alias here.
+module.exports = {
+  screamingfrog: {
+    label: 'Screaming Frog (Internal: All)',
+    columns: {
+      'Address': ['Address'],
+      'Content Type': ['Content Type'],
+      'Status Code': ['Status Code'],
+      'Status': ['Status'],
+      'Indexability': ['Indexability'],
+      'Indexability Status': ['Indexability Status'],
+      'Title 1': ['Title 1'],
+      'Meta Description 1': ['Meta Description 1'],
+      'Meta Robots 1': ['Meta Robots 1'],
+      'X-Robots-Tag 1': ['X-Robots-Tag 1'],
+      'H1-1': ['H1-1'],
+      'H1-2': ['H1-2'],
+      'H2-1': ['H2-1'],
+      'Canonical Link Element 1': ['Canonical Link Element 1'],
+      'Word Count': ['Word Count'],
+      'Crawl Depth': ['Crawl Depth'],
+      'Inlinks': ['Inlinks'],
+      'Unique Inlinks': ['Unique Inlinks'],
+      'Outlinks': ['Outlinks'],
+      'Response Time': ['Response Time'],
+      'Redirect URL': ['Redirect URL']
+    }
+  },
+
+  sitebulb: {
+    label: 'Sitebulb (URLs export)',
+    columns: {
+      'Address': ['URL'],
+      'Content Type': ['Content Type', 'Resource Type'],
+      'Status Code': ['HTTP Status Code', 'Status Code'],
+      'Indexability': ['Indexable', 'Indexable Status'],
+      'Indexability Status': ['Indexability Reason', 'Noindex Reason'],
+      'Title 1': ['Title', 'Page Title'],
+      'Meta Description 1': ['Meta Description'],
+      'Meta Robots 1': ['Meta Robots', 'Robots Meta'],
+      'X-Robots-Tag 1': ['X-Robots-Tag'],
+      'H1-1': ['H1', 'First H1'],
+      'Canonical Link Element 1': ['Canonical URL', 'Canonical'],
+      'Word Count': ['Word Count', 'No. Words', 'Content Word Count'],
+      'Crawl Depth': ['Depth', 'Crawl Depth'],
+      'Inlinks': ['Internal Links In', 'No. Internal Links In', 'Unique Internal Linking URLs'],
+      'Outlinks': ['Internal Links Out', 'No. Internal Links Out'],
+      'Response Time': ['Response Time (s)', 'Response Time'],
+      'Redirect URL': ['Redirects To', 'Redirect URL']
+    }
+  },
+
+  ahrefs: {
+    label: 'Ahrefs Site Audit (Page explorer export)',
+    columns: {
+      'Address': ['URL', 'Page URL'],
+      'Content Type': ['Content type', 'Content-Type'],
+      'Status Code': ['HTTP status code', 'Status code'],
+      'Indexability': ['Is indexable page', 'Indexable'],
+      'Title 1': ['Title'],
+      'Meta Description 1': ['Meta description'],
+      'Meta Robots 1': ['Meta robots'],
+      'X-Robots-Tag 1': ['X-Robots-Tag'],
+      'H1-1': ['H1'],
+      'Canonical Link Element 1': ['Canonical URL', 'Canonical'],
+      'Word Count': ['Word count', 'Words', 'No. of words'],
+      'Crawl Depth': ['Depth'],
+      'Inlinks': ['No. of all inlinks', 'Incoming internal links', 'No. of inlinks'],
+      'Outlinks': ['No. of internal outlinks', 'Outgoing internal links'],
+      'Redirect URL': ['Redirect URL', 'Redirects to']
+    }
+  },
+
+  // Hand-made or script-generated exports with short snake_case headers
+  generic: {
+    label: 'Generic CSV (url, status, title, ...)',
+    columns: {
+      'Address': ['url', 'address', 'page', 'loc'],
+      'Content Type': ['content_type', 'content type'],
+      'Status Code': ['status', 'status_code', 'http_status'],
+      'Indexability': ['indexable', 'indexability'],
+      'Title 1': ['title', 'page_title'],
+      'Meta Description 1': ['meta_description', 'description'],
+      'Meta Robots 1': ['meta_robots', 'robots'],
+      'H1-1': ['h1'],
+      'Canonical Link Element 1': ['canonical', 'canonical_url'],
+      'Word Count': ['word_count', 'words'],
+      'Crawl Depth': ['depth', 'crawl_depth'],
+      'Inlinks': ['inlinks', 'internal_inlinks'],
+      'Outlinks': ['outlinks', 'internal_outlinks'],
+      'Redirect URL': ['redirect_url', 'redirects_to']
+    }
+  }
+};
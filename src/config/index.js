@@ -14,11 +14,54 @@ module.exports = {
   paths: {
     exportsDir: process.env.EXPORTS_DIR || path.join(__dirname, '../../exports'),
     reportsDir: process.env.REPORTS_DIR || path.join(__dirname, '../../reports'),
+    jobsDir: process.env.JOBS_DIR || path.join(__dirname, '../../jobs'),
+    cacheDir: process.env.LLM_CACHE_DIR || path.join(__dirname, '../../cache'),
     screamingFrogCli: process.env.SF_CLI_PATH || defaultScreamingFrogPath,
   },
   retries: {
     maxAttempts: parseInt(process.env.MAX_RETRIES) || 3,
     backoffMs: parseInt(process.env.RETRY_BACKOFF_MS) || 1000,
   },
+  crawler: {
+    engine: process.env.CRAWLER_ENGINE || 'screaming-frog', // 'screaming-frog' or 'native' (no Java/licence needed)
+    screamingFrog: {
+      bulkExports: process.env.SF_BULK_EXPORTS !== undefined ? process.env.SF_BULK_EXPORTS : 'All Inlinks', // --bulk-export; '' to skip (large sites)
+    },
+    native: {
+      maxPages: parseInt(process.env.CRAWL_MAX_PAGES) || 500,
+      maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH) || 5,
+      concurrency: parseInt(process.env.CRAWL_CONCURRENCY) || 4,
+      requestTimeoutMs: parseInt(process.env.CRAWL_REQUEST_TIMEOUT_MS) || 15000,
+      maxBodyBytes: parseInt(process.env.CRAWL_MAX_BODY_BYTES) || 5 * 1024 * 1024,
+      userAgent: process.env.CRAWL_USER_AGENT || 'SEO-Auditor-Service/2.0 (native crawler)',
+    },
+    robots: {
+      respect: process.env.CRAWL_RESPECT_ROBOTS !== 'false', // robots.txt, meta/X-Robots nofollow and rel="nofollow"
+      // Token matched against User-agent groups. Native engine only: Screaming Frog obeys robots.txt as the user agent
+      // in its own configuration, and this token only decides what the robots report flags as blocked
+      userAgent: process.env.CRAWL_ROBOTS_USER_AGENT || 'SEO-Auditor-Service',
+    },
+    sitemaps: {
+      enabled: process.env.CRAWL_SITEMAPS !== 'false',
+      seedCrawl: process.env.CRAWL_SEED_FROM_SITEMAP !== 'false', // native engine only; crawl results say `seeded: false` on Screaming Frog
+      maxSitemaps: parseInt(process.env.SITEMAP_MAX_FILES) || 50,
+      maxUrls: parseInt(process.env.SITEMAP_MAX_URLS) || 50000,
+    },
+    scope: {
+      // Defaults for the per-request `scope` of spider crawls (Screaming Frog applies a scope through a native discovery crawl)
+      followSubdomains: process.env.CRAWL_FOLLOW_SUBDOMAINS === 'true',
+      stripParams: (process.env.CRAWL_STRIP_PARAMS || '').split(',').map(name => name.trim()).filter(Boolean), // e.g. utm_*,sessionid
+      maxUrlsLimit: parseInt(process.env.CRAWL_MAX_URLS_LIMIT) || 10000, // upper bound a request may ask for
+    },
+    listMode: {
+      maxUrls: parseInt(process.env.LIST_MODE_MAX_URLS) || 1000, // urls: [...] audits (a --crawl-list file on Screaming Frog)
+    },
+  },
+  imports: {
+    maxUploadBytes: parseInt(process.env.IMPORT_MAX_UPLOAD_BYTES) || 50 * 1024 * 1024, // text/csv uploads to /import-csv
+  },
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1, // Crawls are heavy, run one at a time by default
+  },
   isWindows: isWindows
 };
\ No newline at end of file
@@ -5,16 +5,47 @@ const auditService = require('../services/auditService');
 const fileService = require('../services/fileService');
 const reportService = require('../services/reportService');
 const perPageReportService = require('../services/perPageReportService');
+const rulesService = require('../services/rulesService');
+const robotsService = require('../services/robotsService');
+const sitemapService = require('../services/sitemapService');
+const crawlScopeService = require('../services/crawlScopeService');
+const pageFilterService = require('../services/pageFilterService');
+const linkHealthService = require('../services/linkHealthService');
+const graphService = require('../services/graphService');
+const duplicateService = require('../services/duplicateService');
+const compareService = require('../services/compareService');
+const metricsHistoryService = require('../services/metricsHistoryService');
+const manifestService = require('../services/manifestService');
+const htmlReportService = require('../services/htmlReportService');
 const path = require('path');
 const config = require('../config');
 const auditConfig = require('../config/audit');
+const { reportProgress } = require('../utils/progress');
+const { isCancelledError, throwIfCancelled } = require('../utils/cancellation');
+const UsageTracker = require('../utils/usageTracker');
+const BudgetGuard = require('../utils/budgetGuard');
+const { describeProvider } = require('../providers');
 
 class AuditController {
-  async analyzeWebsite(slug) {
+  async analyzeWebsite(slug, options = {}) {
     const startTime = Date.now();
     logger.info(`Starting comprehensive SEO analysis for slug: ${slug}`);
     workflowLogger.info('Starting comprehensive SEO analysis', { slug });
 
+    // Kept outside the try block so a cancelled run can still flag its partial session
+    let directories = null;
+    let siteAnalysis = null;
+    let siteReport = null;
+
+    // When each phase started, turned into durations for the session manifest
+    const phaseStarts = { preparation: startTime };
+
+    // Token/cost accounting for every LLM call made during this run, capped by the
+    // global budget and any tighter per-request limits (options.budgetLimits)
+    const usage = options.usage || new UsageTracker();
+    const budget = new BudgetGuard(usage, options.budgetLimits);
+    options = { ...options, usage, budget };
+
     try {
       // Load CSV data
       const csvPath = path.join(config.paths.exportsDir, slug, auditConfig.files.csvFilename);
@@ -26,16 +57,42 @@ class AuditController {
         slug 
       });
 
-      // Filter for actual pages (remove images, assets, etc.)
-      const pageData = this._filterActualPages(csvData);
+      // Deterministic checks run over every crawled row, including redirects and errors
+      reportProgress(options, 'analysis_phase', { phase: 'rule_checks', rowCount: csvData.length });
+      const ruleResults = rulesService.run(csvData);
+
+      // robots.txt and sitemaps as captured by the crawler (missing for exports crawled before they were saved)
+      const exportDir = path.join(config.paths.exportsDir, slug);
+      const robotsResults = robotsService.analyze(csvData, await robotsService.load(exportDir));
+      const sitemapResults = sitemapService.analyze(csvData, await sitemapService.load(exportDir));
+
+      // Redirect chains from the export itself; linking pages need the crawler's inlinks export
+      const inlinks = await linkHealthService.loadInlinks(exportDir);
+      const linkHealthResults = linkHealthService.analyze(csvData, inlinks);
+
+      // Internal link graph over the same edges; depth is counted from the recorded start URL when there is one
+      const crawlInfo = await crawlScopeService.load(exportDir);
+      const startUrls = crawlInfo && crawlInfo.startUrl ? [crawlInfo.startUrl] : [];
+      const graphResults = graphService.analyze(csvData, inlinks, startUrls);
+
+      // Near-duplicate content over the crawler's page text (exact duplicates by hash without it)
+      const duplicateResults = duplicateService.analyze(csvData, await duplicateService.loadPageText(exportDir));
+
+      // Only successful HTML pages with content go to the AI audit (options.pageFilter overrides the config);
+      // non-200 rows are analysed separately as broken/redirecting URLs
+      const pageFilter = pageFilterService.resolve(options.pageFilter);
+      const filterResults = pageFilterService.apply(csvData, pageFilter);
+      const statusResults = pageFilterService.analyzeStatuses(filterResults.nonOkRows);
+      const pageData = filterResults.pages;
       workflowLogger.info('Filtered to actual pages', {
         originalCount: csvData.length,
         filteredCount: pageData.length,
+        excludedByReason: filterResults.summary.byReason,
         slug
       });
 
       // Create organized directory structure at the start
-      const directories = await reportService.createReportDirectory(slug);
+      directories = await reportService.createReportDirectory(slug);
       workflowLogger.info('Created organized report directory structure', {
         slug,
         directories,
@@ -47,31 +104,116 @@ class AuditController {
         }
       });
 
+      // How the export was crawled (engine, start URL, scope) and filtered, so the run can be reproduced
+      await reportService.writeSessionMetadata(directories, {
+        crawl: crawlInfo,
+        pageFilter
+      });
+
       // Perform chunked analysis for site overview
+      phaseStarts.siteOverview = Date.now();
       workflowLogger.info('Starting chunked analysis for site overview', { slug });
-      const siteAnalysis = await auditService.analyzeCSVData(pageData, slug);
+      reportProgress(options, 'analysis_phase', { phase: 'site_overview', pageCount: pageData.length });
+      siteAnalysis = await auditService.analyzeCSVData(pageData, slug, options);
       
       // NEW: Perform detailed per-page analysis
+      phaseStarts.perPage = Date.now();
       workflowLogger.info('Starting detailed per-page analysis', { 
         slug,
         pageCount: pageData.length 
       });
-      const perPageAnalysis = await auditService.analyzeIndividualPages(pageData, slug);
+      reportProgress(options, 'analysis_phase', { phase: 'per_page', pageCount: pageData.length });
+      const perPageAnalysis = await auditService.analyzeIndividualPages(pageData, slug, options);
 
       // Generate comprehensive reports in organized structure
       workflowLogger.info('Generating comprehensive reports in organized structure', { 
         slug,
         sessionDir: directories.sessionDir
       });
+      throwIfCancelled(options.signal, 'Analysis cancelled');
+      phaseStarts.reports = Date.now();
+      reportProgress(options, 'analysis_phase', { phase: 'reports' });
       
       // 1. Site overview report (comprehensive_analysis.txt)
-      const siteReport = await reportService.saveComprehensiveReport(slug, siteAnalysis);
-      
+      siteReport = await reportService.saveComprehensiveReport(slug, siteAnalysis, directories);
+      
+      // This run's headline metrics, charted with the earlier runs (recorded once the reports are written)
+      const historyEntry = metricsHistoryService.buildEntry(
+        directories.timestamp,
+        reportService.extractKeyMetrics(siteAnalysis, perPageAnalysis, pageData),
+        this._generateEnhancedStatistics(pageData, perPageAnalysis),
+        ruleResults.summary,
+        csvData.length
+      );
+      const previousRuns = (await metricsHistoryService.load(slug)).filter(entry => entry.timestamp !== directories.timestamp);
+      const trends = metricsHistoryService.summarize([...previousRuns, historyEntry]);
+
       // 2. Executive summary report (executive_summary.md)
-      const executiveSummary = await reportService.generateExecutiveSummary(slug, siteAnalysis, perPageAnalysis, pageData);
+      const executiveSummary = await reportService.generateExecutiveSummary(slug, siteAnalysis, perPageAnalysis, pageData, directories, ruleResults, linkHealthResults, graphResults, trends);
       
       // 3. Per-page analysis reports (per_page_analysis/ subdirectory)
-      const perPageReports = await perPageReportService.generatePerPageReports(slug, perPageAnalysis, pageData);
+      const perPageReports = await perPageReportService.generatePerPageReports(slug, perPageAnalysis, pageData, directories, ruleResults, graphResults);
+
+      // 4. robots.txt and indexability directives (robots_report.md)
+      const robotsReport = await reportService.generateRobotsReport(slug, robotsResults, directories);
+
+      // 5. Sitemap vs crawl coverage (sitemap_coverage.md)
+      const sitemapReport = await reportService.generateSitemapReport(slug, sitemapResults, directories);
+
+      // 6. What the page filter left out, and why (excluded_urls.md)
+      const excludedReport = await reportService.generateExcludedUrlsReport(slug, filterResults, directories);
+
+      // 7. Non-200 URLs: redirects, broken and unanswered (broken_urls.md)
+      const brokenReport = await reportService.generateBrokenUrlsReport(slug, statusResults, directories);
+
+      // 8. Broken links and redirect chains (link_health.md + link_health.csv)
+      const linkHealthReport = await reportService.generateLinkHealthReport(slug, linkHealthResults, directories);
+
+      // 9. Link graph metrics per page, queried through the API (link_graph.json)
+      const linkGraphReport = await graphService.save(directories.sessionDir, graphResults, startUrls);
+
+      // 10. Near-duplicate content groups and their canonicals (duplicates.md)
+      const duplicatesReport = await reportService.generateDuplicatesReport(slug, duplicateResults, directories);
+
+      // 11. Page snapshot for later comparisons, and what changed since the previous session (comparison.md)
+      await compareService.saveSnapshot(directories.sessionDir, compareService.buildSnapshot(csvData, perPageAnalysis, ruleResults));
+      const comparisonReport = await this._compareWithPreviousSession(slug, directories);
+
+      // 12. Metrics history (reports/slug/metrics_history.json, kept when old sessions are cleaned up)
+      await metricsHistoryService.record(slug, historyEntry);
+
+      // 13. Every crawled URL with its findings, for API consumers (results.json)
+      const sessionResults = manifestService.buildResults(slug, directories.timestamp, {
+        csvData,
+        pageData,
+        perPageAnalysis,
+        ruleResults,
+        filterResults,
+        graphResults,
+        duplicateResults,
+        summaries: {
+          site: siteAnalysis.summary,
+          rules: ruleResults.summary,
+          robots: robotsResults.summary,
+          sitemap: sitemapResults.summary,
+          pageFilter: filterResults.summary,
+          brokenUrls: statusResults.summary,
+          linkHealth: linkHealthResults.summary,
+          linkGraph: graphResults.summary,
+          duplicates: duplicateResults.summary,
+          comparison: comparisonReport ? { from: comparisonReport.from, ...comparisonReport.summary } : null
+        }
+      });
+      const resultsFile = await manifestService.writeResults(directories.sessionDir, sessionResults);
+
+      // 14. Single-file HTML report for clients: executive summary, charts, page table (report.html)
+      const htmlReport = await htmlReportService.generateHtmlReport(slug, sessionResults, executiveSummary.filePath, directories);
+
+      // 15. Run metadata (LLM usage and estimated cost) next to the reports
+      await reportService.writeSessionMetadata(directories, this._buildSessionMetadata(slug, usage, budget));
+
+      // 16. Manifest last, so its file list and hashes cover everything above (manifest.json)
+      const manifestFile = await this._writeManifest(slug, directories, options, phaseStarts, { status: 'completed' });
 
       // Optional: Clean up old sessions (keep only last 5)
       try {
@@ -89,11 +231,23 @@ class AuditController {
         perPageAnalysis, 
         pageData, 
         slug,
+        ruleResults,
         {
           directories,
           siteReport,
           executiveSummary,
-          perPageReports
+          perPageReports,
+          robotsReport,
+          sitemapReport,
+          excludedReport,
+          brokenReport,
+          linkHealthReport,
+          linkGraphReport,
+          duplicatesReport,
+          comparisonReport,
+          resultsFile,
+          htmlReport,
+          manifestFile
         }
       );
       
@@ -133,7 +287,19 @@ class AuditController {
             comprehensive: 'comprehensive_analysis.txt',
             executive: 'executive_summary.md',
             perPageDirectory: 'per_page_analysis/',
-            individualPages: perPageReports.totalReports
+            individualPages: perPageReports.totalReports,
+            robots: robotsReport.filename,
+            sitemap: sitemapReport.filename,
+            excluded: excludedReport.filename,
+            broken: brokenReport.filename,
+            linkHealth: linkHealthReport.filename,
+            linkHealthCsv: linkHealthReport.csvFilename,
+            linkGraph: linkGraphReport.filename,
+            duplicates: duplicatesReport.filename,
+            comparison: comparisonReport ? comparisonReport.filename : null,
+            results: resultsFile.filename,
+            html: htmlReport.filename,
+            manifest: manifestFile ? manifestFile.filename : null
           }
         },
         
@@ -141,11 +307,34 @@ class AuditController {
         duration,
         slug,
         summary: siteAnalysis.summary,
+        ruleSummary: ruleResults.summary,
+        robotsSummary: robotsResults.summary,
+        sitemapSummary: sitemapResults.summary,
+        pageFilterSummary: filterResults.summary,
+        brokenUrlsSummary: statusResults.summary,
+        linkHealthSummary: linkHealthResults.summary,
+        linkGraphSummary: graphResults.summary,
+        duplicatesSummary: duplicateResults.summary,
+        comparisonSummary: comparisonReport ? { from: comparisonReport.from, ...comparisonReport.summary } : null,
+        usage: usage.toJSON(),
+        budget: budget.toJSON(),
+        cache: usage.cacheStats(),
         results: comprehensiveResults
       };
       
     } catch (error) {
       const duration = Date.now() - startTime;
+
+      if (isCancelledError(error)) {
+        logger.warn(`SEO analysis cancelled for slug: ${slug}`);
+        workflowLogger.warn('SEO analysis cancelled', { slug, duration });
+
+        if (directories) {
+          await this._savePartialSession(slug, directories, siteAnalysis, siteReport, usage, budget, options, phaseStarts);
+        }
+        throw error;
+      }
+
       logger.error(`SEO analysis failed: ${error.message}`);
       workflowLogger.error('SEO analysis failed', { 
         slug, 
@@ -153,10 +342,120 @@ class AuditController {
         duration,
         stack: error.stack 
       });
+
+      if (directories) {
+        await this._writeManifest(slug, directories, options, phaseStarts, {
+          status: 'failed',
+          error: error.message,
+          usage: usage.toJSON(),
+          budget: budget.toJSON(),
+          cache: usage.cacheStats()
+        });
+      }
       throw error;
     }
   }
 
+  // Keep whatever a cancelled run produced and flag the session folder as incomplete
+  async _savePartialSession(slug, directories, siteAnalysis, siteReport, usage, budget, options, phaseStarts) {
+    const completedPhases = [];
+
+    try {
+      if (siteAnalysis) {
+        completedPhases.push('site_overview');
+        if (!siteReport) {
+          await reportService.saveComprehensiveReport(slug, siteAnalysis, directories);
+        }
+      }
+
+      // Tokens spent before the cancellation are still billed
+      await reportService.writeSessionMetadata(directories, this._buildSessionMetadata(slug, usage, budget));
+
+      await reportService.markSessionIncomplete(directories, {
+        status: 'cancelled',
+        reason: 'Job cancelled before the analysis finished',
+        completedPhases
+      });
+
+      await this._writeManifest(slug, directories, options, phaseStarts, { status: 'cancelled', completedPhases });
+    } catch (partialError) {
+      workflowLogger.error('Failed to save partial session', {
+        slug,
+        sessionDir: directories.sessionDir,
+        error: partialError.message
+      });
+    }
+  }
+
+  // The first session of a site has nothing to compare against; a failed comparison never fails the audit
+  async _compareWithPreviousSession(slug, directories) {
+    try {
+      const previous = await compareService.findPreviousSession(slug, directories.timestamp);
+      if (!previous) return null;
+
+      const comparison = await compareService.compareSessions(slug, previous, directories.timestamp);
+      return await reportService.generateComparisonReport(slug, comparison, directories);
+    } catch (error) {
+      workflowLogger.warn('Failed to compare with previous session', {
+        slug,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Run settings come from the session metadata written during the run; a manifest failure never fails the audit
+  async _writeManifest(slug, directories, options, phaseStarts, run) {
+    try {
+      const metadata = await reportService.readSessionMetadata(directories.sessionDir) || {};
+      return await manifestService.writeManifest(directories, {
+        slug,
+        input: options.input || null,
+        crawl: metadata.crawl,
+        pageFilter: metadata.pageFilter,
+        usage: metadata.usage,
+        budget: metadata.budget,
+        cache: metadata.cache,
+        timings: this._buildTimings(phaseStarts),
+        ...run
+      });
+    } catch (error) {
+      workflowLogger.warn('Failed to write session manifest', {
+        slug,
+        sessionDir: directories.sessionDir,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Each phase lasts until the next one started; the last one until now
+  _buildTimings(phaseStarts) {
+    const completedAt = Date.now();
+    const phases = Object.entries(phaseStarts);
+    const durations = {};
+    phases.forEach(([phase, start], index) => {
+      durations[phase] = (index + 1 < phases.length ? phases[index + 1][1] : completedAt) - start;
+    });
+
+    return {
+      startedAt: new Date(phaseStarts.preparation).toISOString(),
+      completedAt: new Date(completedAt).toISOString(),
+      durationMs: completedAt - phaseStarts.preparation,
+      phasesMs: durations
+    };
+  }
+
+  _buildSessionMetadata(slug, usage, budget) {
+    return {
+      slug,
+      llm: describeProvider(auditConfig.llm),
+      usage: usage.toJSON(),
+      budget: budget.toJSON(),
+      cache: usage.cacheStats()
+    };
+  }
+
   // New method to get all reports for a specific analysis session
   async getAnalysisSession(slug, timestamp) {
     try {
@@ -168,11 +467,20 @@ class AuditController {
       // Get session info from reportService
       const sessions = await reportService.listAnalysisSessions(slug);
       const sessionInfo = sessions.find(s => s.timestamp === timestamp);
+
+      // Run details from the manifest; sessions from before manifests only have session_metadata.json
+      const manifest = sessionInfo ? await manifestService.readManifest(sessionInfo.path) : null;
+      const metadata = manifest || (sessionInfo ? await reportService.readSessionMetadata(sessionInfo.path) : null);
       
       return {
         slug,
         timestamp,
         sessionInfo,
+        manifest,
+        usage: metadata ? metadata.usage : null,
+        budget: metadata ? metadata.budget : null,
+        cache: metadata ? metadata.cache : null,
+        crawl: metadata ? metadata.crawl : null,
         reports: sessionReports,
         available: !!sessionInfo
       };
@@ -202,7 +510,12 @@ class AuditController {
           created: session.created,
           modified: session.modified,
           fileCount: session.fileCount,
-          path: session.path
+          path: session.path,
+          status: session.status,
+          incomplete: session.incomplete,
+          manifestVersion: session.manifestVersion,
+          input: session.input,
+          timings: session.timings
         }))
       };
       
@@ -215,37 +528,7 @@ class AuditController {
     }
   }
 
-  _filterActualPages(csvData) {
-    return csvData.filter(row => {
-      const url = row.Address || row.URL || '';
-      const statusCode = row['Status Code'] || '';
-      
-      // Filter out non-page resources
-      const excludePatterns = [
-        /\.(jpg|jpeg|png|gif|webp|svg|ico|css|js|pdf|doc|docx|xls|xlsx|zip|rar|mp3|mp4|avi|mov)$/i,
-        /\/wp-content\/uploads\//i,
-        /\/assets\//i,
-        /\/images\//i,
-        /\/media\//i,
-        /\/static\//i,
-        /\/files\//i,
-        /\?.*\.(jpg|jpeg|png|gif|webp|svg|ico|css|js)$/i
-      ];
-      
-      // Must be a successful page
-      const isSuccessful = statusCode === '200' || statusCode === '';
-      
-      // Must not match exclusion patterns
-      const isNotExcluded = !excludePatterns.some(pattern => pattern.test(url));
-      
-      // Must have meaningful content indicators
-      const hasContent = row['Word Count'] && parseInt(row['Word Count']) > 50;
-      
-      return isSuccessful && isNotExcluded && hasContent;
-    });
-  }
-
-  _prepareEnhancedResults(siteAnalysis, perPageAnalysis, pageData, slug, reports) {
+  _prepareEnhancedResults(siteAnalysis, perPageAnalysis, pageData, slug, ruleResults, reports) {
     return {
       slug: slug,
       timestamp: new Date().toISOString(),
@@ -259,7 +542,10 @@ class AuditController {
         topPerformingPages: this._getTopPerformingPages(perPageAnalysis, 5),
         worstPerformingPages: this._getWorstPerformingPages(perPageAnalysis, 5),
         commonIssues: this._identifyCommonIssues(perPageAnalysis),
-        priorityActions: this._generatePriorityActions(perPageAnalysis)
+        priorityActions: this._generatePriorityActions(perPageAnalysis),
+        heuristicFallbacks: perPageAnalysis
+          .filter(page => page.analysisSource === 'heuristic')
+          .map(page => ({ url: page.url, reason: page.fallbackReason || 'Per-page LLM analysis skipped' }))
       },
       
       // Individual page analyses with scores and recommendations
@@ -272,7 +558,10 @@ class AuditController {
         recommendations: page.recommendations,
         priority: page.priority,
         estimatedImpact: page.estimatedImpact,
-        quickWins: page.quickWins
+        quickWins: page.quickWins,
+        analysisSource: page.analysisSource,
+        fallbackReason: page.fallbackReason,
+        cached: !!page.cached
       })),
       
       // Site-wide analysis
@@ -281,6 +570,12 @@ class AuditController {
         structured: this._structureSiteAnalysis(siteAnalysis.finalAnalysis)
       },
       
+      // Deterministic rule-based findings (independent of the LLM)
+      ruleFindings: {
+        summary: ruleResults.summary,
+        findings: ruleResults.findings
+      },
+      
       // Technical SEO insights
       technicalInsights: this._generateTechnicalInsights(pageData),
       
@@ -313,7 +608,64 @@ class AuditController {
             actionReport: reports.perPageReports.actionReport,
             individualReports: reports.perPageReports.individualReports.length,
             type: 'per_page_analysis'
-          }
+          },
+          robots: {
+            path: reports.robotsReport.filePath,
+            filename: reports.robotsReport.filename,
+            type: 'robots_report'
+          },
+          sitemap: {
+            path: reports.sitemapReport.filePath,
+            filename: reports.sitemapReport.filename,
+            type: 'sitemap_coverage'
+          },
+          excluded: {
+            path: reports.excludedReport.filePath,
+            filename: reports.excludedReport.filename,
+            type: 'excluded_urls'
+          },
+          broken: {
+            path: reports.brokenReport.filePath,
+            filename: reports.brokenReport.filename,
+            type: 'broken_urls'
+          },
+          linkHealth: {
+            path: reports.linkHealthReport.filePath,
+            filename: reports.linkHealthReport.filename,
+            csvPath: reports.linkHealthReport.csvPath,
+            type: 'link_health'
+          },
+          linkGraph: {
+            path: reports.linkGraphReport.filePath,
+            filename: reports.linkGraphReport.filename,
+            type: 'link_graph'
+          },
+          duplicates: {
+            path: reports.duplicatesReport.filePath,
+            filename: reports.duplicatesReport.filename,
+            type: 'duplicates'
+          },
+          comparison: reports.comparisonReport ? {
+            path: reports.comparisonReport.filePath,
+            filename: reports.comparisonReport.filename,
+            from: reports.comparisonReport.from,
+            type: 'comparison'
+          } : null,
+          results: {
+            path: reports.resultsFile.filePath,
+            filename: reports.resultsFile.filename,
+            type: 'results'
+          },
+          html: {
+            path: reports.htmlReport.filePath,
+            filename: reports.htmlReport.filename,
+            type: 'html_report'
+          },
+          manifest: reports.manifestFile ? {
+            path: reports.manifestFile.filePath,
+            filename: reports.manifestFile.filename,
+            type: 'manifest'
+          } : null
         }
       },
       
@@ -463,9 +815,10 @@ class AuditController {
       const wordCount = parseInt(row['Word Count']) || 0;
       totalWordCount += wordCount;
       
-      if (row.Title) {
+      const rowTitle = row['Title 1'] || row.Title;
+      if (rowTitle) {
         pagesWithTitles++;
-        const title = row.Title.toLowerCase();
+        const title = rowTitle.toLowerCase();
         duplicateTitles[title] = (duplicateTitles[title] || 0) + 1;
       }
       
@@ -611,7 +964,7 @@ class AuditController {
       const wordCount = parseInt(row['Word Count']) || 0;
       totalWordCount += wordCount;
       
-      if (row.Title) stats.pagesWithTitles++;
+      if (row['Title 1'] || row.Title) stats.pagesWithTitles++;
       if (row['Meta Description 1']) stats.pagesWithMetaDesc++;
       if (row['H1-1']) stats.pagesWithH1++;
       if (row.Indexability === 'Indexable') stats.indexablePages++;
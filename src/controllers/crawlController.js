@@ -3,10 +3,13 @@ const logger = require('../utils/logger');
 const config = require('../config');
 const fileService = require('../services/fileService');
 const crawlerService = require('../services/crawlerService');
-const { validateUrl } = require('../utils/validation');
+const sitemapService = require('../services/sitemapService');
+const crawlScopeService = require('../services/crawlScopeService');
+const { isCancelledError } = require('../utils/cancellation');
+const { validateUrl, validateCrawlScope } = require('../utils/validation');
 
 class CrawlController {
-  async crawlWebsite(url, slug) {
+  async crawlWebsite(url, slug, options = {}) {
     const startTime = Date.now();
     logger.info(`Starting crawl for URL: ${url} with slug: ${slug}`);
 
@@ -16,30 +19,111 @@ class CrawlController {
         throw new Error('Invalid URL provided');
       }
 
+      const scopeErrors = validateCrawlScope(options.scope, config.crawler.scope.maxUrlsLimit);
+      if (scopeErrors.length > 0) {
+        const error = new Error(`Invalid crawl scope: ${scopeErrors.join('; ')}`);
+        error.validationErrors = scopeErrors;
+        throw error;
+      }
+
       const outputDir = path.join(config.paths.exportsDir, slug);
 
       // Prepare directory
       await fileService.removeDirectory(outputDir);
       await fileService.ensureDirectoryExists(outputDir);
 
+      // Sessions record how the export was crawled for reproducibility
+      const scope = crawlScopeService.resolve(options.scope);
+      await crawlScopeService.save(outputDir, { engine: config.crawler.engine, mode: 'spider', startUrl: url, scope });
+
+      // Sitemap URLs are kept for the coverage report and seed native crawls; Screaming Frog follows its own
+      // sitemap settings, which the response says instead of reporting the sitemap as seeded
+      const sitemapData = await this._collectSitemaps(url, options);
+      const seedUrls = sitemapData && config.crawler.sitemaps.seedCrawl && config.crawler.engine === 'native'
+        ? sitemapData.urls.map(item => item.loc)
+        : [];
+      const seedNote = sitemapData && config.crawler.sitemaps.seedCrawl && config.crawler.engine !== 'native'
+        ? `Sitemap URLs only seed native crawls; the ${config.crawler.engine} engine follows its own sitemap settings`
+        : null;
+
       // Execute crawl
-      await crawlerService.execute(url, outputDir);
+      await crawlerService.execute(url, outputDir, undefined, { ...options, seedUrls, scope });
+
+      if (sitemapData) {
+        await sitemapService.save(outputDir, { ...sitemapData, startUrl: url, seeded: seedUrls.length > 0 });
+      }
 
       const duration = Date.now() - startTime;
       logger.info(`Crawl completed in ${duration}ms`);
 
       return {
         success: true,
+        mode: 'spider',
         outputDir,
         duration,
         slug,
-        url
+        url,
+        sitemap: sitemapData
+          ? { sitemapCount: sitemapData.sitemaps.length, urlCount: sitemapData.urls.length, seeded: seedUrls.length > 0, ...(seedNote ? { note: seedNote } : {}) }
+          : null,
+        scope
       };
     } catch (error) {
       logger.error(`Crawl failed: ${error.message}`);
       throw error;
     }
   }
+
+  // List mode: exactly these URLs, no link discovery and no sitemap coverage
+  async crawlUrlList(urls, slug, options = {}) {
+    const startTime = Date.now();
+    logger.info(`Starting list-mode crawl of ${urls.length} URLs with slug: ${slug}`);
+
+    try {
+      const invalid = urls.filter(url => !validateUrl(url));
+      if (urls.length === 0 || invalid.length > 0) {
+        throw new Error(`Invalid URL list provided${invalid.length > 0 ? `: ${invalid.slice(0, 5).join(', ')}` : ''}`);
+      }
+
+      const outputDir = path.join(config.paths.exportsDir, slug);
+
+      await fileService.removeDirectory(outputDir);
+      await fileService.ensureDirectoryExists(outputDir);
+      await crawlScopeService.save(outputDir, { engine: config.crawler.engine, mode: 'list', urlCount: urls.length, scope: null });
+
+      const crawlResult = await crawlerService.executeList(urls, outputDir, options);
+
+      const duration = Date.now() - startTime;
+      logger.info(`List-mode crawl completed in ${duration}ms`);
+
+      return {
+        success: true,
+        mode: 'list',
+        outputDir,
+        duration,
+        slug,
+        urlCount: urls.length,
+        pagesCrawled: crawlResult.pagesCrawled
+      };
+    } catch (error) {
+      logger.error(`List-mode crawl failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // A missing or broken sitemap never fails the crawl
+  async _collectSitemaps(url, options) {
+    if (!config.crawler.sitemaps.enabled) return null;
+
+    try {
+      const sitemapUrls = await sitemapService.discover(url, options);
+      return await sitemapService.collect(sitemapUrls, options);
+    } catch (error) {
+      if (isCancelledError(error) || (options.signal && options.signal.aborted)) throw error;
+      logger.warn(`Sitemap collection failed: ${error.message}`);
+      return null;
+    }
+  }
 }
 
 module.exports = new CrawlController();
\ No newline at end of file
@@ -0,0 +1,36 @@
+// src/providers/index.js - Select the LLM provider configured in config/audit.js
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  'openai': OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'mock': MockProvider
+};
+
+// llmConfig is the `llm` section of config/audit.js
+function createProvider(llmConfig) {
+  const Provider = PROVIDERS[llmConfig.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider '${llmConfig.provider}'. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(llmConfig[llmConfig.provider] || {});
+}
+
+// Provider name and model without instantiating anything (no API key needed)
+function describeProvider(llmConfig) {
+  const providerConfig = llmConfig[llmConfig.provider] || {};
+  return {
+    provider: llmConfig.provider,
+    model: providerConfig.model,
+    baseURL: providerConfig.baseURL || null
+  };
+}
+
+module.exports = {
+  createProvider,
+  describeProvider,
+  availableProviders: Object.keys(PROVIDERS)
+};
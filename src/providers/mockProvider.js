@@ -0,0 +1,210 @@
+// src/providers/mockProvider.js - Deterministic offline provider for tests, demos and air-gapped runs
+const { createCancelledError, cancellableDelay } = require('../utils/cancellation');
+const { countTokens, countMessageTokens } = require('../utils/tokenCounter');
+
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.defaultModel = options.model || 'mock-seo-model';
+    this.latencyMs = options.latencyMs || 0;
+  }
+
+  // Same interface as the real providers; the answer depends only on the messages
+  async complete(messages, { model, signal } = {}) {
+    if (signal && signal.aborted) {
+      throw createCancelledError('Mock request cancelled');
+    }
+    if (this.latencyMs > 0) {
+      await cancellableDelay(this.latencyMs, signal);
+    }
+
+    const userMessage = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = userMessage ? userMessage.content : '';
+    const rows = this._extractJsonRows(prompt);
+
+    let content;
+    if (rows.length > 0 && rows[0].url !== undefined) {
+      content = this._pageAnalysisJson(rows);
+    } else if (rows.length > 0) {
+      content = this._chunkAnalysisResponse(rows);
+    } else {
+      content = this._siteAnalysisResponse(prompt);
+    }
+
+    const promptTokens = countMessageTokens(messages, this.defaultModel);
+    const completionTokens = countTokens(content, this.defaultModel);
+
+    return {
+      content,
+      finishReason: 'stop',
+      model: model || this.defaultModel,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  // Pages/rows are sent as a pretty-printed JSON array inside the user message
+  _extractJsonRows(text) {
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) return [];
+
+    try {
+      const parsed = JSON.parse(text.substring(start, end + 1));
+      return Array.isArray(parsed) ? parsed.filter(row => row && typeof row === 'object') : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _assessBatchPage(page) {
+    return this._assessPage({
+      title: page.title === 'No title' ? '' : page.title,
+      metaDescription: page.metaDescription === 'Missing' ? '' : page.metaDescription,
+      h1: page.h1 === 'Missing' ? '' : page.h1,
+      wordCount: parseInt(page.wordCount) || 0,
+      statusCode: String(page.statusCode || '')
+    });
+  }
+
+  // Per-page batches use structured output (see utils/pageAnalysisSchema.js)
+  _pageAnalysisJson(pages) {
+    return JSON.stringify({
+      pages: pages.map(page => {
+        const { score, issues, quickWins, recommendations } = this._assessBatchPage(page);
+        return {
+          url: page.url,
+          seoScore: score,
+          issues,
+          quickWins,
+          recommendations,
+          priority: score < 60 ? 'High' : score < 80 ? 'Medium' : 'Low'
+        };
+      })
+    });
+  }
+
+  _chunkAnalysisResponse(rows) {
+    const assessments = rows.map(row => ({
+      url: row.Address || row.URL || 'Unknown',
+      ...this._assessPage({
+        title: row['Title 1'] || row.Title || '',
+        metaDescription: row['Meta Description 1'] || '',
+        h1: row['H1-1'] || '',
+        wordCount: parseInt(row['Word Count']) || 0,
+        statusCode: String(row['Status Code'] || '')
+      })
+    }));
+
+    const average = Math.round(assessments.reduce((sum, page) => sum + page.score, 0) / assessments.length);
+    const issueCounts = {};
+    assessments.forEach(page => page.issues.forEach(issue => {
+      issueCounts[issue] = (issueCounts[issue] || 0) + 1;
+    }));
+
+    const lines = [
+      '## Chunk Summary',
+      `Pages in chunk: ${assessments.length}`,
+      `Average Score: ${average}`,
+      '',
+      '## Common Issues',
+      ...Object.entries(issueCounts)
+        .sort(([, a], [, b]) => b - a)
+        .map(([issue, count]) => `- ${issue} (${count} pages)`),
+      '',
+      '## Page Scores',
+      ...assessments.map(page => `- ${page.url}: ${page.score}/100`)
+    ];
+
+    return lines.join('\n');
+  }
+
+  _siteAnalysisResponse(prompt) {
+    // Reuse any scores present in the prompt so the summary stays consistent with the chunks
+    const scores = [...prompt.matchAll(/Average Score:\s*(\d+(?:\.\d+)?)/gi)].map(match => parseFloat(match[1]));
+    const average = scores.length > 0
+      ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
+      : 70;
+
+    return [
+      '## 1. Overall Site Health Summary',
+      'Mock analysis generated offline. The site has a solid technical base with on-page gaps.',
+      '',
+      '## 2. Average SEO Score',
+      `Average Score: ${average}`,
+      '',
+      '## 3. Common Issues',
+      '- Missing or short meta descriptions',
+      '- Missing H1 headings on some pages',
+      '- Thin content on supporting pages',
+      '',
+      '## 4. Technical SEO Analysis',
+      '- Review non-200 status codes and redirect chains',
+      '- Confirm canonical tags point to the preferred URLs',
+      '',
+      '## 5. Priority Recommendations',
+      '- Write unique meta descriptions for key landing pages',
+      '- Add a single descriptive H1 to every page',
+      '',
+      '## 6. Quick Wins',
+      '- Fix titles outside the 30-60 character range',
+      '- Expand pages under 300 words'
+    ].join('\n');
+  }
+
+  _assessPage({ title, metaDescription, h1, wordCount, statusCode }) {
+    const issues = [];
+    const quickWins = [];
+    const recommendations = [];
+    let score = 100;
+
+    if (!title) {
+      score -= 20;
+      issues.push('Missing page title');
+      quickWins.push('Add a descriptive title tag');
+    } else if (title.length < 30 || title.length > 60) {
+      score -= 5;
+      recommendations.push('Adjust title length to 30-60 characters');
+    }
+
+    if (!metaDescription) {
+      score -= 15;
+      issues.push('Missing meta description');
+      quickWins.push('Write a compelling meta description');
+    }
+
+    if (!h1) {
+      score -= 10;
+      issues.push('Missing H1 tag');
+      quickWins.push('Add a single descriptive H1');
+    }
+
+    if (wordCount < 300) {
+      score -= 10;
+      issues.push('Thin content');
+      recommendations.push('Expand the content with useful, relevant information');
+    }
+
+    if (statusCode && statusCode !== '200') {
+      score -= 20;
+      issues.push(`Non-200 status code (${statusCode})`);
+      recommendations.push('Fix or redirect this URL');
+    }
+
+    if (recommendations.length === 0) {
+      recommendations.push('Monitor performance and keep content fresh');
+    }
+
+    return {
+      score: Math.max(0, score),
+      issues: issues.length > 0 ? issues : ['No critical issues detected'],
+      quickWins: quickWins.length > 0 ? quickWins : ['Review internal linking to this page'],
+      recommendations
+    };
+  }
+}
+
+module.exports = MockProvider;
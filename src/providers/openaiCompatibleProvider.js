@@ -0,0 +1,18 @@
+// src/providers/openaiCompatibleProvider.js - Local/self-hosted servers exposing the OpenAI API (Ollama, llama.cpp, vLLM...)
+const OpenAIProvider = require('./openaiProvider');
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  // baseURL comes from LLM_BASE_URL, which defaults to a local Ollama server (config/audit.js)
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'openai-compatible',
+      // Most local servers ignore the key, but the SDK refuses to start without one
+      apiKey: options.apiKey || 'not-needed'
+    });
+
+    this.baseURL = options.baseURL;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,45 @@
+// src/providers/openaiProvider.js - Chat completions against the OpenAI API
+const { OpenAI } = require('openai');
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is not set in environment variables');
+    }
+
+    this.name = options.name || 'openai';
+    this.defaultModel = options.model;
+    this.client = new OpenAI({
+      apiKey,
+      ...(options.baseURL ? { baseURL: options.baseURL } : {})
+    });
+  }
+
+  // Provider interface: complete(messages, options) -> { content, model, usage, finishReason }
+  // responseFormat is passed through as response_format (json_schema / json_object)
+  async complete(messages, { model, temperature, maxTokens, responseFormat, signal } = {}) {
+    const response = await this.client.chat.completions.create({
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(responseFormat ? { response_format: responseFormat } : {})
+    }, { signal });
+
+    const usage = response.usage || {};
+
+    return {
+      content: response.choices[0]?.message?.content?.trim(),
+      finishReason: response.choices[0]?.finish_reason || null,
+      model: response.model || model || this.defaultModel,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
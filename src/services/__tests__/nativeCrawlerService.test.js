@@ -0,0 +1,150 @@
+// src/services/__tests__/nativeCrawlerService.test.js - Native crawler against a local fixture site
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const nativeCrawlerService = require('../nativeCrawlerService');
+const crawlScopeService = require('../crawlScopeService');
+const fileService = require('../fileService');
+
+// Word count covers the visible body text: the <h1>, the paragraph and one word per link
+const page = ({ title, h1, body, links = [], head = '' }) =>
+  `<html><head><title>${title}</title>${head}</head><body><h1>${h1}</h1><p>${body}</p>` +
+  `${links.map(href => `<a href="${href}">link</a>`).join(' ')}</body></html>`;
+
+function createFixtureSite() {
+  const pages = {
+    '/': () => page({
+      title: 'Home',
+      h1: 'Welcome home',
+      body: 'our fixture site home page',
+      links: ['/about', '/old', '/missing', '/private', '/canonical', 'https://example.org/']
+    }),
+    '/about': () => page({ title: 'About', h1: 'About us', body: 'about the fixture', links: ['/', '/deep'] }),
+    '/private': () => page({ title: 'Private', h1: 'Private', body: 'not for search engines', head: '<meta name="robots" content="noindex">' }),
+    '/canonical': () => page({ title: 'Copy', h1: 'Copy of about', body: 'same content', head: `<link rel="canonical" href="${baseUrl}/about">` }),
+    '/deep': () => page({ title: 'Deep', h1: 'Deep', body: 'two clicks down', links: ['/deeper', '/about'] }),
+    '/deeper': () => page({ title: 'Deeper', h1: 'Deeper', body: 'three clicks down' })
+  };
+
+  let baseUrl;
+  const server = http.createServer((req, res) => {
+    if (req.url === '/old') {
+      res.writeHead(301, { Location: '/about' });
+      return res.end();
+    }
+
+    const render = pages[req.url];
+    res.writeHead(render ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(render ? render() : '<html><body>Not found</body></html>');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, baseUrl });
+    });
+  });
+}
+
+describe('nativeCrawlerService.crawl', () => {
+  let server;
+  let baseUrl;
+  let outputDir;
+
+  beforeAll(async () => {
+    ({ server, baseUrl } = await createFixtureSite());
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'native-crawl-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  async function crawl(scope = {}) {
+    await nativeCrawlerService.crawl(`${baseUrl}/`, outputDir, { scope: crawlScopeService.resolve(scope, 'native') });
+    const rows = await fileService.readAndParseCSV(path.join(outputDir, 'internal_all.csv'));
+    return new Map(rows.map(row => [row.Address.replace(baseUrl, ''), row]));
+  }
+
+  test('writes the Screaming Frog columns the pipeline reads', async () => {
+    const rows = await crawl();
+
+    expect([...rows.keys()].sort()).toEqual(['/', '/about', '/canonical', '/deep', '/deeper', '/missing', '/old', '/private']);
+
+    expect(rows.get('/')).toMatchObject({
+      'Address': `${baseUrl}/`,
+      'Status Code': '200',
+      'Title 1': 'Home',
+      'H1-1': 'Welcome home',
+      'Word Count': '13',
+      'Indexability': 'Indexable',
+      'Crawl Depth': '0',
+      'Inlinks': '1',
+      'Outlinks': '5',
+      'External Outlinks': '1'
+    });
+
+    // Linked from the home page, the /old redirect and /deep
+    expect(rows.get('/about')).toMatchObject({
+      'Status Code': '200',
+      'Title 1': 'About',
+      'H1-1': 'About us',
+      'Word Count': '7',
+      'Indexability': 'Indexable',
+      'Crawl Depth': '1',
+      'Inlinks': '3',
+      'Outlinks': '2'
+    });
+  });
+
+  test('records redirects, errors, noindex and canonicalised pages as non-indexable', async () => {
+    const rows = await crawl();
+
+    expect(rows.get('/old')).toMatchObject({
+      'Status Code': '301',
+      'Redirect URL': `${baseUrl}/about`,
+      'Indexability': 'Non-Indexable',
+      'Indexability Status': 'Redirected',
+      'Inlinks': '1',
+      'Outlinks': '1'
+    });
+    expect(rows.get('/missing')).toMatchObject({
+      'Status Code': '404',
+      'Indexability': 'Non-Indexable',
+      'Indexability Status': 'Client Error'
+    });
+    expect(rows.get('/private')).toMatchObject({
+      'Status Code': '200',
+      'Title 1': 'Private',
+      'Indexability': 'Non-Indexable',
+      'Indexability Status': 'noindex'
+    });
+    expect(rows.get('/canonical')).toMatchObject({
+      'Status Code': '200',
+      'Canonical Link Element 1': `${baseUrl}/about`,
+      'Indexability': 'Non-Indexable',
+      'Indexability Status': 'Canonicalised'
+    });
+  });
+
+  test('stops at the maximum depth', async () => {
+    const rows = await crawl({ maxDepth: 1 });
+
+    expect([...rows.keys()].sort()).toEqual(['/', '/about', '/canonical', '/missing', '/old', '/private']);
+    expect([...rows.values()].every(row => parseInt(row['Crawl Depth']) <= 1)).toBe(true);
+  });
+
+  test('stops at the page limit, breadth first', async () => {
+    const rows = await crawl({ maxUrls: 3 });
+
+    expect(rows.size).toBe(3);
+    expect(rows.has('/')).toBe(true);
+    expect([...rows.values()].every(row => parseInt(row['Crawl Depth']) <= 1)).toBe(true);
+  });
+});
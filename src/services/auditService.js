@@ -11,62 +11,87 @@ if (result.error) {
   console.log('.env file loaded successfully from:', envPath);
 }
 
-const { OpenAI } = require('openai');
 const logger = require('../utils/logger');
 const workflowLogger = require('../utils/workflowLogger');
+const rulesService = require('./rulesService');
 const chunkService = require('./chunkService');
+const cacheService = require('./cacheService');
 const config = require('../config/audit');
 const fileService = require('./fileService');
+const { reportProgress } = require('../utils/progress');
+const { createCancelledError, isCancelledError, throwIfCancelled, cancellableDelay } = require('../utils/cancellation');
+const { createProvider, describeProvider } = require('../providers');
+const { countTokens, countMessageTokens } = require('../utils/tokenCounter');
+const { RESPONSE_FORMATS, parsePageAnalysisJson, validatePageAnalysis } = require('../utils/pageAnalysisSchema');
 
 class AuditService {
   constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      workflowLogger.error('OPENAI_API_KEY not found in environment');
-      throw new Error('OPENAI_API_KEY is not set in environment variables');
+    // Created on first use so the service can be required without any API key configured
+    this.provider = null;
+  }
+
+  _getProvider() {
+    if (!this.provider) {
+      try {
+        this.provider = createProvider(config.llm);
+      } catch (error) {
+        workflowLogger.error('LLM provider initialization failed', {
+          provider: config.llm.provider,
+          error: error.message
+        });
+        throw error;
+      }
+
+      workflowLogger.info('LLM provider initialized', {
+        provider: this.provider.name,
+        model: this.provider.defaultModel
+      });
     }
-    
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    
-    workflowLogger.info('OpenAI client initialized for fast processing');
+
+    return this.provider;
   }
 
   // Optimized site-wide analysis with smart chunking
-  async analyzeCSVData(csvData, slug) {
+  async analyzeCSVData(csvData, slug, options = {}) {
     try {
       const promptTemplate = await fileService.readFile(config.files.promptPath);
+
+      // Statistics cover every page; only the first pages within budget go through the LLM
+      const analysisRows = this._applyPageLimit(csvData, 'site_overview', slug, options);
       
       // Smart chunking based on data size - balance speed with API limits
       let chunks;
-      if (csvData.length > 300) {
+      if (analysisRows.length > 300) {
         // Large dataset: use size-based chunking for speed
-        chunks = chunkService.chunkBySize(csvData, 25); // 25 pages per chunk
+        chunks = chunkService.chunkBySize(analysisRows, 25); // 25 pages per chunk
         workflowLogger.info('Using size-based chunking for large dataset', { 
           slug,
-          rowCount: csvData.length,
+          rowCount: analysisRows.length,
           chunkCount: chunks.length,
           method: 'size-based'
         });
       } else {
         // Smaller dataset: use smart token-based chunking
-        chunks = chunkService.smartChunk(csvData, 4000); // Larger token limit for fewer chunks
+        chunks = chunkService.smartChunk(analysisRows, 4000); // Larger token limit for fewer chunks
         workflowLogger.info('Using smart chunking for dataset', { 
           slug,
-          rowCount: csvData.length,
+          rowCount: analysisRows.length,
           chunkCount: chunks.length,
           method: 'smart'
         });
       }
       
-      logger.info(`Smart chunking: ${chunks.length} chunks for ${csvData.length} rows`);
+      logger.info(`Smart chunking: ${chunks.length} chunks for ${analysisRows.length} rows`);
       
       // Process chunks with optimized concurrency
-      const chunkResults = await this._processChunksOptimized(chunks, promptTemplate, slug);
-      const finalAnalysis = await this._generateFinalAnalysis(chunkResults, slug);
+      const chunkResults = await this._processChunksOptimized(chunks, promptTemplate, slug, options);
+      const siteStatistics = this._computeSiteStatistics(csvData);
+      const { analysis: finalAnalysis, synthesis } = await this._generateFinalAnalysis(chunkResults, slug, siteStatistics, options);
       
       return {
         chunkResults,
+        siteStatistics,
+        synthesis,
         finalAnalysis: this._cleanAnalysisText(finalAnalysis),
         summary: this._extractSummary(finalAnalysis)
       };
@@ -82,26 +107,41 @@ class AuditService {
   }
 
   // Optimized individual page analysis
-  async analyzeIndividualPages(pageData, slug) {
+  async analyzeIndividualPages(pageData, slug, options = {}) {
     try {
       workflowLogger.info('Starting optimized page analysis', {
         slug,
         pageCount: pageData.length
       });
 
-      // Skip individual page analysis for very large sites to save time
-      if (pageData.length > 1000) {
+      // Skip individual page analysis for very large sites to save time and budget
+      const skipThreshold = config.performance.skipPerPageAnalysisThreshold;
+      if (pageData.length > skipThreshold) {
         workflowLogger.info('Skipping individual page analysis for large site', {
           slug,
           pageCount: pageData.length,
+          threshold: skipThreshold,
           reason: 'Performance optimization for large sites'
         });
+        if (options.budget) {
+          options.budget.recordHit(
+            { limit: 'skipPerPageAnalysisThreshold', used: pageData.length, max: skipThreshold },
+            'per_page',
+            { message: `Per-page AI analysis skipped for sites over ${skipThreshold} pages` }
+          );
+        }
         
-        // Return basic analysis for large sites
-        return this._generateBasicPageAnalysis(pageData, slug);
+        // Return rule-based analysis for large sites
+        return this._generateBasicPageAnalysis(pageData, slug, `Site exceeds ${skipThreshold} pages`);
       }
 
+      const llmPages = this._applyPageLimit(pageData, 'per_page', slug, options);
+      const rulesOnlyPages = pageData.slice(llmPages.length);
+
       const perPagePrompt = await this._getPerPagePrompt();
+
+      // Pages whose crawl data is unchanged since a previous session reuse their cached analysis
+      const { reused, pending: pagesToAnalyze } = await this._reusePageAnalyses(llmPages, perPagePrompt, options);
       
       // Optimize batch size based on data volume for speed
       let batchSize = 8; // Increased default
@@ -111,22 +151,36 @@ class AuditService {
         batchSize = 5; // Smaller batches for small sites
       }
       
-      const batches = this._createPageBatches(pageData, batchSize);
+      const batches = this._createPageBatches(pagesToAnalyze, batchSize);
       
       workflowLogger.info('Optimized batch processing', {
         slug,
         totalPages: pageData.length,
+        reusedFromCache: reused.length,
         batchCount: batches.length,
         batchSize,
         estimatedDuration: `${Math.round(batches.length * 6 / 60)} minutes`
       });
 
-      const allPageAnalyses = [];
+      const allPageAnalyses = [...reused];
       const concurrentBatches = 2; // Process 2 batches concurrently for speed
       
       // Process batches with concurrency for speed
       for (let i = 0; i < batches.length; i += concurrentBatches) {
+        throwIfCancelled(options.signal, 'Page analysis cancelled');
         const currentBatches = batches.slice(i, i + concurrentBatches);
+
+        // Stop calling the LLM once the next batches would cross the token/spend budget
+        const estimatedTokens = currentBatches.reduce(
+          (total, batch) => total + chunkService.countTokens(perPagePrompt) + this._estimatePageBatchTokens(batch),
+          0
+        );
+        const budgetHit = this._checkBudget(options, estimatedTokens, 'per_page');
+        if (budgetHit) {
+          const remaining = batches.slice(i).flat();
+          allPageAnalyses.push(...this._generateBasicPageAnalysis(remaining, slug, `Budget limit reached (${budgetHit.limit})`));
+          break;
+        }
         
         // Progress logging
         if (i % 10 === 0 || i + concurrentBatches >= batches.length) {
@@ -140,18 +194,29 @@ class AuditService {
         try {
           // Process batches concurrently
           const batchPromises = currentBatches.map((batch, batchIndex) => 
-            this._analyzePageBatchOptimized(batch, perPagePrompt, slug, i + batchIndex + 1)
+            this._analyzePageBatchOptimized(batch, perPagePrompt, slug, i + batchIndex + 1, options)
           );
           
           const batchResults = await Promise.all(batchPromises);
           batchResults.forEach(result => allPageAnalyses.push(...result));
+          await this._storePageAnalyses(currentBatches.flat(), batchResults.flat(), perPagePrompt, options);
+
+          const completedBatches = Math.min(i + concurrentBatches, batches.length);
+          reportProgress(options, 'page_batch_progress', {
+            completed: completedBatches,
+            total: batches.length,
+            pagesAnalyzed: allPageAnalyses.length,
+            percent: Math.round((completedBatches / batches.length) * 100)
+          });
           
           // Reduced delay for speed
           if (i + concurrentBatches < batches.length) {
-            await this._delay(1500); // 1.5 seconds between concurrent batches
+            await this._delay(1500, options.signal); // 1.5 seconds between concurrent batches
           }
           
         } catch (batchError) {
+          if (isCancelledError(batchError)) throw batchError;
+
           workflowLogger.error('Concurrent batch processing failed', {
             slug,
             batchRange: `${i + 1}-${Math.min(i + concurrentBatches, batches.length)}`,
@@ -162,10 +227,26 @@ class AuditService {
         }
       }
 
+      if (rulesOnlyPages.length > 0) {
+        allPageAnalyses.push(...this._generateBasicPageAnalysis(
+          rulesOnlyPages,
+          slug,
+          `Beyond the per-page analysis limit of ${llmPages.length} pages`
+        ));
+      }
+
+      // Restore crawl order (cached pages were collected first)
+      const crawlOrder = new Map(pageData.map((page, index) => [this._normalizePageUrl(page.Address || page.URL), index]));
+      allPageAnalyses.sort((a, b) =>
+        (crawlOrder.get(this._normalizePageUrl(a.url)) ?? 0) - (crawlOrder.get(this._normalizePageUrl(b.url)) ?? 0)
+      );
+
+      const heuristicPages = allPageAnalyses.filter(page => page.analysisSource === 'heuristic');
       workflowLogger.info('Optimized page analysis completed', {
         slug,
         totalPagesAnalyzed: allPageAnalyses.length,
         expectedPages: pageData.length,
+        heuristicFallbacks: heuristicPages.length,
         successRate: `${Math.round((allPageAnalyses.length / pageData.length) * 100)}%`
       });
 
@@ -181,53 +262,50 @@ class AuditService {
     }
   }
 
-  // Generate basic analysis for large sites to maintain speed
-  _generateBasicPageAnalysis(pageData, slug) {
-    return pageData.slice(0, 50).map((page, index) => { // Analyze only first 50 pages
-      const url = page.Address || page.URL || 'Unknown';
-      const title = page.Title || 'No title';
-      const metaDescription = page['Meta Description 1'] || 'Missing';
-      
-      // Basic scoring based on available data
-      let score = 50;
-      if (title && title.length > 0) score += 15;
-      if (metaDescription && metaDescription.length > 0) score += 15;
-      if (page['H1-1'] && page['H1-1'].length > 0) score += 10;
-      if (page['Status Code'] === '200') score += 10;
-      
-      const wordCount = parseInt(page['Word Count']) || 0;
-      if (wordCount > 300) score += 10;
-      
-      // Basic issues detection
-      const issues = [];
-      if (!title || title.length === 0) issues.push('Missing page title');
-      if (!metaDescription || metaDescription.length === 0) issues.push('Missing meta description');
-      if (!page['H1-1'] || page['H1-1'].length === 0) issues.push('Missing H1 tag');
-      if (wordCount < 300) issues.push('Thin content');
-      
+  // Rule-based analysis without API calls, for pages the LLM skipped or was not allowed to analyze
+  _generateBasicPageAnalysis(pageData, slug, fallbackReason = null) {
+    return pageData.map(page => {
+      const findings = rulesService.evaluatePage(page);
+      const score = rulesService.calculateScore(findings);
+      const issues = findings.filter(finding => finding.severity !== 'notice').map(finding => finding.message);
+      const fixes = [...new Set(findings.map(finding => rulesService.getRuleFix(finding.ruleId)))];
+      const priority = score < 60 ? 'High' : score < 80 ? 'Medium' : 'Low';
+
       return {
-        url,
-        title,
-        metaDescription,
-        seoScore: Math.min(100, score),
+        url: page.Address || page.URL || 'Unknown',
+        title: page['Title 1'] || page.Title || 'No title',
+        metaDescription: page['Meta Description 1'] || 'Missing',
+        seoScore: score,
         issues: issues.slice(0, 3),
-        quickWins: issues.slice(0, 2),
-        recommendations: [`Optimize ${issues[0] || 'page structure'}`],
-        priority: score < 60 ? 'High' : score < 80 ? 'Medium' : 'Low',
-        estimatedImpact: score < 60 ? 'High' : 'Medium'
+        quickWins: fixes.slice(0, 2),
+        recommendations: fixes.length > 0 ? fixes.slice(0, 3) : ['Monitor performance and keep content fresh'],
+        priority,
+        estimatedImpact: this._calculateEstimatedImpact(score, priority),
+        analysisSource: 'heuristic',
+        ...(fallbackReason ? { fallbackReason } : {})
       };
     });
   }
 
   // Optimized chunk processing with better concurrency
-  async _processChunksOptimized(chunks, promptTemplate, slug) {
+  async _processChunksOptimized(chunks, promptTemplate, slug, options = {}) {
     const concurrencyLimit = 3; // Optimal for most cases
     const results = [];
     
     for (let i = 0; i < chunks.length; i += concurrencyLimit) {
+      throwIfCancelled(options.signal, 'Site analysis cancelled');
       const batch = chunks.slice(i, i + concurrencyLimit);
       const batchNumber = Math.floor(i / concurrencyLimit) + 1;
       const totalBatches = Math.ceil(chunks.length / concurrencyLimit);
+
+      // Remaining chunks are left out of the site overview once the budget is spent
+      const estimatedTokens = batch.reduce(
+        (total, chunk) => total + chunkService.countTokens(promptTemplate) + chunkService.countTokens(chunkService.serializeRows(chunk)),
+        0
+      );
+      if (this._checkBudget(options, estimatedTokens, 'site_overview', { chunksSkipped: chunks.length - i })) {
+        break;
+      }
       
       // Progress logging
       if (batchNumber % 3 === 1 || batchNumber === totalBatches) {
@@ -239,18 +317,27 @@ class AuditService {
       
       const batchPromises = batch.map((chunk, batchIndex) => {
         const chunkNumber = i + batchIndex + 1;
-        return this._analyzeChunk(chunk, promptTemplate, slug, chunkNumber, chunks.length);
+        return this._analyzeChunk(chunk, promptTemplate, slug, chunkNumber, chunks.length, options);
       });
       
       try {
         const batchResults = await Promise.all(batchPromises);
         results.push(...batchResults);
+
+        const completedChunks = Math.min(i + concurrencyLimit, chunks.length);
+        reportProgress(options, 'chunk_progress', {
+          completed: completedChunks,
+          total: chunks.length,
+          percent: Math.round((completedChunks / chunks.length) * 100)
+        });
         
         // Shorter delay for speed
         if (i + concurrencyLimit < chunks.length) {
-          await this._delay(1500); // 1.5 seconds
+          await this._delay(1500, options.signal); // 1.5 seconds
         }
       } catch (error) {
+        if (isCancelledError(error)) throw error;
+
         logger.error(`Chunk batch ${batchNumber} failed: ${error.message}`);
         // Continue with next batch
         continue;
@@ -260,47 +347,249 @@ class AuditService {
     return results;
   }
 
-  // Optimized page batch analysis
-  async _analyzePageBatchOptimized(batch, prompt, slug, batchNumber) {
-    // Simplified data structure for faster processing
-    const batchData = batch.map(page => ({
+  // Optimized page batch analysis with structured JSON output keyed by URL.
+  // Pages the model skips or answers invalidly are re-asked, then fall back to rule-based heuristics
+  async _analyzePageBatchOptimized(batch, prompt, slug, batchNumber, options = {}) {
+    const pagesByUrl = new Map(batch.map(page => [this._normalizePageUrl(page.Address || page.URL), page]));
+    const analyses = new Map();
+    let pending = batch;
+    let lastErrors = {};
+    let callError = null;
+
+    for (let attempt = 0; attempt <= config.pageAnalysis.maxReasks && pending.length > 0; attempt++) {
+      throwIfCancelled(options.signal, 'Page analysis cancelled');
+      if (attempt > 0 && this._checkBudget(options, this._estimatePageBatchTokens(pending), 'per_page')) break;
+
+      try {
+        const response = await this._callOpenAIWithRetry(
+          this._buildPageAnalysisMessages(pending, prompt, slug, attempt > 0 ? lastErrors : null),
+          2,
+          {
+            ...options,
+            phase: 'page_analysis',
+            responseFormat: RESPONSE_FORMATS[config.pageAnalysis.responseFormat],
+            validate: content => this._isCompletePageResponse(content, pending)
+          }
+        );
+
+        lastErrors = this._collectPageAnalyses(response, pagesByUrl, analyses);
+        callError = null;
+      } catch (error) {
+        if (isCancelledError(error)) throw error;
+
+        callError = error;
+        workflowLogger.error('Batch LLM call failed', {
+          slug,
+          batchNumber,
+          attempt: attempt + 1,
+          error: error.message
+        });
+      }
+
+      pending = batch.filter(page => !analyses.has(this._normalizePageUrl(page.Address || page.URL)));
+
+      if (pending.length > 0 && attempt < config.pageAnalysis.maxReasks) {
+        workflowLogger.warn('Re-asking for missing or invalid page analyses', {
+          slug,
+          batchNumber,
+          missing: pending.length,
+          errors: lastErrors
+        });
+      }
+    }
+
+    return batch.map(page => {
+      const key = this._normalizePageUrl(page.Address || page.URL);
+      if (analyses.has(key)) {
+        return analyses.get(key);
+      }
+
+      const reason = callError
+        ? `LLM request failed: ${callError.message}`
+        : (lastErrors[key] && lastErrors[key].message) || 'Page missing from the LLM response';
+      workflowLogger.warn('Falling back to heuristic page analysis', { slug, batchNumber, url: page.Address || page.URL, reason });
+
+      return this._generateBasicPageAnalysis([page], slug, reason)[0];
+    });
+  }
+
+  // Simplified data structure for faster processing; also the per-page cache input
+  _pageAnalysisInput(page) {
+    return {
       url: page.Address || page.URL,
-      title: page.Title || 'No title',
+      title: page['Title 1'] || page.Title || 'No title',
       metaDescription: page['Meta Description 1'] || 'Missing',
       wordCount: page['Word Count'] || '0',
       h1: page['H1-1'] || 'Missing',
       statusCode: page['Status Code'] || '',
       indexability: page.Indexability || ''
-    }));
+    };
+  }
 
-    const messages = [
+  _pageCacheKey(page, prompt) {
+    return cacheService.keyFor({
+      model: describeProvider(config.llm),
+      promptVersion: config.cache.promptVersion,
+      prompt,
+      responseFormat: config.pageAnalysis.responseFormat,
+      input: this._pageAnalysisInput(page)
+    });
+  }
+
+  async _reusePageAnalyses(pages, prompt, options = {}) {
+    if (!cacheService.enabled || options.bypassCache) {
+      return { reused: [], pending: pages };
+    }
+
+    const reused = [];
+    const pending = [];
+    for (const page of pages) {
+      const cached = await cacheService.get('pages', this._pageCacheKey(page, prompt));
+      if (cached) {
+        reused.push({ ...cached, cached: true });
+      } else {
+        pending.push(page);
+      }
+    }
+
+    if (options.usage) options.usage.recordReusedPages(reused.length);
+    if (reused.length > 0) {
+      workflowLogger.info('Reusing cached page analyses', { reused: reused.length, pending: pending.length });
+    }
+
+    return { reused, pending };
+  }
+
+  // Only LLM results are cached; heuristic fallbacks should be retried on the next run
+  async _storePageAnalyses(pages, analyses, prompt, options = {}) {
+    if (!cacheService.enabled || options.bypassCache) return;
+
+    const analysesByUrl = new Map(analyses.map(analysis => [this._normalizePageUrl(analysis.url), analysis]));
+    for (const page of pages) {
+      const analysis = analysesByUrl.get(this._normalizePageUrl(page.Address || page.URL));
+      if (analysis && analysis.analysisSource === 'llm') {
+        await cacheService.set('pages', this._pageCacheKey(page, prompt), analysis);
+      }
+    }
+  }
+
+  _buildPageAnalysisMessages(pages, prompt, slug, previousErrors = null) {
+    const batchData = pages.map(page => this._pageAnalysisInput(page));
+
+    let retryNote = '';
+    if (previousErrors) {
+      const problems = Object.values(previousErrors).map(error => `- ${error.url}: ${error.message}`);
+      retryNote = `\n\nYour previous response was missing or invalid for these pages.${problems.length > 0 ? `\n${problems.join('\n')}` : ''}\nReturn a valid entry for every page below.`;
+    }
+
+    return [
       { role: 'system', content: prompt },
       {
         role: 'user',
-        content: `Analyze these ${batch.length} pages from ${slug}:
+        content: `Analyze these ${pages.length} pages from ${slug}:
 
 ${JSON.stringify(batchData, null, 2)}
 
-Provide concise analysis in the specified format.`
+Respond with JSON only: one entry in "pages" per URL above.${retryNote}`
       }
     ];
+  }
 
+  // Only a response that answers every requested page validly is worth caching; anything else would
+  // replay the same re-ask and fallback on every later run of the site
+  _isCompletePageResponse(response, pages) {
+    let entries;
     try {
-      const response = await this._callOpenAIWithRetry(messages, 2);
-      const cleanResponse = this._cleanAnalysisText(response);
-      const parsedResults = this._parsePageAnalysisResponse(cleanResponse, batch);
+      entries = parsePageAnalysisJson(response);
+    } catch {
+      return false;
+    }
 
-      return parsedResults;
+    const valid = new Set(entries
+      .filter(entry => entry && validatePageAnalysis(entry).length === 0)
+      .map(entry => this._normalizePageUrl(entry.url)));
+    return pages.every(page => valid.has(this._normalizePageUrl(page.Address || page.URL)));
+  }
 
-    } catch (error) {
-      workflowLogger.error('Batch OpenAI call failed', {
-        slug,
-        batchNumber,
-        error: error.message
+  // Validate each entry and store the valid ones by URL; returns validation errors by URL
+  _collectPageAnalyses(response, pagesByUrl, analyses) {
+    const errors = {};
+    let entries;
+
+    try {
+      entries = parsePageAnalysisJson(response);
+    } catch (parseError) {
+      workflowLogger.warn('Page analysis response is not valid JSON', { error: parseError.message });
+      return errors;
+    }
+
+    for (const entry of entries) {
+      const key = this._normalizePageUrl(entry && entry.url);
+      const page = pagesByUrl.get(key);
+
+      if (!page) {
+        workflowLogger.debug('Ignoring page analysis for unknown URL', { url: entry && entry.url });
+        continue;
+      }
+      if (analyses.has(key)) continue;
+
+      const validationErrors = validatePageAnalysis(entry);
+      if (validationErrors.length > 0) {
+        errors[key] = { url: page.Address || page.URL, message: validationErrors.join('; ') };
+        continue;
+      }
+
+      analyses.set(key, {
+        url: page.Address || page.URL,
+        title: page['Title 1'] || page.Title || 'No title',
+        metaDescription: page['Meta Description 1'] || 'Missing',
+        seoScore: entry.seoScore,
+        issues: entry.issues.slice(0, 3),
+        quickWins: entry.quickWins.slice(0, 2),
+        recommendations: entry.recommendations.slice(0, 3),
+        priority: entry.priority,
+        estimatedImpact: this._calculateEstimatedImpact(entry.seoScore, entry.priority),
+        analysisSource: 'llm'
       });
-      // Return basic analysis as fallback
-      return this._generateBasicPageAnalysis(batch, slug);
     }
+
+    return errors;
+  }
+
+  // First N pages allowed through the LLM for a phase; records the cap when it bites
+  _applyPageLimit(rows, phase, slug, options = {}) {
+    if (!options.budget) return rows;
+
+    const { limit, max } = options.budget.pageLimit(phase);
+    if (rows.length <= max) return rows;
+
+    options.budget.recordHit({ limit, used: rows.length, max }, phase, {
+      message: `Only the first ${max} of ${rows.length} pages were sent to the LLM`
+    });
+    workflowLogger.warn('Page limit applied', { slug, phase, pageCount: rows.length, limit, max });
+
+    return rows.slice(0, max);
+  }
+
+  // Returns the budget limit that would be crossed by spending estimatedTokens, or null
+  _checkBudget(options, estimatedTokens, phase, details = {}) {
+    if (!options.budget) return null;
+
+    const hit = options.budget.check(estimatedTokens);
+    if (hit) {
+      options.budget.recordHit(hit, phase, details);
+      workflowLogger.warn('Budget limit reached, degrading to rule-based analysis', { phase, ...hit, ...details });
+    }
+    return hit;
+  }
+
+  _estimatePageBatchTokens(batch) {
+    // Prompt side only; the per-page payload dominates the request size
+    return chunkService.countTokens(this._buildPageAnalysisMessages(batch, '', '')[1].content);
+  }
+
+  _normalizePageUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '').toLowerCase();
   }
 
   async _getPerPagePrompt() {
@@ -316,24 +605,10 @@ Provide concise analysis in the specified format.`
   _getDefaultPerPagePrompt() {
     return `You are an expert SEO consultant. Analyze each page quickly and provide structured responses.
 
-For each page, provide EXACTLY this format:
-
----
-URL: [page_url]
-SEO SCORE: [score]/100
-CRITICAL ISSUES:
-- [issue 1]
-- [issue 2]
-QUICK WINS:
-- [win 1] 
-- [win 2]
-RECOMMENDATIONS:
-- [recommendation 1]
-- [recommendation 2]
-PRIORITY: [High/Medium/Low]
----
+Respond with a single JSON object and nothing else:
+{"pages": [{"url": "[page_url exactly as given]", "seoScore": [0-100 integer], "issues": ["..."], "quickWins": ["..."], "recommendations": ["..."], "priority": "High|Medium|Low"}]}
 
-Keep responses concise. Use plain text only.`;
+Return exactly one entry per input page. Keep responses concise. Use plain text only.`;
   }
 
   _createPageBatches(pageData, batchSize) {
@@ -344,113 +619,6 @@ Keep responses concise. Use plain text only.`;
     return batches;
   }
 
-  _parsePageAnalysisResponse(response, originalBatch) {
-    const results = [];
-    
-    try {
-      const pageAnalyses = response.split('---').filter(section => section.trim());
-      
-      pageAnalyses.forEach((analysis, index) => {
-        try {
-          const pageData = this._extractPageData(analysis, originalBatch[index]);
-          if (pageData && pageData.url) {
-            results.push(pageData);
-          }
-        } catch (parseError) {
-          // Fallback to basic analysis for this page
-          if (originalBatch[index]) {
-            const basicData = this._generateBasicPageAnalysis([originalBatch[index]], 'fallback')[0];
-            results.push(basicData);
-          }
-        }
-      });
-
-    } catch (error) {
-      // Return basic analysis as complete fallback
-      return this._generateBasicPageAnalysis(originalBatch, 'fallback');
-    }
-
-    return results;
-  }
-
-  _extractPageData(analysisText, originalPage) {
-    const data = {
-      url: originalPage?.Address || originalPage?.URL || 'Unknown',
-      title: originalPage?.Title || 'No title',
-      metaDescription: originalPage?.['Meta Description 1'] || 'Missing'
-    };
-
-    try {
-      // Extract URL
-      const urlMatch = analysisText.match(/URL:\s*(.+)/i);
-      if (urlMatch) {
-        data.url = urlMatch[1].trim();
-      }
-
-      // Extract SEO score
-      const scoreMatch = analysisText.match(/SEO SCORE:\s*(\d+)/i);
-      data.seoScore = scoreMatch ? parseInt(scoreMatch[1]) : this._calculateBasicScore(originalPage);
-
-      // Extract issues (limit for speed)
-      const issuesMatch = analysisText.match(/CRITICAL ISSUES:(.*?)(?=QUICK WINS:|RECOMMENDATIONS:|PRIORITY:|$)/s);
-      data.issues = [];
-      if (issuesMatch) {
-        data.issues = issuesMatch[1].split('\n')
-          .map(line => line.replace(/^-\s*/, '').trim())
-          .filter(line => line.length > 0)
-          .slice(0, 3);
-      }
-
-      // Extract quick wins
-      const quickWinsMatch = analysisText.match(/QUICK WINS:(.*?)(?=RECOMMENDATIONS:|PRIORITY:|$)/s);
-      data.quickWins = [];
-      if (quickWinsMatch) {
-        data.quickWins = quickWinsMatch[1].split('\n')
-          .map(line => line.replace(/^-\s*/, '').trim())
-          .filter(line => line.length > 0)
-          .slice(0, 2);
-      }
-
-      // Extract recommendations
-      const recommendationsMatch = analysisText.match(/RECOMMENDATIONS:(.*?)(?=PRIORITY:|$)/s);
-      data.recommendations = [];
-      if (recommendationsMatch) {
-        data.recommendations = recommendationsMatch[1].split('\n')
-          .map(line => line.replace(/^-\s*/, '').trim())
-          .filter(line => line.length > 0)
-          .slice(0, 3);
-      }
-
-      // Extract priority
-      const priorityMatch = analysisText.match(/PRIORITY:\s*(High|Medium|Low)/i);
-      data.priority = priorityMatch ? priorityMatch[1] : 'Medium';
-
-      data.estimatedImpact = this._calculateEstimatedImpact(data.seoScore, data.priority);
-
-    } catch (extractError) {
-      // Use basic scoring as fallback
-      data.seoScore = this._calculateBasicScore(originalPage);
-      data.issues = ['Analysis parsing incomplete'];
-      data.quickWins = ['Review page manually'];
-      data.recommendations = ['Manual SEO review needed'];
-      data.priority = 'Medium';
-      data.estimatedImpact = 'Medium';
-    }
-
-    return data;
-  }
-
-  _calculateBasicScore(pageData) {
-    let score = 50;
-    if (pageData?.Title && pageData.Title.length > 0) score += 15;
-    if (pageData?.['Meta Description 1'] && pageData['Meta Description 1'].length > 0) score += 15;
-    if (pageData?.['H1-1'] && pageData['H1-1'].length > 0) score += 10;
-    const wordCount = parseInt(pageData?.['Word Count']) || 0;
-    if (wordCount > 300) score += 10;
-    if (pageData?.['Status Code'] === '200') score += 10;
-    return Math.min(100, score);
-  }
-
   _calculateEstimatedImpact(score, priority) {
     if (!score) return 'Unknown';
     if (score < 50 && priority === 'High') return 'Very High';
@@ -476,32 +644,68 @@ Keep responses concise. Use plain text only.`;
       .trim();
   }
 
-  async _analyzeChunk(chunk, promptTemplate, slug, chunkNumber, totalChunks) {
+  async _analyzeChunk(chunk, promptTemplate, slug, chunkNumber, totalChunks, options = {}) {
+    const rows = chunkService.normalizeRows(chunk);
     const messages = [
       { role: 'system', content: promptTemplate },
       {
         role: 'user',
-        content: `Chunk ${chunkNumber}/${totalChunks} for ${slug}:\n\n${JSON.stringify(chunk, null, 2)}`
+        content: `Chunk ${chunkNumber}/${totalChunks} for ${slug}:\n\n${chunkService.serializeRows(chunk)}`
       }
     ];
     
-    const response = await this._callOpenAIWithRetry(messages, 2);
-    return this._cleanAnalysisText(response);
+    // Keyed on template + rows only, so the same pages hit the cache even if chunk numbering shifts
+    const response = await this._callOpenAIWithRetry(messages, 2, {
+      ...options,
+      phase: 'chunk_analysis',
+      cacheInput: { template: promptTemplate, rows },
+      validate: content => this._cleanAnalysisText(content).length > 0
+    });
+    return {
+      chunkNumber,
+      pageCount: chunk.length,
+      analysis: this._cleanAnalysisText(response)
+    };
   }
 
-  async _generateFinalAnalysis(chunkResults, slug) {
+  // Reduce step: condensed chunk analyses (merged further if over budget) plus crawl statistics
+  async _generateFinalAnalysis(chunkResults, slug, siteStatistics, options = {}) {
+    const { condensedChunkTokens } = config.synthesis;
+
+    let summaries = chunkResults.map(result => ({
+      label: `Chunk ${result.chunkNumber}`,
+      pageCount: result.pageCount,
+      text: this._condenseAnalysis(result.analysis, condensedChunkTokens)
+    }));
+
+    const merged = await this._mergeSummariesWithinBudget(summaries, slug, options);
+    summaries = merged.summaries;
+
+    const analyzedPages = chunkResults.reduce((total, result) => total + result.pageCount, 0);
+    const chunkSection = summaries.length > 0
+      ? summaries.map(summary => `### ${summary.label} (${summary.pageCount} pages)\n${summary.text}`).join('\n\n')
+      : 'No chunk analyses are available (all chunk requests failed). Base the assessment on the statistics only.';
+
     const messages = [
       { 
         role: 'system', 
-        content: 'You are an expert SEO analyst. Provide a comprehensive but concise site-wide SEO assessment.' 
+        content: 'You are an expert SEO analyst. Provide a comprehensive but concise site-wide SEO assessment. Only use the data you are given; do not invent pages, scores or issues.' 
       },
       {
         role: 'user',
-        content: `Based on analyses for ${slug}, provide a comprehensive SEO analysis including:
-        
+        content: `Site-wide SEO analysis for ${slug}.
+
+## Site Statistics (computed from the crawl)
+${this._formatSiteStatistics(siteStatistics)}
+
+## Chunk Analyses (${chunkResults.length} chunks covering ${analyzedPages} of ${siteStatistics.totalPages} pages)
+${chunkSection}
+
+Using the statistics and chunk analyses above, provide a comprehensive SEO analysis including:
+
 1. Overall Site Health Summary
-2. Average SEO Score
-3. Common Issues
+2. Average SEO Score - include a line exactly like "Average Score: <number>", weighted by pages per chunk
+3. Common Issues (with page counts)
 4. Technical SEO Analysis
 5. Priority Recommendations
 6. Quick Wins
@@ -509,35 +713,333 @@ Keep responses concise. Use plain text only.`;
 Keep it comprehensive but concise. Use clear headings.`
       }
     ];
+
+    workflowLogger.info('Generating final site analysis', {
+      slug,
+      chunkCount: chunkResults.length,
+      summaryCount: summaries.length,
+      mergeLevels: merged.levels,
+      promptTokens: chunkService.countTokens(messages[1].content)
+    });
     
-    const analysis = await this._callOpenAIWithRetry(messages, 2);
-    return this._cleanAnalysisText(analysis);
+    const synthesisInfo = {
+      chunkCount: chunkResults.length,
+      analyzedPages,
+      finalSummaryCount: summaries.length,
+      mergeLevels: merged.levels,
+      truncated: merged.truncated
+    };
+
+    if (this._checkBudget(options, countMessageTokens(messages), 'final_analysis')) {
+      return {
+        analysis: this._generateRuleBasedFinalAnalysis(siteStatistics),
+        synthesis: { ...synthesisInfo, ruleBased: true }
+      };
+    }
+
+    const analysis = await this._callOpenAIWithRetry(messages, 2, { ...options, phase: 'final_analysis' });
+    return {
+      analysis: this._cleanAnalysisText(analysis),
+      synthesis: synthesisInfo
+    };
+  }
+
+  // Site summary built from crawl statistics alone, used when the budget leaves no room for the final call
+  _generateRuleBasedFinalAnalysis(stats) {
+    const issues = stats.ruleFindings.slice(0, 8).map(rule => `- ${rule.label} [${rule.severity}]: ${rule.count} pages`);
+    const fixes = stats.ruleFindings.slice(0, 5).map(rule => `- ${rulesService.getRuleFix(rule.ruleId)} (${rule.count} pages)`);
+
+    return [
+      '## 1. Overall Site Health Summary',
+      'The LLM budget for this run was exhausted, so this summary is generated from rule-based checks only.',
+      `${stats.totalPages} pages analyzed, ${stats.indexablePages} indexable, average word count ${stats.averageWordCount}.`,
+      '',
+      '## 2. Average SEO Score',
+      `Average Score: ${stats.averageRuleScore}`,
+      '',
+      '## 3. Common Issues',
+      ...(issues.length > 0 ? issues : ['- No rule-based issues found']),
+      '',
+      '## 4. Technical SEO Analysis',
+      `- Status codes: ${Object.entries(stats.statusCodes).map(([code, count]) => `${code}: ${count}`).join(', ')}`,
+      `- Missing titles: ${stats.missingTitles}, missing meta descriptions: ${stats.missingMetaDescriptions}, missing H1: ${stats.missingH1}`,
+      '',
+      '## 5. Priority Recommendations',
+      ...(fixes.length > 0 ? fixes : ['- Monitor performance and keep content fresh']),
+      '',
+      '## 6. Quick Wins',
+      `- Expand the ${stats.thinPages} pages under ${config.rules.lowWordCount} words`
+    ].join('\n');
   }
 
-  async _callOpenAIWithRetry(messages, retries = 2) {
+  // Hierarchical merge: group summaries that fit the budget and ask the model to combine them,
+  // repeating until everything fits in the final prompt
+  async _mergeSummariesWithinBudget(summaries, slug, options = {}) {
+    const { condensedChunkTokens, finalPromptTokenBudget, maxMergeLevels } = config.synthesis;
+    let current = summaries;
+    let levels = 0;
+
+    while (current.length > 1 && this._summaryTokens(current) > finalPromptTokenBudget && levels < maxMergeLevels) {
+      throwIfCancelled(options.signal, 'Site analysis cancelled');
+      levels++;
+
+      const groups = this._groupSummaries(current, finalPromptTokenBudget);
+      if (this._checkBudget(options, this._summaryTokens(current), 'synthesis_merge')) {
+        break;
+      }
+      const next = [];
+
+      for (const group of groups) {
+        if (group.length === 1) {
+          next.push(group[0]);
+          continue;
+        }
+
+        const mergedText = await this._mergeSummaryGroup(group, slug, options);
+        next.push({
+          label: `${group[0].label.split(' - ')[0]} - ${group[group.length - 1].label.split(' - ').pop()}`,
+          pageCount: group.reduce((total, summary) => total + summary.pageCount, 0),
+          text: this._condenseAnalysis(mergedText, condensedChunkTokens * 2)
+        });
+      }
+
+      workflowLogger.info('Merged chunk summaries', {
+        slug,
+        level: levels,
+        before: current.length,
+        after: next.length,
+        tokens: this._summaryTokens(next)
+      });
+      reportProgress(options, 'analysis_phase', { phase: 'synthesis_merge', level: levels, summaries: next.length });
+
+      current = next;
+    }
+
+    // Last resort when merging could not get under budget: share the budget evenly
+    let truncated = false;
+    if (this._summaryTokens(current) > finalPromptTokenBudget) {
+      const perSummary = Math.floor(finalPromptTokenBudget / current.length);
+      current = current.map(summary => ({ ...summary, text: this._condenseAnalysis(summary.text, perSummary) }));
+      truncated = true;
+      workflowLogger.warn('Chunk summaries truncated to fit the final prompt budget', {
+        slug,
+        summaries: current.length,
+        perSummaryTokens: perSummary
+      });
+    }
+
+    return { summaries: current, levels, truncated };
+  }
+
+  async _mergeSummaryGroup(group, slug, options = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an expert SEO analyst combining partial audit summaries. Only use the data you are given.'
+      },
+      {
+        role: 'user',
+        content: `Merge these ${group.length} partial SEO analyses of ${slug} into a single summary.
+Keep a line "Average Score: <number>" weighted by the page counts, the most frequent issues with page counts, and the URLs that need the most attention.
+
+${group.map(summary => `### ${summary.label} (${summary.pageCount} pages)\n${summary.text}`).join('\n\n')}`
+      }
+    ];
+
+    const response = await this._callOpenAIWithRetry(messages, 2, { ...options, phase: 'synthesis_merge' });
+    return this._cleanAnalysisText(response);
+  }
+
+  // Greedy grouping by token budget, at least two summaries per group so every level shrinks
+  _groupSummaries(summaries, tokenBudget) {
+    const groups = [];
+    let group = [];
+    let groupTokens = 0;
+
+    for (const summary of summaries) {
+      const tokens = chunkService.countTokens(summary.text);
+      if (group.length >= 2 && groupTokens + tokens > tokenBudget) {
+        groups.push(group);
+        group = [];
+        groupTokens = 0;
+      }
+      group.push(summary);
+      groupTokens += tokens;
+    }
+
+    if (group.length === 1 && groups.length > 0) {
+      groups[groups.length - 1].push(group[0]);
+    } else if (group.length > 0) {
+      groups.push(group);
+    }
+
+    return groups;
+  }
+
+  _summaryTokens(summaries) {
+    return summaries.reduce((total, summary) => total + chunkService.countTokens(summary.text), 0);
+  }
+
+  // Map step: keep headings, scores and list items first, then fill the remaining budget with prose
+  _condenseAnalysis(text, maxTokens) {
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    const isKeyLine = line => /^(#|-|\d+\.)/.test(line) || /score|issue|priority/i.test(line);
+
+    const ordered = [
+      ...lines.map((line, index) => ({ line, index })).filter(entry => isKeyLine(entry.line)),
+      ...lines.map((line, index) => ({ line, index })).filter(entry => !isKeyLine(entry.line))
+    ];
+
+    const kept = [];
+    let tokens = 0;
+    for (const entry of ordered) {
+      const lineTokens = chunkService.countTokens(entry.line);
+      if (tokens + lineTokens > maxTokens) continue;
+      kept.push(entry);
+      tokens += lineTokens;
+    }
+
+    return kept
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.line)
+      .join('\n');
+  }
+
+  // Ground truth for the final prompt, independent of what the chunk calls returned
+  _computeSiteStatistics(rows) {
+    const lowWordCount = config.rules.lowWordCount;
+    const statusCodes = {};
+    let totalWords = 0;
+    let indexable = 0;
+
+    rows.forEach(row => {
+      const status = row['Status Code'] || 'Unknown';
+      statusCodes[status] = (statusCodes[status] || 0) + 1;
+      totalWords += parseInt(row['Word Count']) || 0;
+      if (!row.Indexability || row.Indexability === 'Indexable') indexable++;
+    });
+
+    const ruleResults = rulesService.run(rows);
+    const ruleSummary = ruleResults.summary;
+    const ruleScores = rows.map(row => rulesService.calculateScore(ruleResults.findingsByUrl[row.Address || row.URL] || []));
+
+    return {
+      totalPages: rows.length,
+      statusCodes,
+      indexablePages: indexable,
+      averageWordCount: rows.length > 0 ? Math.round(totalWords / rows.length) : 0,
+      thinPages: rows.filter(row => (parseInt(row['Word Count']) || 0) < lowWordCount).length,
+      missingTitles: rows.filter(row => !(row['Title 1'] || row.Title)).length,
+      missingMetaDescriptions: rows.filter(row => !row['Meta Description 1']).length,
+      missingH1: rows.filter(row => !row['H1-1']).length,
+      averageRuleScore: ruleScores.length > 0 ? Math.round(ruleScores.reduce((a, b) => a + b, 0) / ruleScores.length) : 0,
+      ruleFindings: ruleSummary.byRule.map(rule => ({ ruleId: rule.ruleId, label: rule.label, severity: rule.severity, count: rule.count }))
+    };
+  }
+
+  _formatSiteStatistics(stats) {
+    const lines = [
+      `- Pages analyzed: ${stats.totalPages}`,
+      `- Status codes: ${Object.entries(stats.statusCodes).map(([code, count]) => `${code}: ${count}`).join(', ')}`,
+      `- Indexable pages: ${stats.indexablePages}`,
+      `- Average word count: ${stats.averageWordCount}`,
+      `- Thin pages (under ${config.rules.lowWordCount} words): ${stats.thinPages}`,
+      `- Missing titles: ${stats.missingTitles}`,
+      `- Missing meta descriptions: ${stats.missingMetaDescriptions}`,
+      `- Missing H1: ${stats.missingH1}`
+    ];
+
+    if (stats.ruleFindings.length > 0) {
+      lines.push('- Rule-based check results:');
+      stats.ruleFindings.forEach(rule => lines.push(`  - ${rule.label} [${rule.severity}]: ${rule.count} pages`));
+    }
+
+    return lines.join('\n');
+  }
+
+  // Goes through the configured provider (openai, openai-compatible or mock).
+  // options.signal aborts the in-flight HTTP request when the job is cancelled
+  // Responses are cached on disk by model, prompt version and input (options.cacheInput, or the
+  // messages themselves); options.bypassCache skips the lookup and the write.
+  // Truncated responses and those options.validate rejects are returned but never cached
+  async _callOpenAIWithRetry(messages, retries = 2, options = {}) {
+    const provider = this._getProvider();
+
+    const cacheKey = this._responseCacheKey(messages, provider, options);
+    if (cacheKey) {
+      const cached = await cacheService.get('responses', cacheKey);
+      if (cached) {
+        if (options.usage) options.usage.recordCacheHit({ model: cached.model, ...cached.usage });
+        return cached.content;
+      }
+      if (options.usage) options.usage.recordCacheMiss();
+    }
+
     for (let attempt = 1; attempt <= retries; attempt++) {
+      throwIfCancelled(options.signal, 'OpenAI request cancelled');
+
       try {
-        const response = await this.openai.chat.completions.create({
-          model: config.models.openai.model,
-          messages: messages,
+        const response = await provider.complete(messages, {
           temperature: 0.1, // Low temperature for consistency and speed
-          max_tokens: 1800, // Reduced for faster responses
+          maxTokens: 1800, // Reduced for faster responses
+          responseFormat: options.responseFormat,
+          signal: options.signal
         });
         
-        return response.choices[0]?.message?.content?.trim();
+        const usage = this._recordUsage(messages, response, options);
+        if (cacheKey && this._isCacheableResponse(response, options)) {
+          await cacheService.set('responses', cacheKey, { content: response.content, model: response.model, usage });
+        }
+        return response.content;
       } catch (error) {
-        logger.error(`OpenAI API call attempt ${attempt} failed: ${error.message}`);
+        if (isCancelledError(error) || (options.signal && options.signal.aborted)) {
+          throw createCancelledError('OpenAI request cancelled');
+        }
+
+        logger.error(`LLM call attempt ${attempt} (${provider.name}) failed: ${error.message}`);
         
         if (attempt === retries) {
           throw error;
         }
         
         // Short delay for retries
-        await this._delay(1000 * attempt);
+        await this._delay(1000 * attempt, options.signal);
       }
     }
   }
 
+  _isCacheableResponse(response, options = {}) {
+    if (!response.content || response.finishReason === 'length') return false;
+    return !options.validate || options.validate(response.content);
+  }
+
+  // Providers that don't report usage (some local servers) are counted with tiktoken instead
+  _recordUsage(messages, response, options = {}) {
+    const usage = response.usage || {};
+    const hasUsage = usage.promptTokens > 0 || usage.completionTokens > 0;
+    const counted = {
+      promptTokens: hasUsage ? usage.promptTokens : countMessageTokens(messages, response.model),
+      completionTokens: hasUsage ? usage.completionTokens : countTokens(response.content || '', response.model)
+    };
+
+    if (options.usage) {
+      options.usage.record({ model: response.model, phase: options.phase, ...counted });
+    }
+    return counted;
+  }
+
+  _responseCacheKey(messages, provider, options = {}) {
+    if (!cacheService.enabled || options.bypassCache) return null;
+
+    return cacheService.keyFor({
+      provider: provider.name,
+      model: provider.defaultModel,
+      promptVersion: config.cache.promptVersion,
+      responseFormat: options.responseFormat || null,
+      input: options.cacheInput || messages
+    });
+  }
+
   _extractSummary(analysis) {
     const summaryRegex = /Average Score: (\d+\.?\d*)/;
     const match = analysis.match(summaryRegex);
@@ -548,8 +1050,8 @@ Keep it comprehensive but concise. Use clear headings.`
     };
   }
 
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _delay(ms, signal) {
+    return cancellableDelay(ms, signal);
   }
 }
 
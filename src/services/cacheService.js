@@ -0,0 +1,67 @@
+// src/services/cacheService.js - Content-addressed on-disk cache for LLM responses and page analyses
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const workflowLogger = require('../utils/workflowLogger');
+const config = require('../config');
+const auditConfig = require('../config/audit');
+
+class CacheService {
+  constructor() {
+    this.cacheDir = config.paths.cacheDir;
+  }
+
+  get enabled() {
+    return auditConfig.cache.enabled;
+  }
+
+  // Stable SHA-256 over any JSON-serialisable parts (object keys are sorted first)
+  keyFor(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(this._sortKeys(parts))).digest('hex');
+  }
+
+  async get(namespace, key) {
+    try {
+      const content = await fs.readFile(this._entryPath(namespace, key), 'utf8');
+      return JSON.parse(content).value;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        workflowLogger.warn('Ignoring unreadable cache entry', { namespace, key, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  // Written to a temp file and renamed so concurrent runs never read half an entry
+  async set(namespace, key, value) {
+    const entryPath = this._entryPath(namespace, key);
+
+    try {
+      await fs.mkdir(path.dirname(entryPath), { recursive: true });
+      const tmpPath = `${entryPath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ createdAt: new Date().toISOString(), value }), 'utf8');
+      await fs.rename(tmpPath, entryPath);
+    } catch (error) {
+      // A failed cache write must never fail the audit
+      workflowLogger.warn('Failed to write cache entry', { namespace, key, error: error.message });
+    }
+  }
+
+  // Entries are sharded by the first two hex characters to keep directories small
+  _entryPath(namespace, key) {
+    return path.join(this.cacheDir, namespace, key.substring(0, 2), `${key}.json`);
+  }
+
+  _sortKeys(value) {
+    if (Array.isArray(value)) return value.map(item => this._sortKeys(item));
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = this._sortKeys(value[key]);
+        return sorted;
+      }, {});
+    }
+    return value;
+  }
+}
+
+module.exports = new CacheService();
@@ -1,10 +1,14 @@
 // src/services/chunkService.js - Optimized for speed and efficiency
 const logger = require('../utils/logger');
 const workflowLogger = require('../utils/workflowLogger');
+const crypto = require('crypto');
+const config = require('../config/audit');
+const { countTokens } = require('../utils/tokenCounter');
+const { describeProvider } = require('../providers');
 
 class ChunkService {
   constructor() {
-    // Cache for fast token estimation
+    // Cache for tiktoken counts
     this.tokenCache = new Map();
     this.cacheHits = 0;
     this.cacheMisses = 0;
@@ -13,20 +17,26 @@ class ChunkService {
   // Fast token estimation (4 chars per token approximation)
   estimateTokensFast(text) {
     if (!text) return 0;
+    return Math.ceil(text.length / 4);
+  }
+
+  // Accurate tiktoken count for the configured model, cached by content hash
+  countTokens(text) {
+    if (!text) return 0;
     
-    // Use cache for repeated content
-    const cacheKey = text.length + '_' + (text.substring(0, 50));
+    // Use cache for repeated content (keyed on the full text so similar rows don't collide)
+    const model = describeProvider(config.llm).model;
+    const cacheKey = crypto.createHash('sha1').update(model).update('\0').update(text).digest('hex');
     if (this.tokenCache.has(cacheKey)) {
       this.cacheHits++;
       return this.tokenCache.get(cacheKey);
     }
     
     this.cacheMisses++;
-    // Fast approximation: ~4 characters per token
-    const approximateTokens = Math.ceil(text.length / 4);
+    const tokens = countTokens(text, model);
     
     // Cache the result
-    this.tokenCache.set(cacheKey, approximateTokens);
+    this.tokenCache.set(cacheKey, tokens);
     
     // Keep cache size reasonable (memory management)
     if (this.tokenCache.size > 2000) {
@@ -35,7 +45,7 @@ class ChunkService {
       keysToDelete.forEach(key => this.tokenCache.delete(key));
     }
     
-    return approximateTokens;
+    return tokens;
   }
 
   // Size-based chunking for large datasets (fastest method)
@@ -95,8 +105,10 @@ class ChunkService {
     });
 
     for (const row of rows) {
-      const rowString = this._createOptimizedRowString(row);
-      const rowTokens = this.estimateTokensFast(rowString);
+      const rowString = this._serializeRow(row);
+      const rowTokens = config.models.chunking.useFastEstimation
+        ? this.estimateTokensFast(rowString)
+        : this.countTokens(rowString);
 
       if (tokenCount + rowTokens > tokenLimit && currentChunk.length > 0) {
         chunks.push([...currentChunk]);
@@ -124,31 +136,32 @@ class ChunkService {
       cacheStats: {
         hits: this.cacheHits,
         misses: this.cacheMisses,
-        hitRate: Math.round((this.cacheHits / (this.cacheHits + this.cacheMisses)) * 100)
+        hitRate: this.cacheHits + this.cacheMisses > 0 ? Math.round((this.cacheHits / (this.cacheHits + this.cacheMisses)) * 100) : 0
       }
     });
     
     return chunks;
   }
 
-  // Create optimized row string with only essential fields
-  _createOptimizedRowString(row) {
-    // Only include fields essential for SEO analysis
-    const essentialFields = [
-      'Address', 'URL', 'Title', 'Meta Description 1', 'H1-1', 'H1-2',
-      'Word Count', 'Status Code', 'Indexability', 'Canonical Link Element 1',
-      'Inlinks', 'Outlinks'
-    ];
-    
-    const values = [];
-    for (const field of essentialFields) {
-      const value = row[field];
-      if (value && String(value).trim()) {
-        values.push(String(value).substring(0, 200)); // Limit field length
-      }
-    }
-    
-    return values.join(' | ');
+  // Drop per-crawl noise (timestamps, response times) and trim values so unchanged pages serialise identically
+  normalizeRows(rows) {
+    const volatile = new Set(config.cache.volatileColumns);
+    return rows.map(row => Object.fromEntries(
+      Object.entries(row)
+        .filter(([column]) => !volatile.has(column))
+        .map(([column, value]) => [column, typeof value === 'string' ? value.trim() : value])
+    ));
+  }
+
+  // Chunk rows exactly as they are sent to the model (a pretty-printed JSON array)
+  serializeRows(rows) {
+    return JSON.stringify(this.normalizeRows(rows), null, 2);
+  }
+
+  // One row as it appears inside serializeRows' array (indented, with its separator), so packing
+  // counts the tokens that are actually sent
+  _serializeRow(row) {
+    return `${this.serializeRows([row]).slice(2, -2)},`;
   }
 
   // Adaptive chunking based on system resources and data characteristics
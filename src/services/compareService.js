@@ -0,0 +1,202 @@
+// src/services/compareService.js - Per-session page snapshots and session-to-session diffs (new/removed pages, scores, issues, status)
+const fs = require('fs').promises;
+const path = require('path');
+const workflowLogger = require('../utils/workflowLogger');
+const reportService = require('./reportService');
+
+// Written into every session so later sessions can be compared against it
+const SNAPSHOT_FILE = 'page_snapshot.json';
+
+// LLM scores move a few points between runs on unchanged pages; smaller deltas are not called improvements/declines
+const SCORE_CHANGE_THRESHOLD = 5;
+
+class CompareService {
+  // Every crawled row, with the AI score where the page was analysed and its rule findings
+  buildSnapshot(csvData, perPageAnalysis, ruleResults) {
+    const analysisByUrl = new Map(perPageAnalysis.map(page => [page.url, page]));
+
+    const pages = csvData.map(row => {
+      const url = row.Address || row.URL || '';
+      const analysis = analysisByUrl.get(url);
+      return {
+        url,
+        status: parseInt(row['Status Code']) || 0,
+        indexability: row.Indexability || '',
+        indexabilityStatus: row['Indexability Status'] || '',
+        title: row['Title 1'] || row.Title || '',
+        wordCount: parseInt(row['Word Count']) || 0,
+        seoScore: analysis && Number.isFinite(analysis.seoScore) ? analysis.seoScore : null,
+        priority: analysis ? analysis.priority || null : null,
+        findings: (ruleResults.findingsByUrl[url] || []).map(finding => ({
+          ruleId: finding.ruleId,
+          severity: finding.severity,
+          message: finding.message
+        }))
+      };
+    });
+
+    return { version: 1, createdAt: new Date().toISOString(), pages };
+  }
+
+  async saveSnapshot(sessionDir, snapshot) {
+    const filePath = path.join(sessionDir, SNAPSHOT_FILE);
+    await fs.writeFile(filePath, JSON.stringify(snapshot), 'utf8');
+    return { filePath, filename: SNAPSHOT_FILE, pageCount: snapshot.pages.length };
+  }
+
+  // Sessions audited before snapshots were written cannot be compared
+  async loadSnapshot(slug, timestamp) {
+    const sessions = await reportService.listAnalysisSessions(slug);
+    const session = sessions.find(candidate => candidate.timestamp === timestamp);
+    if (!session) {
+      const error = new Error(`Analysis session not found: ${slug}/${timestamp}`);
+      error.code = 'SESSION_NOT_FOUND';
+      throw error;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(session.path, SNAPSHOT_FILE), 'utf8'));
+    } catch {
+      const error = new Error(`Session ${timestamp} has no page snapshot (it predates session comparison or did not complete)`);
+      error.code = 'SNAPSHOT_MISSING';
+      throw error;
+    }
+  }
+
+  // Most recent completed session before `timestamp` that has a snapshot, or null
+  async findPreviousSession(slug, timestamp) {
+    const sessions = await reportService.listAnalysisSessions(slug);
+    const candidates = sessions
+      .filter(session => session.timestamp < timestamp && !session.incomplete && session.files.includes(SNAPSHOT_FILE))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return candidates[0] ? candidates[0].timestamp : null;
+  }
+
+  async compareSessions(slug, fromTimestamp, toTimestamp) {
+    const [fromSnapshot, toSnapshot] = await Promise.all([
+      this.loadSnapshot(slug, fromTimestamp),
+      this.loadSnapshot(slug, toTimestamp)
+    ]);
+    return this.compare(fromSnapshot, toSnapshot, { slug, from: fromTimestamp, to: toTimestamp });
+  }
+
+  compare(fromSnapshot, toSnapshot, sessions = {}) {
+    const fromPages = this._byKey(fromSnapshot.pages);
+    const toPages = this._byKey(toSnapshot.pages);
+
+    const newPages = [];
+    const removedPages = [];
+    const scoreChanges = [];
+    const issuesIntroduced = [];
+    const issuesResolved = [];
+    const statusChanges = [];
+    const indexabilityChanges = [];
+
+    for (const [key, page] of toPages) {
+      const previous = fromPages.get(key);
+      if (!previous) {
+        newPages.push({ url: page.url, status: page.status, seoScore: page.seoScore });
+        continue;
+      }
+
+      if (previous.seoScore !== null && page.seoScore !== null && previous.seoScore !== page.seoScore) {
+        scoreChanges.push({ url: page.url, from: previous.seoScore, to: page.seoScore, delta: page.seoScore - previous.seoScore });
+      }
+      if (previous.status !== page.status) {
+        statusChanges.push({ url: page.url, from: previous.status, to: page.status });
+      }
+      if (previous.indexability !== page.indexability) {
+        indexabilityChanges.push({
+          url: page.url,
+          from: previous.indexability || 'Unknown',
+          to: page.indexability || 'Unknown',
+          reason: page.indexabilityStatus || previous.indexabilityStatus || ''
+        });
+      }
+
+      // Rule findings are deterministic, so they are matched by rule; AI issue wording changes between runs.
+      // A page that stopped returning 200 loses its content findings without anything being fixed.
+      const previousRules = new Set(previous.findings.map(finding => finding.ruleId));
+      const currentRules = new Set(page.findings.map(finding => finding.ruleId));
+      page.findings
+        .filter(finding => !previousRules.has(finding.ruleId))
+        .forEach(finding => issuesIntroduced.push({ url: page.url, ...finding }));
+      if (!(previous.status === 200 && page.status !== 200)) {
+        previous.findings
+          .filter(finding => !currentRules.has(finding.ruleId))
+          .forEach(finding => issuesResolved.push({ url: page.url, ...finding }));
+      }
+    }
+
+    for (const [key, page] of fromPages) {
+      if (!toPages.has(key)) removedPages.push({ url: page.url, status: page.status, seoScore: page.seoScore });
+    }
+
+    scoreChanges.sort((a, b) => a.delta - b.delta);
+    const severityOrder = ['critical', 'warning', 'notice'];
+    const bySeverity = (a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity);
+    issuesIntroduced.sort(bySeverity);
+    issuesResolved.sort(bySeverity);
+
+    const comparison = {
+      slug: sessions.slug,
+      from: { timestamp: sessions.from, createdAt: fromSnapshot.createdAt, pages: fromPages.size },
+      to: { timestamp: sessions.to, createdAt: toSnapshot.createdAt, pages: toPages.size },
+      scoreChangeThreshold: SCORE_CHANGE_THRESHOLD,
+      newPages,
+      removedPages,
+      scoreChanges,
+      issuesIntroduced,
+      issuesResolved,
+      statusChanges,
+      indexabilityChanges,
+      summary: {
+        newPages: newPages.length,
+        removedPages: removedPages.length,
+        scoresImproved: scoreChanges.filter(change => change.delta >= SCORE_CHANGE_THRESHOLD).length,
+        scoresDeclined: scoreChanges.filter(change => change.delta <= -SCORE_CHANGE_THRESHOLD).length,
+        averageScoreFrom: this._averageScore(fromSnapshot.pages),
+        averageScoreTo: this._averageScore(toSnapshot.pages),
+        issuesIntroduced: issuesIntroduced.length,
+        issuesResolved: issuesResolved.length,
+        criticalIntroduced: issuesIntroduced.filter(issue => issue.severity === 'critical').length,
+        criticalResolved: issuesResolved.filter(issue => issue.severity === 'critical').length,
+        statusChanges: statusChanges.length,
+        indexabilityChanges: indexabilityChanges.length
+      }
+    };
+
+    workflowLogger.info('Session comparison completed', { slug: sessions.slug, from: sessions.from, to: sessions.to, ...comparison.summary });
+    return comparison;
+  }
+
+  _byKey(pages) {
+    const map = new Map();
+    for (const page of pages) {
+      const key = this.normalizeUrl(page.url);
+      if (key && !map.has(key)) map.set(key, page);
+    }
+    return map;
+  }
+
+  _averageScore(pages) {
+    const scores = pages.map(page => page.seoScore).filter(score => score !== null);
+    return scores.length > 0 ? Math.round(scores.reduce((total, score) => total + score, 0) / scores.length) : null;
+  }
+
+  // Protocol, www., trailing slashes, fragments and query parameter order do not make a different page
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+      parsed.searchParams.sort();
+      const query = parsed.searchParams.toString();
+      return `${host}${parsed.port ? `:${parsed.port}` : ''}${pathname}${query ? `?${query}` : ''}`;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = new CompareService();
@@ -0,0 +1,100 @@
+// src/services/crawlScopeService.js - Per-request crawl scope: include/exclude patterns, depth, URL cap, subdomains, query params
+const fs = require('fs').promises;
+const path = require('path');
+const workflowLogger = require('../utils/workflowLogger');
+const config = require('../config');
+
+// Saved next to internal_all.csv so every session built from the export records how it was crawled
+const SCOPE_FILE = 'crawl_scope.json';
+
+class CrawlScopeService {
+  // Request scope over the configured defaults. Screaming Frog has no depth/URL limits unless asked for,
+  // so only the native engine falls back to its configured maxDepth/maxPages.
+  resolve(scope = {}, engine = config.crawler.engine) {
+    const defaults = config.crawler.scope;
+    const native = engine === 'native';
+    const pick = (key, fallback) => (scope && scope[key] !== undefined ? scope[key] : fallback);
+
+    return {
+      include: pick('include', []),
+      exclude: pick('exclude', []),
+      maxDepth: pick('maxDepth', native ? config.crawler.native.maxDepth : null),
+      maxUrls: pick('maxUrls', native ? config.crawler.native.maxPages : null),
+      followSubdomains: pick('followSubdomains', defaults.followSubdomains),
+      stripParams: pick('stripParams', defaults.stripParams)
+    };
+  }
+
+  // Regexes are compiled once per crawl; patterns were validated by validateCrawlScope
+  compile(scope) {
+    return {
+      ...scope,
+      includeRegexes: scope.include.map(pattern => new RegExp(pattern)),
+      excludeRegexes: scope.exclude.map(pattern => new RegExp(pattern))
+    };
+  }
+
+  // Why a URL at this depth falls outside the scope, or null when it should be crawled
+  check(compiledScope, url, depth) {
+    if (compiledScope.excludeRegexes.some(regex => regex.test(url))) return 'excluded';
+    if (compiledScope.includeRegexes.length > 0 && !compiledScope.includeRegexes.some(regex => regex.test(url))) return 'not_included';
+    if (compiledScope.maxDepth !== null && depth > compiledScope.maxDepth) return 'max_depth';
+    return null;
+  }
+
+  // stripParams: true drops the whole query string, a list drops matching names ('utm_*' matches prefixes)
+  normalizeUrl(url, scope) {
+    if (!scope.stripParams || (Array.isArray(scope.stripParams) && scope.stripParams.length === 0)) return url;
+
+    const parsed = new URL(url);
+    if (scope.stripParams === true) {
+      parsed.search = '';
+      return parsed.href;
+    }
+
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (this._matchesParam(name, scope.stripParams)) parsed.searchParams.delete(name);
+    }
+    return parsed.href;
+  }
+
+  _matchesParam(name, patterns) {
+    const lowerName = name.toLowerCase();
+    return patterns.some(pattern => {
+      const lowerPattern = pattern.toLowerCase();
+      return lowerPattern.endsWith('*')
+        ? lowerName.startsWith(lowerPattern.slice(0, -1))
+        : lowerName === lowerPattern;
+    });
+  }
+
+  // Anything beyond a plain Screaming Frog crawl (decides whether it needs a native discovery crawl first)
+  isRestricted(scope) {
+    return scope.include.length > 0 ||
+      scope.exclude.length > 0 ||
+      scope.maxDepth !== null ||
+      scope.maxUrls !== null ||
+      scope.followSubdomains === true ||
+      scope.stripParams === true ||
+      (Array.isArray(scope.stripParams) && scope.stripParams.length > 0);
+  }
+
+  async save(outputDir, crawlScope) {
+    const filePath = path.join(outputDir, SCOPE_FILE);
+    await fs.writeFile(filePath, JSON.stringify({ ...crawlScope, savedAt: new Date().toISOString() }, null, 2), 'utf8');
+    return filePath;
+  }
+
+  async load(exportDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(exportDir, SCOPE_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        workflowLogger.warn('Ignoring unreadable crawl scope', { exportDir, error: error.message });
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = new CrawlScopeService();
@@ -1,23 +1,48 @@
 // src/services/crawlerService.js - Fixed to work with your existing Screaming Frog setup
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { exec, spawn } = require('child_process');
+const fs = require('fs').promises;
 const logger = require('../utils/logger');
 const workflowLogger = require('../utils/workflowLogger');
 const config = require('../config');
+const { reportProgress } = require('../utils/progress');
+const { createCancelledError, isCancelledError, throwIfCancelled, cancellableDelay } = require('../utils/cancellation');
+const nativeCrawlerService = require('./nativeCrawlerService');
+const robotsService = require('./robotsService');
+const crawlScopeService = require('./crawlScopeService');
+const fileService = require('./fileService');
 const path = require('path');
 
-const execAsync = promisify(exec);
+const CRAWLER_ENGINES = ['screaming-frog', 'native'];
+
+// URL list handed to Screaming Frog (--crawl-list) for list-mode and scoped audits, written next to the export
+const CRAWL_LIST_FILE = 'crawl_list.txt';
+// Scratch export of the native discovery crawl behind a scoped Screaming Frog crawl
+const SCOPE_DISCOVERY_DIR = 'scope_discovery';
 
 class CrawlerService {
-  async execute(url, outputDir, retries = config.retries.maxAttempts) {
+  async execute(url, outputDir, retries = config.retries.maxAttempts, options = {}) {
+    const engine = config.crawler.engine;
+    if (!CRAWLER_ENGINES.includes(engine)) {
+      throw new Error(`Unknown crawler engine '${engine}' (expected one of: ${CRAWLER_ENGINES.join(', ')})`);
+    }
+
+    if (engine === 'native') {
+      return this._executeNative(url, outputDir, options);
+    }
+
+    if (options.scope && crawlScopeService.isRestricted(options.scope)) {
+      return this._executeScopedScreamingFrog(url, outputDir, retries, options);
+    }
+
     // Smart settings based on simple URL analysis
     const crawlSettings = this._getSmartCrawlSettings(url);
-    const command = this._buildCompatibleCommand(url, outputDir, crawlSettings);
+    const command = this._buildCompatibleCommand(url, outputDir, crawlSettings, options.crawlListFile);
 
     for (let attempt = 1; attempt <= retries; attempt++) {
       const startTime = Date.now();
       
       try {
+        throwIfCancelled(options.signal, 'Crawl cancelled');
         logger.info(`Executing compatible crawl (attempt ${attempt}/${retries}): ${url}`);
         workflowLogger.info('Starting compatible crawl attempt', {
           url,
@@ -27,11 +52,17 @@ class CrawlerService {
           outputDir,
           timestamp: new Date().toISOString()
         });
+        reportProgress(options, 'crawl_attempt', {
+          attempt,
+          totalAttempts: retries,
+          timeoutMinutes: Math.floor(crawlSettings.timeout / 60000)
+        });
         
-        const { stdout, stderr } = await execAsync(command, {
+        const { stdout, stderr } = await this._runCommand(command, {
           maxBuffer: 50 * 1024 * 1024, // 50MB buffer for large sites
           timeout: crawlSettings.timeout,
           env: { ...process.env, LANG: 'en_US.UTF-8' },
+          signal: options.signal
         });
 
         const duration = Date.now() - startTime;
@@ -60,6 +91,9 @@ class CrawlerService {
           outputDir
         });
 
+        // Screaming Frog applies robots.txt itself; keep a copy for the robots report
+        await robotsService.captureRobots(options.listUrls || url, outputDir, { signal: options.signal });
+
         // Quick but thorough validation
         await this._validateOutputFiles(outputDir, url, attempt);
         
@@ -67,6 +101,12 @@ class CrawlerService {
         
       } catch (error) {
         const duration = Date.now() - startTime;
+
+        if (isCancelledError(error)) {
+          logger.warn(`Crawl cancelled during attempt ${attempt}: ${url}`);
+          workflowLogger.warn('Crawl cancelled', { url, attempt, duration, outputDir });
+          throw error;
+        }
         
         logger.error(`Crawl attempt ${attempt} failed: ${error.message}`);
         workflowLogger.error('Crawl failure', {
@@ -83,9 +123,107 @@ class CrawlerService {
           throw new Error(`Compatible crawl failed after ${retries} attempts: ${error.message}`);
         }
         
-        await this._waitForRetry(attempt);
+        reportProgress(options, 'crawl_retry', {
+          attempt,
+          totalAttempts: retries,
+          error: error.message
+        });
+        await this._waitForRetry(attempt, options.signal);
+      }
+    }
+  }
+
+  // exec() replacement that runs the crawl in its own process group, so the whole
+  // tree (shell -> sf-crawler.sh -> java) can be killed on timeout or cancellation
+  _runCommand(command, { timeout, env, maxBuffer, signal }) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(createCancelledError('Crawl cancelled'));
       }
+
+      const child = spawn(command, {
+        shell: true,
+        env,
+        detached: !config.isWindows
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let killedBy = null;
+
+      // Keep only the tail of very chatty output instead of failing like exec() does
+      const append = (current, chunk) => {
+        const next = current + chunk;
+        return next.length > maxBuffer ? next.slice(-maxBuffer) : next;
+      };
+
+      child.stdout.on('data', chunk => { stdout = append(stdout, chunk); });
+      child.stderr.on('data', chunk => { stderr = append(stderr, chunk); });
+
+      const timer = timeout ? setTimeout(() => {
+        killedBy = 'timeout';
+        this._killProcessTree(child);
+      }, timeout) : null;
+
+      const onAbort = () => {
+        killedBy = 'cancel';
+        logger.warn(`Killing crawl process tree (pid ${child.pid})`);
+        this._killProcessTree(child);
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      const cleanup = () => {
+        if (timer) clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      child.on('error', error => {
+        cleanup();
+        reject(error);
+      });
+
+      child.on('close', (code, exitSignal) => {
+        cleanup();
+
+        if (killedBy === 'cancel') {
+          return reject(createCancelledError('Crawl cancelled'));
+        }
+
+        if (code === 0) {
+          return resolve({ stdout, stderr });
+        }
+
+        const error = new Error(`Command failed: ${command}\n${stderr}${killedBy === 'timeout' ? '\nCrawl timeout exceeded' : ''}`);
+        error.code = code;
+        error.signal = exitSignal || (killedBy === 'timeout' ? 'SIGTERM' : null);
+        error.killed = killedBy === 'timeout';
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      });
+    });
+  }
+
+  _killProcessTree(child) {
+    if (config.isWindows) {
+      exec(`taskkill /pid ${child.pid} /T /F`, () => {});
+      return;
+    }
+
+    try {
+      process.kill(-child.pid, 'SIGTERM');
+    } catch {
+      child.kill('SIGTERM');
     }
+
+    // Java does not always honour SIGTERM promptly - escalate if the group is still alive
+    setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Process group already gone
+      }
+    }, 10000).unref();
   }
 
   // Smart settings based on URL patterns and common site characteristics
@@ -149,14 +287,23 @@ class CrawlerService {
   }
 
   // Build command using your existing script - FIXED to use simple export format
-  _buildCompatibleCommand(url, outputDir, settings) {
+  _buildCompatibleCommand(url, outputDir, settings, crawlListFile = null) {
     const scriptPath = config.paths.screamingFrogCli;
     
     // Use simple "Internal:All" export that works with your SF version
     // The comma-separated exports were causing the failures
     const exportTabs = "Internal:All";
+
+    // Bulk exports (All Inlinks for link health and the link graph) follow the export tabs as
+    // Screaming Frog CLI arguments; the wrapper passes anything after its third argument through
+    const bulkExports = config.crawler.screamingFrog.bulkExports;
+    const bulkExportArgs = bulkExports ? ` --bulk-export "${bulkExports}"` : '';
+
+    // List mode: the wrapper crawls the file's URLs (Screaming Frog's --crawl-list) instead of spidering
+    // from the start URL, which it still uses for its accessibility check
+    const crawlListArgs = crawlListFile ? ` --crawl-list "${crawlListFile}"` : '';
     
-    return `JAVA_HEAP_SIZE=${settings.heapSize} bash "${scriptPath}" "${url}" "${outputDir}" "${exportTabs}"`;
+    return `JAVA_HEAP_SIZE=${settings.heapSize} bash "${scriptPath}" "${url}" "${outputDir}" "${exportTabs}"${bulkExportArgs}${crawlListArgs}`;
   }
 
   _extractMeaningfulOutput(stdout) {
@@ -313,6 +460,59 @@ class CrawlerService {
     }
   }
 
+  // Crawls exactly the given URLs with the configured engine; Screaming Frog reads them from a list file
+  async executeList(urls, outputDir, options = {}) {
+    if (config.crawler.engine !== 'native') {
+      return this._executeScreamingFrogList(urls[0], urls, outputDir, config.retries.maxAttempts, options);
+    }
+
+    reportProgress(options, 'crawl_attempt', { attempt: 1, totalAttempts: 1, engine: 'native', mode: 'list' });
+
+    const result = await nativeCrawlerService.crawl(urls[0], outputDir, { ...options, listUrls: urls });
+    await this._validateOutputFiles(outputDir, urls[0], 1);
+
+    return { ...result, engine: 'native' };
+  }
+
+  async _executeScreamingFrogList(url, urls, outputDir, retries, options) {
+    const crawlListFile = path.join(outputDir, CRAWL_LIST_FILE);
+    await fs.writeFile(crawlListFile, `${urls.join('\n')}\n`, 'utf8');
+    workflowLogger.info('Screaming Frog crawls a URL list', { crawlListFile, urlCount: urls.length });
+
+    return this.execute(url, outputDir, retries, { ...options, scope: null, listUrls: urls, crawlListFile });
+  }
+
+  // Screaming Frog's CLI takes no include/exclude/depth/URL-cap rules, so a native discovery crawl applies the
+  // scope and Screaming Frog then crawls exactly the in-scope URLs it found as a list
+  async _executeScopedScreamingFrog(url, outputDir, retries, options) {
+    const discoveryDir = path.join(outputDir, SCOPE_DISCOVERY_DIR);
+    const { scope } = options;
+    const discoveryScope = { ...scope, maxUrls: scope.maxUrls !== null ? scope.maxUrls : config.crawler.scope.maxUrlsLimit };
+    let urls;
+
+    try {
+      await fileService.ensureDirectoryExists(discoveryDir);
+      await nativeCrawlerService.crawl(url, discoveryDir, { signal: options.signal, onProgress: options.onProgress, scope: discoveryScope });
+      const rows = await fileService.readAndParseCSV(path.join(discoveryDir, 'internal_all.csv'));
+      urls = rows.map(row => row.Address).filter(Boolean);
+    } finally {
+      await fileService.removeDirectory(discoveryDir);
+    }
+
+    workflowLogger.info('Crawl scope applied by native discovery', { url, urlCount: urls.length, maxUrls: discoveryScope.maxUrls });
+    return this._executeScreamingFrogList(url, urls.length > 0 ? urls : [url], outputDir, retries, options);
+  }
+
+  // The native crawler never shells out, so there is no process to retry; failed URLs become status 0 rows
+  async _executeNative(url, outputDir, options) {
+    reportProgress(options, 'crawl_attempt', { attempt: 1, totalAttempts: 1, engine: 'native' });
+
+    const result = await nativeCrawlerService.crawl(url, outputDir, options);
+    await this._validateOutputFiles(outputDir, url, 1);
+
+    return { ...result, engine: 'native' };
+  }
+
   async _validateOutputFiles(outputDir, url, attempt) {
     try {
       const fs = require('fs').promises;
@@ -334,14 +534,19 @@ class CrawlerService {
         });
         
         if (dataRows === 0) {
+          const robotsData = await robotsService.load(outputDir);
+          const robotsEntry = robotsData && robotsData.hosts[new URL(url).origin];
+          const robotsVerdict = robotsEntry ? robotsService.evaluate(robotsEntry, url, robotsData.userAgent) : null;
+
           workflowLogger.warn('CSV file has no data rows', {
             url,
             attempt,
+            blockedByRobots: robotsVerdict ? !robotsVerdict.allowed : 'unknown',
+            robotsRule: robotsVerdict ? robotsVerdict.rule : null,
             possibleCauses: [
               'Website blocks crawlers',
               'Requires authentication', 
-              'No crawlable content',
-              'Robots.txt restrictions'
+              'No crawlable content'
             ]
           });
         }
@@ -364,10 +569,10 @@ class CrawlerService {
     }
   }
 
-  async _waitForRetry(attempt) {
+  async _waitForRetry(attempt, signal) {
     const delay = 5000; // Fixed 5 second delay - simple and effective
     logger.info(`Waiting ${delay}ms before retry...`);
-    await new Promise(resolve => setTimeout(resolve, delay));
+    await cancellableDelay(delay, signal);
   }
 }
 
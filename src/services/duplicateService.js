@@ -0,0 +1,291 @@
+// src/services/duplicateService.js - Near-duplicate page detection (MinHash over body text) with canonical checks per cluster
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const workflowLogger = require('../utils/workflowLogger');
+const auditConfig = require('../config/audit');
+
+// 128 MinHash values per page, compared in 16 bands of 8: pairs sharing any band are candidates
+// (about 95% of pairs at 80% similarity are found, pages sharing only boilerplate rarely are)
+const SIGNATURE_SIZE = 128;
+const BAND_ROWS = 8;
+
+// Fixed seeds so signatures are comparable across runs
+const HASH_SEEDS = Array.from({ length: SIGNATURE_SIZE }, (value, index) => Math.imul(index + 1, 0x9e3779b1) >>> 0);
+
+// Cluster-level canonical problems, as shown in duplicates.md
+const CANONICAL_ISSUES = {
+  missing_canonical: 'Some pages have no canonical tag',
+  conflicting_canonicals: 'Pages canonicalise to different URLs',
+  canonical_outside_group: 'Canonical points to a URL outside the duplicate group'
+};
+
+class DuplicateService {
+  // Body text written by the native crawler; null when the crawl did not capture any
+  async loadPageText(exportDir) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(exportDir, auditConfig.files.pageTextFilename), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        workflowLogger.warn('Ignoring unreadable page text export', { exportDir, error: error.message });
+      }
+      return null;
+    }
+
+    const texts = new Map();
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const { url, text } = JSON.parse(line);
+        if (url) texts.set(url, text || '');
+      } catch {
+        // A crawl cancelled mid-write can leave a partial last line
+      }
+    }
+    return texts;
+  }
+
+  // Without page text, Screaming Frog's Hash column still finds exact duplicates
+  analyze(csvData, pageTexts, options = {}) {
+    const settings = { ...auditConfig.duplicates, ...options };
+    const rows = csvData.filter(row => String(row['Status Code']).trim() === '200');
+
+    const results = pageTexts
+      ? this._nearDuplicates(rows, pageTexts, settings)
+      : this._exactDuplicates(rows);
+
+    workflowLogger.info('Duplicate content analysis completed', results.summary);
+    return results;
+  }
+
+  _nearDuplicates(rows, pageTexts, settings) {
+    const pages = [];
+
+    for (const row of rows) {
+      const url = row.Address || row.URL;
+      const words = this._words(pageTexts.get(url) || '');
+      if (words.length < settings.minWords) continue;
+
+      pages.push({
+        url,
+        row,
+        words: words.length,
+        signature: this._minhash(words, settings.shingleSize),
+        contentHash: crypto.createHash('md5').update(words.join(' ')).digest('hex')
+      });
+    }
+
+    // Identical text is matched by hash; only the first page of each text takes part in banding
+    const matches = [];
+    const representatives = [];
+    const firstByHash = new Map();
+    pages.forEach((page, index) => {
+      if (firstByHash.has(page.contentHash)) {
+        matches.push({ a: firstByHash.get(page.contentHash), b: index, similarity: 1 });
+      } else {
+        firstByHash.set(page.contentHash, index);
+        representatives.push(index);
+      }
+    });
+
+    const buckets = new Map();
+    for (const index of representatives) {
+      const page = pages[index];
+      page.bands = Array.from({ length: SIGNATURE_SIZE / BAND_ROWS }, (value, band) =>
+        `${band}:${page.signature.slice(band * BAND_ROWS, (band + 1) * BAND_ROWS).join(',')}`);
+      for (const key of page.bands) {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      }
+    }
+
+    // A band shared by very many pages is template boilerplate, and comparing all of its pairs is quadratic
+    const oversized = new Set();
+    for (const [key, members] of buckets) {
+      if (members.length > settings.maxBucketSize) oversized.add(key);
+    }
+    if (oversized.size > 0) {
+      workflowLogger.warn('Skipping oversized near-duplicate buckets', { buckets: oversized.size, maxBucketSize: settings.maxBucketSize });
+    }
+
+    // Each pair is compared in the first band it shares (instead of remembering every compared pair),
+    // and only matching pairs are kept
+    for (const [key, members] of buckets) {
+      if (oversized.has(key)) continue;
+      const band = parseInt(key);
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const a = pages[members[i]];
+          const b = pages[members[j]];
+          if (this._sharesEarlierBand(a, b, band, oversized)) continue;
+
+          const similarity = this._estimateSimilarity(a.signature, b.signature);
+          if (similarity >= settings.similarityThreshold) matches.push({ a: members[i], b: members[j], similarity });
+        }
+      }
+    }
+
+    return this._buildResults(pages, matches, { method: 'minhash', threshold: settings.similarityThreshold, pagesCompared: pages.length });
+  }
+
+  _sharesEarlierBand(a, b, band, oversized) {
+    for (let earlier = 0; earlier < band; earlier++) {
+      if (a.bands[earlier] === b.bands[earlier] && !oversized.has(a.bands[earlier])) return true;
+    }
+    return false;
+  }
+
+  _exactDuplicates(rows) {
+    const pages = rows
+      .filter(row => row.Hash)
+      .map(row => ({ url: row.Address || row.URL, row, words: parseInt(row['Word Count']) || 0, contentHash: row.Hash }));
+
+    const indexesByHash = new Map();
+    pages.forEach((page, index) => {
+      if (!indexesByHash.has(page.contentHash)) indexesByHash.set(page.contentHash, []);
+      indexesByHash.get(page.contentHash).push(index);
+    });
+
+    const matches = [];
+    for (const indexes of indexesByHash.values()) {
+      for (let i = 1; i < indexes.length; i++) {
+        matches.push({ a: indexes[0], b: indexes[i], similarity: 1 });
+      }
+    }
+
+    return this._buildResults(pages, matches, { method: pages.length > 0 ? 'hash' : 'unavailable', threshold: 1, pagesCompared: pages.length });
+  }
+
+  // Union-find over matching pairs; a group's similarity range comes from its matching pairs
+  _buildResults(pages, matches, info) {
+    const parent = pages.map((page, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    for (const { a, b } of matches) parent[find(a)] = find(b);
+
+    const closest = new Map();
+    const groupsByRoot = new Map();
+    for (const match of matches) {
+      const root = find(match.a);
+      if (!groupsByRoot.has(root)) groupsByRoot.set(root, { members: new Set(), similarities: [] });
+      const group = groupsByRoot.get(root);
+      group.members.add(match.a).add(match.b);
+      group.similarities.push(match.similarity);
+
+      for (const [self, other] of [[match.a, match.b], [match.b, match.a]]) {
+        const current = closest.get(self);
+        if (!current || match.similarity > current.similarity) closest.set(self, { url: pages[other].url, similarity: match.similarity });
+      }
+    }
+
+    const groups = [...groupsByRoot.values()]
+      .map(group => this._describeGroup([...group.members].map(index => ({ ...pages[index], closest: closest.get(index) })), group.similarities))
+      .sort((a, b) => b.pages.length - a.pages.length || b.maxSimilarity - a.maxSimilarity)
+      .map((group, index) => ({ id: index + 1, ...group }));
+
+    return {
+      method: info.method,
+      threshold: info.threshold,
+      groups,
+      summary: {
+        method: info.method,
+        pagesCompared: info.pagesCompared,
+        duplicateGroups: groups.length,
+        duplicatePages: groups.reduce((total, group) => total + group.pages.length, 0),
+        exactGroups: groups.filter(group => group.exact).length,
+        groupsWithCanonicalIssues: groups.filter(group => group.canonicalIssues.length > 0).length
+      }
+    };
+  }
+
+  _describeGroup(members, similarities) {
+    const urls = new Set(members.map(member => this._normalize(member.url)));
+    const pages = members
+      .map(member => {
+        const canonical = this._normalize(member.row['Canonical Link Element 1']);
+        return {
+          url: member.url,
+          words: member.words,
+          canonical: canonical || null,
+          selfCanonical: canonical === this._normalize(member.url),
+          indexability: member.row.Indexability || '',
+          closestMatch: member.closest ? member.closest.url : null,
+          similarity: member.closest ? Math.round(member.closest.similarity * 1000) / 1000 : null
+        };
+      })
+      .sort((a, b) => a.url.localeCompare(b.url));
+
+    // Consistent: every page (a missing canonical counts as self-referencing) points at the same URL in the group
+    const targets = new Set(pages.map(page => page.canonical || this._normalize(page.url)));
+    const canonicalIssues = [];
+    if (pages.some(page => !page.canonical)) canonicalIssues.push('missing_canonical');
+    if (targets.size > 1) canonicalIssues.push('conflicting_canonicals');
+    if ([...targets].some(target => !urls.has(target))) canonicalIssues.push('canonical_outside_group');
+
+    return {
+      pages,
+      exact: new Set(members.map(member => member.contentHash)).size === 1,
+      minSimilarity: Math.round(similarities.reduce((min, value) => Math.min(min, value)) * 1000) / 1000,
+      maxSimilarity: Math.round(similarities.reduce((max, value) => Math.max(max, value)) * 1000) / 1000,
+      canonicalTarget: targets.size === 1 ? [...targets][0] : null,
+      canonicalIssues
+    };
+  }
+
+  // Lower-cased words with letters or digits; punctuation and markup leftovers are dropped
+  _words(text) {
+    return text.toLowerCase().split(/\s+/).map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')).filter(Boolean);
+  }
+
+  // Minimum of each seeded hash over the page's distinct shingles; equal positions estimate shingle overlap
+  _minhash(words, shingleSize) {
+    const shingles = new Set();
+    const size = Math.min(shingleSize, words.length);
+    for (let i = 0; i + size <= words.length; i++) {
+      shingles.add(words.slice(i, i + size).join(' '));
+    }
+
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (const shingle of shingles) {
+      const base = crypto.createHash('md5').update(shingle).digest().readUInt32BE(0);
+      for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        const hash = this._mix(base ^ HASH_SEEDS[i]);
+        if (hash < signature[i]) signature[i] = hash;
+      }
+    }
+    return signature;
+  }
+
+  // MurmurHash3 finaliser: turns one shingle hash into independent-looking values per seed
+  _mix(value) {
+    let hash = value;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+  }
+
+  _estimateSimilarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / SIGNATURE_SIZE;
+  }
+
+  describeCanonicalIssue(issue) {
+    return CANONICAL_ISSUES[issue] || issue;
+  }
+
+  _normalize(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch {
+      return '';
+    }
+  }
+}
+
+module.exports = new DuplicateService();
@@ -77,6 +77,28 @@ class FileService {
       throw error;
     }
   }
+
+  // RFC 4180 quoting so the output round-trips through readAndParseCSV
+  async writeCSV(filePath, columns, rows) {
+    const escape = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(escape).join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => escape(row[column])).join(','));
+    }
+
+    try {
+      await fs.writeFile(filePath, `${lines.join('\n')}\n`, 'utf8');
+      workflowLogger.info('CSV written', { filePath, rowCount: rows.length, columnCount: columns.length });
+    } catch (error) {
+      logger.error(`Failed to write CSV ${filePath}: ${error.message}`);
+      workflowLogger.error('CSV write failed', { filePath, error: error.message });
+      throw error;
+    }
+  }
 }
 
 module.exports = new FileService();
\ No newline at end of file
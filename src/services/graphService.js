@@ -0,0 +1,246 @@
+// src/services/graphService.js - Internal link graph: PageRank-style link scores, link depth, orphan, single-inlink and hub pages
+const fs = require('fs').promises;
+const path = require('path');
+const workflowLogger = require('../utils/workflowLogger');
+
+// Written into the session directory and served by GET /link-graph/:slug/:timestamp
+const GRAPH_FILE = 'link_graph.json';
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-8;
+const HUB_PAGE_COUNT = 10;
+
+class GraphService {
+  // inlinks: normalised All Inlinks rows (linkHealthService.loadInlinks); startUrls: where link depth is counted from
+  analyze(csvData, inlinks, startUrls = []) {
+    const urls = [];
+    const indexByUrl = new Map();
+    const rows = [];
+
+    for (const row of csvData) {
+      const url = this.normalizeUrl(row.Address || row.URL);
+      if (!url || indexByUrl.has(url)) continue;
+      indexByUrl.set(url, urls.length);
+      urls.push(url);
+      rows.push(row);
+    }
+
+    // Without an edge list (imports, older exports) only the crawler's own counts are available
+    if (!inlinks) {
+      return this._fromRowCounts(urls, rows);
+    }
+
+    // Unique followed links between crawled URLs; redirects pass equity on like links do
+    const outgoing = urls.map(() => new Set());
+    const incoming = urls.map(() => new Set());
+    for (const link of inlinks) {
+      if (!link.follow) continue;
+      const source = indexByUrl.get(link.source);
+      const target = indexByUrl.get(link.destination);
+      if (source === undefined || target === undefined || source === target) continue;
+      outgoing[source].add(target);
+      incoming[target].add(source);
+    }
+
+    const starts = this._resolveStarts(startUrls, indexByUrl, rows);
+    const pageRank = this._pageRank(outgoing, urls.length);
+    const depths = this._linkDepths(outgoing, starts, urls.length);
+    // reduce rather than a spread: Math.max(...array) overflows the call stack on large crawls
+    const maxPageRank = pageRank.reduce((max, rank) => Math.max(max, rank), 0);
+
+    const pages = urls.map((url, index) => ({
+      url,
+      status: parseInt(rows[index]['Status Code']) || 0,
+      pageRank: pageRank[index],
+      // Log-scaled 0-100 like Screaming Frog's Link Score; raw PageRank is tiny on large sites
+      linkScore: maxPageRank > 0 ? Math.round(100 * Math.log1p(pageRank[index] * urls.length) / Math.log1p(maxPageRank * urls.length)) : 0,
+      depth: depths[index],
+      inlinks: incoming[index].size,
+      outlinks: outgoing[index].size,
+      isStart: starts.includes(index)
+    }));
+
+    const edges = [];
+    outgoing.forEach((targets, source) => targets.forEach(target => edges.push([source, target])));
+
+    const results = this._classify(pages, edges, true);
+    workflowLogger.info('Link graph analysis completed', results.summary);
+    return results;
+  }
+
+  _fromRowCounts(urls, rows) {
+    const pages = urls.map((url, index) => {
+      const depth = parseInt(rows[index]['Crawl Depth']);
+      return {
+        url,
+        status: parseInt(rows[index]['Status Code']) || 0,
+        pageRank: null,
+        linkScore: null,
+        depth: Number.isNaN(depth) ? null : depth,
+        inlinks: parseInt(rows[index]['Unique Inlinks'] || rows[index].Inlinks) || 0,
+        outlinks: parseInt(rows[index]['Unique Outlinks'] || rows[index].Outlinks) || 0,
+        isStart: depth === 0
+      };
+    });
+
+    const results = this._classify(pages, [], false);
+    workflowLogger.info('Link graph analysis completed from crawl counts (no inlinks export)', results.summary);
+    return results;
+  }
+
+  // Orphans and single-inlink pages only matter for pages that should rank: 200 responses that are not a start URL
+  _classify(pages, edges, available) {
+    // Hubs: the pages linking out most, and at least twice as much as the average page
+    const averageOutlinks = pages.reduce((total, page) => total + page.outlinks, 0) / (pages.length || 1);
+    const hubUrls = new Set(
+      pages
+        .filter(page => page.outlinks > 0 && page.outlinks >= 2 * averageOutlinks)
+        .sort((a, b) => b.outlinks - a.outlinks)
+        .slice(0, HUB_PAGE_COUNT)
+        .map(page => page.url)
+    );
+
+    for (const page of pages) {
+      const candidate = page.status === 200 && !page.isStart;
+      page.orphan = candidate && page.inlinks === 0;
+      page.singleInlink = candidate && page.inlinks === 1;
+      page.hub = hubUrls.has(page.url);
+    }
+
+    // Highest link score first; rank is the position in that order
+    const order = pages.map((page, index) => index);
+    if (available) order.sort((a, b) => pages[b].pageRank - pages[a].pageRank);
+    order.forEach((pageIndex, position) => { pages[pageIndex].rank = available ? position + 1 : null; });
+
+    const depthDistribution = {};
+    for (const page of pages) {
+      const key = page.depth === null ? 'unreachable' : String(page.depth);
+      depthDistribution[key] = (depthDistribution[key] || 0) + 1;
+    }
+    const reachableDepths = pages.filter(page => page.depth !== null).map(page => page.depth);
+
+    return {
+      available,
+      pages,
+      edges,
+      summary: {
+        available,
+        pages: pages.length,
+        links: edges.length,
+        maxDepth: reachableDepths.length > 0 ? reachableDepths.reduce((max, depth) => Math.max(max, depth)) : null,
+        depthDistribution,
+        orphans: pages.filter(page => page.orphan).length,
+        singleInlink: pages.filter(page => page.singleInlink).length,
+        hubs: hubUrls.size
+      }
+    };
+  }
+
+  _resolveStarts(startUrls, indexByUrl, rows) {
+    const starts = startUrls.map(url => indexByUrl.get(this.normalizeUrl(url))).filter(index => index !== undefined);
+    if (starts.length > 0) return starts;
+
+    // Exports without a recorded start URL: whatever the crawler put at depth 0
+    return rows.map((row, index) => (String(row['Crawl Depth']).trim() === '0' ? index : -1)).filter(index => index !== -1);
+  }
+
+  // Power iteration; rank of pages without outlinks is spread over all pages so the total stays 1
+  _pageRank(outgoing, count) {
+    if (count === 0) return [];
+
+    let ranks = new Array(count).fill(1 / count);
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      const danglingRank = ranks.reduce((total, rank, index) => (outgoing[index].size === 0 ? total + rank : total), 0);
+      const base = (1 - DAMPING) / count + (DAMPING * danglingRank) / count;
+      const next = new Array(count).fill(base);
+
+      outgoing.forEach((targets, source) => {
+        if (targets.size === 0) return;
+        const share = (DAMPING * ranks[source]) / targets.size;
+        targets.forEach(target => { next[target] += share; });
+      });
+
+      const delta = next.reduce((total, rank, index) => total + Math.abs(rank - ranks[index]), 0);
+      ranks = next;
+      if (delta < TOLERANCE) break;
+    }
+    return ranks;
+  }
+
+  // Clicks from the nearest start URL along followed links; null when no followed path exists
+  _linkDepths(outgoing, starts, count) {
+    const depths = new Array(count).fill(null);
+    const queue = [];
+    for (const start of starts) {
+      depths[start] = 0;
+      queue.push(start);
+    }
+
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      for (const target of outgoing[current]) {
+        if (depths[target] === null) {
+          depths[target] = depths[current] + 1;
+          queue.push(target);
+        }
+      }
+    }
+    return depths;
+  }
+
+  // Pages keyed by normalised URL (normalizeUrl) for the per-page reports
+  byUrl(graphResults) {
+    return new Map(graphResults.pages.map(page => [page.url, page]));
+  }
+
+  async save(sessionDir, graphResults, startUrls) {
+    const filePath = path.join(sessionDir, GRAPH_FILE);
+    const content = {
+      generatedAt: new Date().toISOString(),
+      startUrls,
+      summary: graphResults.summary,
+      pages: graphResults.pages,
+      edges: graphResults.edges // [sourceIndex, targetIndex] into pages
+    };
+
+    await fs.writeFile(filePath, JSON.stringify(content), 'utf8');
+    return { filePath, filename: GRAPH_FILE, summary: graphResults.summary };
+  }
+
+  async load(sessionDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(sessionDir, GRAPH_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        workflowLogger.warn('Ignoring unreadable link graph', { sessionDir, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  // One page with the URLs linking to it and from it (API lookups)
+  describePage(graph, url) {
+    const target = this.normalizeUrl(url);
+    const index = graph.pages.findIndex(page => page.url === target);
+    if (index === -1) return null;
+
+    return {
+      ...graph.pages[index],
+      linkedFrom: graph.edges.filter(([, to]) => to === index).map(([from]) => graph.pages[from].url),
+      linksTo: graph.edges.filter(([from]) => from === index).map(([, to]) => graph.pages[to].url)
+    };
+  }
+
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = new GraphService();
@@ -0,0 +1,431 @@
+// src/services/htmlReportService.js - Self-contained report.html per session: executive summary, charts, sortable/filterable page table
+const fs = require('fs').promises;
+const path = require('path');
+const workflowLogger = require('../utils/workflowLogger');
+const { escapeHtml, parseMarkdown, renderHtml } = require('../utils/markdown');
+
+const HTML_REPORT_FILE = 'report.html';
+
+const SEVERITY_COLORS = { critical: '#c0392b', warning: '#e67e22', notice: '#2980b9' };
+const PRIORITY_ORDER = { High: 1, Medium: 2, Low: 3 };
+
+const SCORE_BANDS = [
+  { label: 'Excellent (90-100)', min: 90, color: '#27ae60' },
+  { label: 'Good (80-89)', min: 80, color: '#8bc34a' },
+  { label: 'Fair (70-79)', min: 70, color: '#f1c40f' },
+  { label: 'Poor (60-69)', min: 60, color: '#e67e22' },
+  { label: 'Critical (<60)', min: -Infinity, color: '#c0392b' }
+];
+
+// AI issue wording varies; the chart shows the most common issues as written, up to this many
+const TOP_ISSUE_TYPES = 10;
+
+class HtmlReportService {
+  // results: manifestService.buildResults output; the executive summary is embedded from its Markdown file
+  async generateHtmlReport(slug, results, executiveSummaryPath, directories) {
+    try {
+      const filePath = path.join(directories.sessionDir, HTML_REPORT_FILE);
+      const executiveMarkdown = await fs.readFile(executiveSummaryPath, 'utf8');
+
+      const content = this._buildDocument(slug, results, executiveMarkdown);
+      await fs.writeFile(filePath, content, 'utf8');
+
+      workflowLogger.info('HTML report generated', {
+        slug,
+        filePath,
+        pages: results.pages.length,
+        contentLength: content.length
+      });
+
+      return { filePath, filename: HTML_REPORT_FILE, pageCount: results.pages.length };
+
+    } catch (error) {
+      workflowLogger.error('Failed to generate HTML report', {
+        slug,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  _buildDocument(slug, results, executiveMarkdown) {
+    const domain = slug.replace(/_/g, '.');
+    const pages = results.pages;
+    const audited = pages.filter(page => page.analysis);
+    const rules = results.summary.rules;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>SEO Audit Report - ${escapeHtml(domain)}</title>
+<style>${this._styles()}</style>
+</head>
+<body>
+<header>
+  <h1>SEO Audit Report</h1>
+  <p class="subtitle">${escapeHtml(domain)} &middot; session ${escapeHtml(results.timestamp)} &middot; generated ${escapeHtml(new Date(results.generatedAt).toLocaleString())}</p>
+  <nav><a href="#summary">Executive summary</a><a href="#charts">Issue charts</a><a href="#pages">Pages</a></nav>
+</header>
+<main>
+<section class="cards">
+  ${this._card('Average SEO score', results.summary.site && Number.isFinite(results.summary.site.averageScore) ? `${results.summary.site.averageScore}/100` : '-')}
+  ${this._card('Crawled URLs', pages.length)}
+  ${this._card('Pages analysed', audited.length)}
+  ${this._card('Critical findings', rules.bySeverity.critical, rules.bySeverity.critical > 0 ? 'critical' : '')}
+  ${this._card('Warnings', rules.bySeverity.warning, rules.bySeverity.warning > 0 ? 'warning' : '')}
+</section>
+
+<section id="summary">
+  <details open>
+    <summary><h2>Executive summary</h2></summary>
+    <div class="markdown">${renderHtml(parseMarkdown(executiveMarkdown), { headingOffset: 1 })}</div>
+  </details>
+</section>
+
+<section id="charts">
+  <h2>Issue charts</h2>
+  <div class="charts">
+    ${this._barChart('Rule findings by check', rules.byRule.map(rule => ({ label: rule.label, value: rule.count, color: SEVERITY_COLORS[rule.severity] })))}
+    ${this._barChart('Most common AI-reported issues', this._issueTypes(audited))}
+    ${this._barChart('SEO score distribution', this._scoreBands(audited))}
+    ${this._barChart('HTTP status of crawled URLs', this._statusClasses(pages))}
+  </div>
+</section>
+
+<section id="pages">
+  <h2>Pages</h2>
+  <div class="filters">
+    <input type="search" id="filter-text" placeholder="Filter by URL or title">
+    <select id="filter-priority">
+      <option value="">Any priority</option>
+      <option value="High">High</option>
+      <option value="Medium">Medium</option>
+      <option value="Low">Low</option>
+      <option value="none">Not analysed</option>
+    </select>
+    <select id="filter-status">
+      <option value="">Any status</option>
+      <option value="2">2xx</option>
+      <option value="3">3xx</option>
+      <option value="4">4xx</option>
+      <option value="5">5xx</option>
+      <option value="0">No response</option>
+    </select>
+    <select id="filter-severity">
+      <option value="">Any findings</option>
+      <option value="critical">Has critical findings</option>
+      <option value="warning">Has warnings or worse</option>
+      <option value="any">Has any finding</option>
+    </select>
+    <label><input type="checkbox" id="filter-audited"> Analysed pages only</label>
+    <button type="button" id="toggle-all">Expand all</button>
+    <span id="page-count"></span>
+  </div>
+  <table id="page-table">
+    <thead>
+      <tr>
+        <th data-sort="url">URL</th>
+        <th data-sort="status" data-numeric>Status</th>
+        <th data-sort="score" data-numeric>Score</th>
+        <th data-sort="priority" data-numeric>Priority</th>
+        <th data-sort="issues" data-numeric>AI issues</th>
+        <th data-sort="findings" data-numeric>Rule findings</th>
+        <th data-sort="depth" data-numeric>Depth</th>
+      </tr>
+    </thead>
+    ${pages.map((page, index) => this._pageRows(page, index)).join('\n')}
+  </table>
+  <noscript><p>Sorting and filtering need JavaScript; all page details are shown below each row.</p><style>.details-row { display: table-row; }</style></noscript>
+</section>
+</main>
+<footer>Report generated by SEO Auditor Service v2.0</footer>
+<script>${this._script()}</script>
+</body>
+</html>
+`;
+  }
+
+  _card(label, value, tone = '') {
+    return `<div class="card ${tone}"><span class="value">${escapeHtml(value)}</span><span class="label">${escapeHtml(label)}</span></div>`;
+  }
+
+  // One <tbody> per page keeps its details row next to it when the table is sorted
+  _pageRows(page, index) {
+    const analysis = page.analysis;
+    const severities = page.ruleFindings.map(finding => finding.severity);
+    const worstSeverity = ['critical', 'warning', 'notice'].find(severity => severities.includes(severity)) || '';
+    const depth = page.linkGraph && page.linkGraph.depth !== null ? page.linkGraph.depth : '';
+    const score = analysis && Number.isFinite(analysis.seoScore) ? analysis.seoScore : '';
+
+    const data = {
+      url: page.url,
+      search: `${page.url} ${page.title}`.toLowerCase(),
+      status: page.status,
+      score,
+      priority: analysis && PRIORITY_ORDER[analysis.priority] ? PRIORITY_ORDER[analysis.priority] : '',
+      'priority-label': analysis ? analysis.priority || '' : 'none',
+      issues: analysis ? analysis.issues.length : '',
+      findings: page.ruleFindings.length,
+      severity: worstSeverity,
+      depth,
+      audited: page.audited ? '1' : '0'
+    };
+    const attributes = Object.entries(data).map(([key, value]) => `data-${key}="${escapeHtml(value)}"`).join(' ');
+
+    return `<tbody class="page" ${attributes}>
+  <tr class="page-row" title="Show details">
+    <td class="url"><span class="caret">&#9656;</span> ${escapeHtml(page.url)}${page.title ? `<div class="page-title">${escapeHtml(page.title)}</div>` : ''}</td>
+    <td>${page.status || 'n/a'}</td>
+    <td>${score === '' ? '-' : `<span class="score" style="background:${this._scoreColor(score)}">${score}</span>`}</td>
+    <td>${analysis ? escapeHtml(analysis.priority || '-') : '-'}</td>
+    <td>${analysis ? analysis.issues.length : '-'}</td>
+    <td>${page.ruleFindings.length}${worstSeverity ? ` <span class="badge ${worstSeverity}">${worstSeverity}</span>` : ''}</td>
+    <td>${depth === '' ? '-' : depth}</td>
+  </tr>
+  <tr class="details-row" id="page-${index + 1}"><td colspan="7">${this._pageDetails(page)}</td></tr>
+</tbody>`;
+  }
+
+  _pageDetails(page) {
+    const sections = [];
+    const analysis = page.analysis;
+
+    sections.push(`<dl>
+      <dt>Indexability</dt><dd>${escapeHtml(page.indexability || 'Unknown')}${page.indexabilityStatus ? ` (${escapeHtml(page.indexabilityStatus)})` : ''}</dd>
+      <dt>Word count</dt><dd>${page.wordCount}</dd>
+      <dt>AI analysis</dt><dd>${analysis
+    ? `${escapeHtml(analysis.source === 'heuristic' ? `Rule-based fallback${analysis.fallbackReason ? `: ${analysis.fallbackReason}` : ''}` : 'LLM')}${analysis.cached ? ' (cached)' : ''}`
+    : page.exclusion ? `Not analysed: ${escapeHtml(page.exclusion.detail || page.exclusion.reason)}` : 'Not analysed'}</dd>
+      ${analysis && analysis.estimatedImpact ? `<dt>Estimated impact</dt><dd>${escapeHtml(analysis.estimatedImpact)}</dd>` : ''}
+    </dl>`);
+
+    if (analysis) {
+      sections.push(this._list('Issues', analysis.issues));
+      sections.push(this._list('Recommendations', analysis.recommendations));
+      sections.push(this._list('Quick wins', analysis.quickWins));
+    }
+
+    if (page.ruleFindings.length > 0) {
+      sections.push(`<h4>Rule findings</h4><ul>${page.ruleFindings.map(finding =>
+        `<li><span class="badge ${finding.severity}">${finding.severity}</span> ${escapeHtml(finding.message)} <code>${escapeHtml(finding.ruleId)}</code></li>`
+      ).join('')}</ul>`);
+    }
+
+    if (page.linkGraph) {
+      const graph = page.linkGraph;
+      const flags = [graph.orphan && 'orphan', graph.singleInlink && 'single inlink', graph.hub && 'hub'].filter(Boolean);
+      sections.push(`<h4>Internal linking</h4><p>Depth ${graph.depth === null ? 'unreachable' : graph.depth} &middot; ${graph.inlinks} inlinks &middot; ${graph.outlinks} outlinks`
+        + `${graph.linkScore !== null ? ` &middot; link score ${graph.linkScore}` : ''}${graph.rank ? ` &middot; rank #${graph.rank}` : ''}`
+        + `${flags.length > 0 ? ` &middot; <strong>${flags.join(', ')}</strong>` : ''}</p>`);
+    }
+
+    if (page.duplicate) {
+      const similarity = page.duplicate.similarity !== null ? ` (${Math.round(page.duplicate.similarity * 100)}% similar)` : '';
+      sections.push(`<h4>Duplicate content</h4><p>Group ${page.duplicate.groupId}; closest match ${escapeHtml(page.duplicate.closestMatch || '-')}${similarity}</p>`);
+    }
+
+    return `<div class="details">${sections.join('\n')}</div>`;
+  }
+
+  _list(title, items) {
+    if (!items || items.length === 0) return '';
+    return `<h4>${title}</h4><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  }
+
+  _issueTypes(auditedPages) {
+    const counts = new Map();
+    for (const page of auditedPages) {
+      for (const issue of new Set(page.analysis.issues.map(text => text.trim()).filter(Boolean))) {
+        const key = issue.toLowerCase();
+        const entry = counts.get(key) || { label: issue, value: 0, color: '#8e44ad' };
+        entry.value++;
+        counts.set(key, entry);
+      }
+    }
+    return [...counts.values()].sort((a, b) => b.value - a.value).slice(0, TOP_ISSUE_TYPES);
+  }
+
+  _scoreBands(auditedPages) {
+    const scores = auditedPages.map(page => page.analysis.seoScore).filter(Number.isFinite);
+    return SCORE_BANDS.map((band, index) => ({
+      label: band.label,
+      color: band.color,
+      value: scores.filter(score => score >= band.min && (index === 0 || score < SCORE_BANDS[index - 1].min)).length
+    }));
+  }
+
+  _statusClasses(pages) {
+    const classes = [
+      { label: '2xx Success', test: status => status >= 200 && status < 300, color: '#27ae60' },
+      { label: '3xx Redirect', test: status => status >= 300 && status < 400, color: '#2980b9' },
+      { label: '4xx Client error', test: status => status >= 400 && status < 500, color: '#e67e22' },
+      { label: '5xx Server error', test: status => status >= 500, color: '#c0392b' },
+      { label: 'No response', test: status => !status, color: '#7f8c8d' }
+    ];
+    return classes.map(entry => ({ label: entry.label, color: entry.color, value: pages.filter(page => entry.test(page.status)).length }));
+  }
+
+  _scoreColor(score) {
+    return SCORE_BANDS.find(band => score >= band.min).color;
+  }
+
+  // Horizontal bar chart as inline SVG, so the file needs no chart library
+  _barChart(title, bars) {
+    if (bars.length === 0 || bars.every(bar => bar.value === 0)) {
+      return `<figure class="chart"><figcaption>${escapeHtml(title)}</figcaption><p class="empty">Nothing to chart.</p></figure>`;
+    }
+
+    const rowHeight = 26;
+    const labelWidth = 250;
+    const barArea = 330;
+    const max = Math.max(...bars.map(bar => bar.value));
+    const height = bars.length * rowHeight + 8;
+    const truncate = label => (label.length > 38 ? `${label.substring(0, 37)}…` : label);
+
+    const rows = bars.map((bar, index) => {
+      const y = index * rowHeight + 4;
+      const width = max > 0 ? Math.max(bar.value > 0 ? 2 : 0, Math.round((bar.value / max) * barArea)) : 0;
+      return `<g><title>${escapeHtml(bar.label)}: ${bar.value}</title>`
+        + `<text x="${labelWidth - 8}" y="${y + 17}" text-anchor="end">${escapeHtml(truncate(bar.label))}</text>`
+        + `<rect x="${labelWidth}" y="${y + 3}" width="${width}" height="${rowHeight - 8}" rx="3" fill="${bar.color || '#34495e'}"></rect>`
+        + `<text x="${labelWidth + width + 6}" y="${y + 17}">${bar.value}</text></g>`;
+    });
+
+    return `<figure class="chart"><figcaption>${escapeHtml(title)}</figcaption>`
+      + `<svg viewBox="0 0 ${labelWidth + barArea + 50} ${height}" role="img" aria-label="${escapeHtml(title)}">${rows.join('')}</svg></figure>`;
+  }
+
+  _styles() {
+    return `
+body { margin: 0; font: 14px/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #2c3e50; background: #f5f7fa; }
+header { background: #2c3e50; color: #fff; padding: 24px 32px 12px; }
+header h1 { margin: 0; font-size: 26px; }
+header .subtitle { margin: 4px 0 12px; color: #bdc3c7; }
+header nav a { color: #fff; margin-right: 20px; text-decoration: none; border-bottom: 2px solid transparent; }
+header nav a:hover { border-bottom-color: #fff; }
+main { padding: 24px 32px; max-width: 1400px; margin: 0 auto; }
+section { background: #fff; border-radius: 6px; padding: 16px 24px; margin-bottom: 24px; box-shadow: 0 1px 3px rgba(0,0,0,0.08); }
+section.cards { display: flex; flex-wrap: wrap; gap: 16px; background: none; box-shadow: none; padding: 0; }
+.card { flex: 1 1 160px; background: #fff; border-radius: 6px; padding: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.08); border-top: 4px solid #2980b9; }
+.card.critical { border-top-color: #c0392b; }
+.card.warning { border-top-color: #e67e22; }
+.card .value { display: block; font-size: 26px; font-weight: 600; }
+.card .label { color: #7f8c8d; }
+details > summary { cursor: pointer; }
+details > summary h2 { display: inline; }
+.markdown table, #page-table { border-collapse: collapse; width: 100%; }
+.markdown th, .markdown td { border: 1px solid #e1e5ea; padding: 6px 10px; text-align: left; }
+.markdown th { background: #f0f3f6; }
+.charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(480px, 1fr)); gap: 24px; }
+.chart { margin: 0; }
+.chart figcaption { font-weight: 600; margin-bottom: 8px; }
+.chart svg { width: 100%; height: auto; font-size: 12px; fill: #2c3e50; }
+.chart .empty { color: #7f8c8d; }
+.filters { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin-bottom: 12px; }
+.filters input[type=search] { flex: 1 1 240px; padding: 6px 8px; }
+.filters select, .filters button { padding: 6px 8px; }
+#page-count { color: #7f8c8d; margin-left: auto; }
+#page-table th { position: sticky; top: 0; background: #f0f3f6; text-align: left; padding: 8px; cursor: pointer; user-select: none; white-space: nowrap; }
+#page-table th.asc::after { content: " \\25B2"; }
+#page-table th.desc::after { content: " \\25BC"; }
+#page-table td { padding: 6px 8px; border-top: 1px solid #e1e5ea; vertical-align: top; }
+.page-row { cursor: pointer; }
+.page-row:hover { background: #f8fafc; }
+.page-row .url { word-break: break-all; }
+.page-title { color: #7f8c8d; font-size: 12px; }
+.caret { display: inline-block; transition: transform 0.1s; }
+tbody.open .caret { transform: rotate(90deg); }
+.details-row { display: none; }
+tbody.open .details-row { display: table-row; }
+.details { background: #fafbfc; padding: 8px 16px; }
+.details h4 { margin: 12px 0 4px; }
+.details dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 0; }
+.details dt { color: #7f8c8d; }
+.details dd { margin: 0; }
+.score { display: inline-block; min-width: 32px; text-align: center; color: #fff; border-radius: 3px; font-weight: 600; }
+.badge { display: inline-block; padding: 0 6px; border-radius: 3px; color: #fff; font-size: 11px; text-transform: uppercase; }
+.badge.critical { background: #c0392b; }
+.badge.warning { background: #e67e22; }
+.badge.notice { background: #2980b9; }
+footer { text-align: center; color: #7f8c8d; padding: 16px; }
+@media print { .filters, header nav { display: none; } .details-row { display: table-row; } section { box-shadow: none; } }
+`;
+  }
+
+  // Sorting, filtering and expanding rows; plain DOM code so the report works offline in any browser
+  _script() {
+    return `
+(function () {
+  var table = document.getElementById('page-table');
+  var pages = Array.prototype.slice.call(table.querySelectorAll('tbody.page'));
+  var controls = {
+    text: document.getElementById('filter-text'),
+    priority: document.getElementById('filter-priority'),
+    status: document.getElementById('filter-status'),
+    severity: document.getElementById('filter-severity'),
+    audited: document.getElementById('filter-audited')
+  };
+  var severityRank = { critical: 3, warning: 2, notice: 1, '': 0 };
+
+  function applyFilters() {
+    var text = controls.text.value.trim().toLowerCase();
+    var shown = 0;
+    pages.forEach(function (page) {
+      var data = page.dataset;
+      var status = parseInt(data.status, 10) || 0;
+      var visible = (!text || data.search.indexOf(text) !== -1)
+        && (!controls.priority.value || data.priorityLabel === controls.priority.value)
+        && (!controls.status.value || (controls.status.value === '0' ? status === 0 : String(status).charAt(0) === controls.status.value && status > 0))
+        && (!controls.severity.value
+          || (controls.severity.value === 'any' ? data.severity !== '' : severityRank[data.severity] >= severityRank[controls.severity.value]))
+        && (!controls.audited.checked || data.audited === '1');
+      page.style.display = visible ? '' : 'none';
+      if (visible) shown++;
+    });
+    document.getElementById('page-count').textContent = 'Showing ' + shown + ' of ' + pages.length + ' pages';
+  }
+
+  Object.keys(controls).forEach(function (key) {
+    controls[key].addEventListener(key === 'text' ? 'input' : 'change', applyFilters);
+  });
+
+  // Empty values sort last in both directions
+  Array.prototype.forEach.call(table.querySelectorAll('th[data-sort]'), function (header) {
+    header.addEventListener('click', function () {
+      var key = header.dataset.sort;
+      var numeric = header.hasAttribute('data-numeric');
+      var direction = header.classList.contains('asc') ? -1 : 1;
+      Array.prototype.forEach.call(table.querySelectorAll('th'), function (other) { other.classList.remove('asc', 'desc'); });
+      header.classList.add(direction === 1 ? 'asc' : 'desc');
+
+      pages.sort(function (a, b) {
+        var x = a.dataset[key];
+        var y = b.dataset[key];
+        if (x === '' || y === '') return x === y ? 0 : x === '' ? 1 : -1;
+        return direction * (numeric ? parseFloat(x) - parseFloat(y) : x.localeCompare(y));
+      });
+      pages.forEach(function (page) { table.appendChild(page); });
+    });
+  });
+
+  table.addEventListener('click', function (event) {
+    var row = event.target.closest('.page-row');
+    if (row) row.parentNode.classList.toggle('open');
+  });
+
+  var toggleAll = document.getElementById('toggle-all');
+  toggleAll.addEventListener('click', function () {
+    var expand = toggleAll.textContent === 'Expand all';
+    pages.forEach(function (page) { page.classList.toggle('open', expand); });
+    toggleAll.textContent = expand ? 'Collapse all' : 'Expand all';
+  });
+
+  applyFilters();
+})();
+`;
+  }
+}
+
+module.exports = new HtmlReportService();
@@ -0,0 +1,230 @@
+// src/services/importService.js - Normalise third-party crawl CSVs into the internal_all.csv schema
+const fs = require('fs').promises;
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const logger = require('../utils/logger');
+const workflowLogger = require('../utils/workflowLogger');
+const config = require('../config');
+const auditConfig = require('../config/audit');
+const importProfiles = require('../config/importProfiles');
+const fileService = require('./fileService');
+
+// Written next to the normalised CSV so sessions can tell imported data from crawls
+const IMPORT_METADATA_FILE = 'import.json';
+
+const NUMERIC_COLUMNS = ['Status Code', 'Word Count', 'Crawl Depth', 'Inlinks', 'Unique Inlinks', 'Outlinks'];
+
+// Without these the audit still runs, but treats pages as thin/untitled or cannot filter them
+const RECOMMENDED_COLUMNS = ['Status Code', 'Title 1', 'Meta Description 1', 'H1-1', 'Word Count'];
+
+class ImportService {
+  listProfiles() {
+    return Object.entries(importProfiles).map(([name, profile]) => ({
+      name,
+      label: profile.label,
+      columns: Object.keys(profile.columns)
+    }));
+  }
+
+  getProfile(name) {
+    const profile = importProfiles[String(name || '').toLowerCase()];
+    if (!profile) {
+      const error = new Error(`Unknown import profile '${name}' (available: ${Object.keys(importProfiles).join(', ')})`);
+      error.code = 'UNKNOWN_PROFILE';
+      throw error;
+    }
+    return profile;
+  }
+
+  // Parses, maps and writes exports/<slug>/internal_all.csv; the audit then runs exactly as after a crawl
+  async importCsv(content, profileName, slug) {
+    const { columns, rows, summary } = this._mapCsv(content, profileName);
+    const outputDir = path.join(config.paths.exportsDir, slug);
+
+    await fileService.removeDirectory(outputDir);
+    await this._writeImport(outputDir, columns, rows, { slug, ...summary });
+    this._logImport(slug, summary);
+
+    return { slug, ...summary, outputDir };
+  }
+
+  // Queued imports keep their mapped CSV under the jobs directory until the job starts, so a crawl or
+  // another import of the same project cannot replace it in exports/ while it waits (or across a restart)
+  async stageImport(content, profileName) {
+    const { columns, rows, summary } = this._mapCsv(content, profileName);
+    const importId = `import_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+    await this._writeImport(this._stagingDir(importId), columns, rows, summary);
+    workflowLogger.info('Crawl export staged for import', { importId, profile: summary.profile, rowCount: summary.rowCount });
+
+    return { importId, ...summary };
+  }
+
+  // Called by the job when it starts: moves the staged export into exports/<slug>
+  async applyStagedImport(importId, slug) {
+    const stagingDir = this._stagingDir(importId);
+    let summary;
+    try {
+      summary = JSON.parse(await fs.readFile(path.join(stagingDir, IMPORT_METADATA_FILE), 'utf8'));
+    } catch {
+      const error = new Error(`Staged import '${importId}' not found (it may already have been used)`);
+      error.code = 'IMPORT_NOT_FOUND';
+      throw error;
+    }
+
+    const outputDir = path.join(config.paths.exportsDir, slug);
+    await fileService.removeDirectory(outputDir);
+    await fileService.ensureDirectoryExists(outputDir);
+    await fs.copyFile(path.join(stagingDir, auditConfig.files.csvFilename), path.join(outputDir, auditConfig.files.csvFilename));
+
+    const metadata = { slug, ...summary };
+    await fs.writeFile(path.join(outputDir, IMPORT_METADATA_FILE), JSON.stringify(metadata, null, 2), 'utf8');
+    await fileService.removeDirectory(stagingDir);
+    this._logImport(slug, summary);
+
+    return { ...metadata, outputDir };
+  }
+
+  // A queued import that is cancelled, or whose job fails before it starts importing, never gets applied;
+  // removing an already applied (or missing) import is a no-op
+  async discardStagedImport(importId) {
+    await fileService.removeDirectory(this._stagingDir(importId));
+  }
+
+  // On startup: staged imports no queued job refers to can no longer be applied (left by a crash)
+  async pruneStagedImports(activeImportIds) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(config.paths.jobsDir, 'imports'));
+    } catch {
+      return 0;
+    }
+
+    const orphaned = entries.filter(importId => !activeImportIds.includes(importId));
+    for (const importId of orphaned) {
+      await this.discardStagedImport(importId);
+    }
+    if (orphaned.length > 0) {
+      workflowLogger.info('Orphaned staged imports removed', { count: orphaned.length });
+    }
+    return orphaned.length;
+  }
+
+  async readImportMetadata(slug) {
+    try {
+      const content = await fs.readFile(path.join(config.paths.exportsDir, slug, IMPORT_METADATA_FILE), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Maps an upload onto the internal columns; mapping problems throw with a code the API reports as a 400
+  _mapCsv(content, profileName) {
+    const profile = this.getProfile(profileName);
+    const raw = String(content || '').replace(/^\uFEFF/, '');
+
+    let sourceRows;
+    try {
+      sourceRows = parse(raw, { columns: true, skip_empty_lines: true, relax_column_count: true, trim: true });
+    } catch (error) {
+      const parseError = new Error(`Could not parse CSV: ${error.message}`);
+      parseError.code = 'INVALID_CSV';
+      throw parseError;
+    }
+
+    const headers = sourceRows.length > 0 ? Object.keys(sourceRows[0]) : [];
+    const mapping = this._resolveMapping(profile, headers);
+
+    if (!mapping.Address) {
+      const error = new Error(`No URL column found for profile '${profileName}' (expected one of: ${profile.columns.Address.join(', ')}; got: ${headers.join(', ') || 'no columns'})`);
+      error.code = 'MISSING_URL_COLUMN';
+      throw error;
+    }
+
+    const rows = sourceRows
+      .map(sourceRow => this._normalizeRow(sourceRow, mapping))
+      .filter(row => row.Address);
+
+    if (rows.length === 0) {
+      const error = new Error('The CSV contains no rows with a URL');
+      error.code = 'EMPTY_IMPORT';
+      throw error;
+    }
+
+    const summary = {
+      profile: String(profileName).toLowerCase(),
+      rowCount: rows.length,
+      skippedRows: sourceRows.length - rows.length,
+      mappedColumns: mapping,
+      unmappedColumns: headers.filter(header => !Object.values(mapping).includes(header)),
+      warnings: RECOMMENDED_COLUMNS
+        .filter(column => !mapping[column])
+        .map(column => `No column found for '${column}' (expected one of: ${(profile.columns[column] || []).join(', ') || 'none in this profile'})`),
+      importedAt: new Date().toISOString()
+    };
+
+    return { columns: Object.keys(mapping), rows, summary };
+  }
+
+  async _writeImport(outputDir, columns, rows, metadata) {
+    await fileService.ensureDirectoryExists(outputDir);
+    await fileService.writeCSV(path.join(outputDir, auditConfig.files.csvFilename), columns, rows);
+    await fs.writeFile(path.join(outputDir, IMPORT_METADATA_FILE), JSON.stringify(metadata, null, 2), 'utf8');
+  }
+
+  _stagingDir(importId) {
+    return path.join(config.paths.jobsDir, 'imports', path.basename(importId));
+  }
+
+  _logImport(slug, summary) {
+    logger.info(`Imported ${summary.rowCount} rows for ${slug} using the ${summary.profile} profile`);
+    workflowLogger.info('Crawl export imported', {
+      slug,
+      profile: summary.profile,
+      rowCount: summary.rowCount,
+      skippedRows: summary.skippedRows,
+      unmappedColumns: summary.unmappedColumns.length,
+      warnings: summary.warnings
+    });
+  }
+
+  // Internal column -> source header actually present in this upload
+  _resolveMapping(profile, headers) {
+    const byLowerCase = new Map(headers.map(header => [header.toLowerCase(), header]));
+    const mapping = {};
+
+    for (const [column, candidates] of Object.entries(profile.columns)) {
+      const match = candidates.map(candidate => byLowerCase.get(candidate.toLowerCase())).find(Boolean);
+      if (match) mapping[column] = match;
+    }
+    return mapping;
+  }
+
+  _normalizeRow(sourceRow, mapping) {
+    const row = {};
+    for (const [column, header] of Object.entries(mapping)) {
+      row[column] = this._normalizeValue(column, sourceRow[header]);
+    }
+    return row;
+  }
+
+  _normalizeValue(column, value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+
+    if (NUMERIC_COLUMNS.includes(column)) {
+      // "1,234" word counts and "200 OK" statuses both reduce to the number
+      const match = text.replace(/,/g, '').match(/\d+/);
+      return match ? match[0] : '';
+    }
+
+    if (column === 'Indexability') {
+      if (/^(yes|true|1|indexable)$/i.test(text)) return 'Indexable';
+      if (/^(no|false|0|non-indexable|not indexable)$/i.test(text)) return 'Non-Indexable';
+    }
+
+    return text;
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,401 @@
+// src/services/jobService.js - Background job queue with on-disk persistence
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const workflowLogger = require('../utils/workflowLogger');
+const config = require('../config');
+const { isCancelledError } = require('../utils/cancellation');
+
+// Rough progress (0-100) reached when a workflow step starts
+const STEP_PROGRESS = {
+  queued: 0,
+  initialization: 0,
+  url_validation: 5,
+  website_crawling: 10,
+  data_import: 10,
+  seo_analysis: 40,
+  result_preparation: 95,
+  completed: 100
+};
+
+// Slice of the overall progress bar covered by each fine-grained progress event type
+const PROGRESS_RANGES = {
+  crawl_progress: [10, 40],
+  chunk_progress: [40, 60],
+  page_batch_progress: [60, 90]
+};
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per connected SSE client
+    this.jobsDir = config.paths.jobsDir;
+    this.concurrency = config.jobs.concurrency;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.handler = null;
+    this.pendingWrites = new Map();
+    this.abortControllers = new Map(); // jobId -> AbortController of running jobs
+  }
+
+  // Register the workflow runner and restore jobs persisted by a previous process
+  async initialize(handler) {
+    this.handler = handler;
+    await this._ensureDirectoryExists(this.jobsDir);
+    await this._loadPersistedJobs();
+
+    workflowLogger.info('Job queue initialized', {
+      jobsDir: this.jobsDir,
+      concurrency: this.concurrency,
+      restoredJobs: this.jobs.size,
+      queuedJobs: this.queue.length
+    });
+
+    this._processQueue();
+  }
+
+  async createJob(input) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${Date.now()}_${Math.random().toString(36).substring(7)}`,
+      status: 'queued',
+      step: 'queued',
+      progress: 0,
+      input,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this._persist(job);
+
+    this.queue.push(job.id);
+    workflowLogger.info('Job queued', {
+      jobId: job.id,
+      queuePosition: this.queue.length,
+      input
+    });
+
+    this._processQueue();
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Newest first, without the (potentially large) result payload
+  listJobs({ status, limit = 50 } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(job => this._summarizeJob(job));
+  }
+
+  getQueuePosition(jobId) {
+    const index = this.queue.indexOf(jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  async updateJob(jobId, patch) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    await this._persist(job);
+    return job;
+  }
+
+  // Queued jobs are dropped from the queue; running jobs are aborted and settle as 'cancelled'
+  async cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || this.isFinished(job)) return job || null;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(id => id !== jobId);
+      await this.updateJob(jobId, {
+        status: 'cancelled',
+        finishedAt: new Date().toISOString()
+      });
+      this._publish(jobId, { type: 'cancelled', status: 'cancelled' });
+      workflowLogger.info('Queued job cancelled', { jobId });
+      return job;
+    }
+
+    const controller = this.abortControllers.get(jobId);
+    await this.updateJob(jobId, { status: 'cancelling' });
+    this._publish(jobId, { type: 'step', step: job.step, status: 'cancelling', progress: job.progress });
+    workflowLogger.info('Cancelling running job', { jobId, step: job.step });
+
+    if (controller) {
+      controller.abort();
+    }
+    return job;
+  }
+
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  // Listen to the live events of a single job; returns the unsubscribe function
+  subscribe(jobId, listener) {
+    const channel = `job:${jobId}`;
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  _publish(jobId, event) {
+    this.emit(`job:${jobId}`, {
+      jobId,
+      timestamp: new Date().toISOString(),
+      ...event
+    });
+  }
+
+  // Called by the workflow whenever it moves to a new step
+  reportStep(jobId, step) {
+    const progress = STEP_PROGRESS[step];
+    const patch = { step };
+    if (progress !== undefined) {
+      patch.progress = progress;
+    }
+
+    this._publish(jobId, { type: 'step', ...patch });
+    this.updateJob(jobId, patch).catch(error => {
+      workflowLogger.warn('Failed to record job step', {
+        jobId,
+        step,
+        error: error.message
+      });
+    });
+  }
+
+  // Called with crawl attempts/retries and chunk/batch progress from inside the workflow
+  reportProgress(jobId, event) {
+    const range = PROGRESS_RANGES[event.type];
+    const job = this.jobs.get(jobId);
+
+    if (range && job && typeof event.percent === 'number') {
+      const [from, to] = range;
+      const progress = Math.round(from + ((to - from) * event.percent) / 100);
+
+      // Never move the bar backwards, e.g. when a later phase reports 0%
+      if (progress > job.progress) {
+        this.updateJob(jobId, { progress }).catch(error => {
+          workflowLogger.warn('Failed to record job progress', {
+            jobId,
+            error: error.message
+          });
+        });
+      }
+    }
+
+    this._publish(jobId, { ...event, progress: job ? job.progress : undefined });
+  }
+
+  _processQueue() {
+    if (!this.handler) return;
+
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const jobId = this.queue.shift();
+      const job = this.jobs.get(jobId);
+      if (!job || job.status !== 'queued') continue;
+
+      this.running++;
+      this._runJob(job)
+        .catch(error => {
+          logger.error(`Job runner crashed for ${jobId}: ${error.message}`);
+        })
+        .finally(() => {
+          this.running--;
+          this._processQueue();
+        });
+    }
+  }
+
+  async _runJob(job) {
+    const startTime = Date.now();
+    const controller = new AbortController();
+    this.abortControllers.set(job.id, controller);
+
+    await this.updateJob(job.id, {
+      status: 'running',
+      step: 'initialization',
+      startedAt: new Date().toISOString()
+    });
+    workflowLogger.info('Job started', { jobId: job.id });
+
+    try {
+      const result = await this.handler(job.input, {
+        sessionId: job.id,
+        onStep: step => this.reportStep(job.id, step),
+        onProgress: event => this.reportProgress(job.id, event),
+        signal: controller.signal
+      });
+
+      await this.updateJob(job.id, {
+        status: 'completed',
+        step: 'completed',
+        progress: 100,
+        finishedAt: new Date().toISOString(),
+        result
+      });
+
+      this._publish(job.id, { type: 'result', status: 'completed', progress: 100, result });
+      workflowLogger.info('Job completed', {
+        jobId: job.id,
+        duration: Date.now() - startTime
+      });
+    } catch (error) {
+      if (isCancelledError(error)) {
+        await this.updateJob(job.id, {
+          status: 'cancelled',
+          finishedAt: new Date().toISOString(),
+          error: {
+            message: error.message,
+            step: error.step || job.step
+          }
+        });
+
+        this._publish(job.id, { type: 'cancelled', status: 'cancelled', error: job.error });
+        workflowLogger.warn('Job cancelled', {
+          jobId: job.id,
+          step: error.step || job.step,
+          duration: Date.now() - startTime
+        });
+        return;
+      }
+
+      await this.updateJob(job.id, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: {
+          message: error.message,
+          step: error.step || job.step
+        }
+      });
+
+      this._publish(job.id, { type: 'failed', status: 'failed', error: job.error });
+      workflowLogger.error('Job failed', {
+        jobId: job.id,
+        step: error.step || job.step,
+        duration: Date.now() - startTime,
+        error: error.message
+      });
+    } finally {
+      this.abortControllers.delete(job.id);
+    }
+  }
+
+  async _loadPersistedJobs() {
+    let files;
+    try {
+      files = await fs.readdir(this.jobsDir);
+    } catch (error) {
+      workflowLogger.warn('Failed to read jobs directory', {
+        jobsDir: this.jobsDir,
+        error: error.message
+      });
+      return;
+    }
+
+    const restored = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const content = await fs.readFile(path.join(this.jobsDir, file), 'utf8');
+        restored.push(JSON.parse(content));
+      } catch (error) {
+        workflowLogger.warn('Skipping unreadable job file', {
+          file,
+          error: error.message
+        });
+      }
+    }
+
+    // Oldest first so the queue keeps its original order
+    restored.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of restored) {
+      this.jobs.set(job.id, job);
+
+      if (job.status === 'queued') {
+        this.queue.push(job.id);
+      } else if (job.status === 'cancelling') {
+        await this.updateJob(job.id, {
+          status: 'cancelled',
+          finishedAt: new Date().toISOString()
+        });
+      } else if (job.status === 'running') {
+        // The process that was running this job is gone; its crawl/analysis cannot be resumed
+        await this.updateJob(job.id, {
+          status: 'failed',
+          finishedAt: new Date().toISOString(),
+          error: {
+            message: 'Server restarted while the job was running',
+            step: job.step
+          }
+        });
+      }
+    }
+  }
+
+  _summarizeJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      step: job.step,
+      progress: job.progress,
+      url: job.input && job.input.url,
+      mode: job.input && job.input.mode,
+      projectName: job.input && job.input.projectName,
+      urlCount: job.input && Array.isArray(job.input.urls) ? job.input.urls.length : undefined,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      queuePosition: this.getQueuePosition(job.id),
+      error: job.error
+    };
+  }
+
+  // Writes are chained per job so a slow write never overwrites a newer state
+  _persist(job) {
+    const previous = this.pendingWrites.get(job.id) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(async () => {
+        const filePath = path.join(this.jobsDir, `${job.id}.json`);
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(job, null, 2), 'utf8');
+        await fs.rename(tmpPath, filePath);
+      });
+
+    this.pendingWrites.set(job.id, write);
+    write.finally(() => {
+      if (this.pendingWrites.get(job.id) === write) {
+        this.pendingWrites.delete(job.id);
+      }
+    }).catch(() => {});
+
+    return write;
+  }
+
+  async _ensureDirectoryExists(dirPath) {
+    try {
+      await fs.access(dirPath);
+    } catch {
+      await fs.mkdir(dirPath, { recursive: true });
+      logger.info(`Created directory: ${dirPath}`);
+    }
+  }
+}
+
+module.exports = new JobService();
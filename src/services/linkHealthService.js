@@ -0,0 +1,227 @@
+// src/services/linkHealthService.js - Redirect chains/loops and broken link targets mapped to the pages linking to them
+const fs = require('fs').promises;
+const path = require('path');
+const workflowLogger = require('../utils/workflowLogger');
+const auditConfig = require('../config/audit');
+const fileService = require('./fileService');
+
+// Followed redirects per chain before giving up (Screaming Frog stops at 5 by default, browsers around 20)
+const MAX_REDIRECT_HOPS = 20;
+
+const CSV_COLUMNS = ['Issue', 'URL', 'Status Code', 'Source Page', 'Link Type', 'Final URL', 'Final Status Code', 'Hops', 'Chain'];
+
+class LinkHealthService {
+  // All Inlinks export (Screaming Frog bulk export or the native crawler); null when the crawl did not produce one
+  async loadInlinks(exportDir) {
+    const inlinksPath = path.join(exportDir, auditConfig.files.inlinksFilename);
+    try {
+      await fs.access(inlinksPath);
+    } catch {
+      return null;
+    }
+
+    const rows = await fileService.readAndParseCSV(inlinksPath);
+    return rows
+      .map(row => ({
+        type: row.Type || 'Hyperlink',
+        source: this._normalize(row.Source),
+        destination: this._normalize(row.Destination),
+        follow: String(row.Follow).toLowerCase() !== 'false'
+      }))
+      .filter(link => link.source && link.destination);
+  }
+
+  analyze(csvData, inlinks) {
+    const rowsByUrl = new Map();
+    for (const row of csvData) {
+      const url = this._normalize(row.Address || row.URL);
+      if (url) rowsByUrl.set(url, row);
+    }
+
+    const sourcesByTarget = new Map();
+    for (const link of inlinks || []) {
+      if (link.type === 'Redirect') continue; // the redirect itself, not a page linking to it
+      if (!sourcesByTarget.has(link.destination)) sourcesByTarget.set(link.destination, []);
+      sourcesByTarget.get(link.destination).push(link);
+    }
+
+    const { chains, loops } = this._buildRedirectChains(rowsByUrl);
+
+    const brokenTargets = [];
+    const linksToRedirects = [];
+    for (const [url, row] of rowsByUrl) {
+      const status = this._status(row);
+      const sources = sourcesByTarget.get(url) || [];
+
+      if (status >= 400) {
+        brokenTargets.push({ url, status, statusText: row.Status || '', inlinks: parseInt(row.Inlinks) || sources.length, sources });
+      } else if (status >= 300 && status < 400 && sources.length > 0) {
+        const chain = this._followRedirects(url, rowsByUrl);
+        linksToRedirects.push({ url, status, finalUrl: chain.finalUrl, finalStatus: chain.finalStatus, sources });
+      }
+    }
+    brokenTargets.sort((a, b) => b.inlinks - a.inlinks);
+    linksToRedirects.sort((a, b) => b.sources.length - a.sources.length);
+
+    const redirectChains = chains.filter(chain => chain.hops.length > 1);
+    const redirectsToErrors = chains.filter(chain => chain.finalStatus >= 400);
+
+    const results = {
+      inlinksAvailable: inlinks !== null && inlinks !== undefined,
+      brokenTargets,
+      redirectChains,
+      redirectLoops: loops,
+      redirectsToErrors,
+      linksToRedirects,
+      summary: {
+        brokenUrls: brokenTargets.length,
+        brokenLinks: brokenTargets.reduce((total, target) => total + target.sources.length, 0),
+        redirects: [...rowsByUrl.values()].filter(row => this._redirectTarget(row)).length,
+        redirectChains: redirectChains.length,
+        redirectLoops: loops.length,
+        redirectsToErrors: redirectsToErrors.length,
+        linksToRedirects: linksToRedirects.reduce((total, target) => total + target.sources.length, 0)
+      }
+    };
+
+    workflowLogger.info('Link health analysis completed', { inlinksAvailable: results.inlinksAvailable, ...results.summary });
+    return results;
+  }
+
+  // One chain per redirecting URL that is not itself the target of another redirect; loops are reported once
+  _buildRedirectChains(rowsByUrl) {
+    const redirectTargets = new Set();
+    for (const row of rowsByUrl.values()) {
+      const target = this._redirectTarget(row);
+      if (target) redirectTargets.add(target);
+    }
+
+    const chains = [];
+    const loops = [];
+    const loopKeys = new Set();
+
+    for (const [url, row] of rowsByUrl) {
+      if (!this._redirectTarget(row)) continue;
+
+      const chain = this._followRedirects(url, rowsByUrl);
+      if (chain.loop) {
+        const key = [...new Set(chain.hops)].sort().join(' ');
+        if (!loopKeys.has(key)) {
+          loopKeys.add(key);
+          loops.push(chain);
+        }
+        continue;
+      }
+
+      if (!redirectTargets.has(url)) chains.push(chain);
+    }
+
+    chains.sort((a, b) => b.hops.length - a.hops.length);
+    return { chains, loops };
+  }
+
+  // hops lists every redirecting URL in order; finalUrl is where the chain ends (or repeats, for loops)
+  _followRedirects(startUrl, rowsByUrl) {
+    const hops = [];
+    const visited = new Set();
+    let current = startUrl;
+
+    while (hops.length < MAX_REDIRECT_HOPS) {
+      const row = rowsByUrl.get(current);
+      const target = row ? this._redirectTarget(row) : null;
+      if (!target) break;
+
+      hops.push(current);
+      visited.add(current);
+      current = target;
+
+      if (visited.has(current)) {
+        return { url: startUrl, status: this._status(rowsByUrl.get(startUrl)), hops, finalUrl: current, finalStatus: this._status(rowsByUrl.get(current)), loop: true };
+      }
+    }
+
+    const finalRow = rowsByUrl.get(current);
+    return {
+      url: startUrl,
+      status: this._status(rowsByUrl.get(startUrl)),
+      hops,
+      finalUrl: current,
+      // null: the chain leaves the crawl (external or uncrawled target)
+      finalStatus: finalRow ? this._status(finalRow) : null,
+      loop: false,
+      truncated: hops.length >= MAX_REDIRECT_HOPS
+    };
+  }
+
+  toCsvRows(results) {
+    const rows = [];
+
+    for (const target of results.brokenTargets) {
+      const sources = target.sources.length > 0 ? target.sources : [null];
+      for (const source of sources) {
+        rows.push({
+          'Issue': 'broken_link',
+          'URL': target.url,
+          'Status Code': target.status,
+          'Source Page': source ? source.source : '',
+          'Link Type': source ? source.type : ''
+        });
+      }
+    }
+
+    const chainRow = (issue, chain) => ({
+      'Issue': issue,
+      'URL': chain.url,
+      'Status Code': chain.status,
+      'Final URL': chain.finalUrl,
+      'Final Status Code': chain.finalStatus === null ? '' : chain.finalStatus,
+      'Hops': chain.hops.length,
+      'Chain': [...chain.hops, chain.finalUrl].join(' -> ')
+    });
+    results.redirectLoops.forEach(chain => rows.push(chainRow('redirect_loop', chain)));
+    results.redirectChains.forEach(chain => rows.push(chainRow('redirect_chain', chain)));
+    results.redirectsToErrors.forEach(chain => rows.push(chainRow('redirect_to_error', chain)));
+
+    for (const target of results.linksToRedirects) {
+      for (const source of target.sources) {
+        rows.push({
+          'Issue': 'link_to_redirect',
+          'URL': target.url,
+          'Status Code': target.status,
+          'Source Page': source.source,
+          'Link Type': source.type,
+          'Final URL': target.finalUrl,
+          'Final Status Code': target.finalStatus === null ? '' : target.finalStatus
+        });
+      }
+    }
+
+    return rows;
+  }
+
+  getCsvColumns() {
+    return CSV_COLUMNS;
+  }
+
+  _redirectTarget(row) {
+    const status = this._status(row);
+    if (status < 300 || status >= 400) return null;
+    return this._normalize(row['Redirect URL']);
+  }
+
+  _status(row) {
+    return row ? parseInt(row['Status Code']) || 0 : 0;
+  }
+
+  _normalize(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = new LinkHealthService();
@@ -0,0 +1,225 @@
+// src/services/manifestService.js - Versioned session manifest (run settings, timings, usage, hashed file list) and results.json
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const workflowLogger = require('../utils/workflowLogger');
+const auditConfig = require('../config/audit');
+const { describeProvider } = require('../providers');
+
+const MANIFEST_FILE = 'manifest.json';
+const RESULTS_FILE = 'results.json';
+
+// Bump when a field is renamed or removed; consumers check it before reading the rest
+const MANIFEST_VERSION = 1;
+const RESULTS_VERSION = 1;
+
+// Session files by the report key used in getSessionReports and the download types
+const REPORT_TYPES = {
+  'comprehensive_analysis.txt': 'comprehensive',
+  'executive_summary.md': 'executive',
+  'per_page_analysis/per_page_analysis_summary.md': 'perPageSummary',
+  'per_page_analysis/priority_action_plan.md': 'actionPlan',
+  'robots_report.md': 'robots',
+  'sitemap_coverage.md': 'sitemap',
+  'excluded_urls.md': 'excluded',
+  'broken_urls.md': 'broken',
+  'link_health.md': 'linkHealth',
+  'link_health.csv': 'linkHealthCsv',
+  'link_graph.json': 'linkGraph',
+  'duplicates.md': 'duplicates',
+  'comparison.md': 'comparison',
+  'report.html': 'html',
+  'page_snapshot.json': 'snapshot',
+  'session_metadata.json': 'metadata',
+  'session_status.json': 'status',
+  [RESULTS_FILE]: 'results'
+};
+
+class ManifestService {
+  // run: { slug, timestamp, status, input, crawl, pageFilter, timings, usage, budget, cache, completedPhases, error }
+  async writeManifest(directories, run) {
+    const manifest = {
+      manifestVersion: MANIFEST_VERSION,
+      slug: run.slug,
+      timestamp: directories.timestamp,
+      status: run.status,
+      error: run.error || null,
+      completedPhases: run.completedPhases || null,
+      input: run.input || null,
+      crawl: run.crawl || null,
+      pageFilter: run.pageFilter || null,
+      llm: describeProvider(auditConfig.llm),
+      prompts: await this._describePrompts(),
+      timings: run.timings || null,
+      usage: run.usage || null,
+      budget: run.budget || null,
+      cache: run.cache || null,
+      files: await this._listFiles(directories.sessionDir),
+      writtenAt: new Date().toISOString()
+    };
+
+    const filePath = this.manifestPath(directories.sessionDir);
+    await fs.writeFile(filePath, JSON.stringify(manifest, null, 2), 'utf8');
+    workflowLogger.info('Session manifest written', {
+      slug: run.slug,
+      timestamp: directories.timestamp,
+      status: run.status,
+      files: manifest.files.length
+    });
+
+    return { filePath, filename: MANIFEST_FILE, manifest };
+  }
+
+  // Sessions written before manifests existed return null; callers fall back to the folder contents
+  async readManifest(sessionDir) {
+    try {
+      const manifest = JSON.parse(await fs.readFile(this.manifestPath(sessionDir), 'utf8'));
+      if (manifest.manifestVersion > MANIFEST_VERSION) {
+        workflowLogger.warn('Session manifest is newer than this service understands', {
+          sessionDir,
+          manifestVersion: manifest.manifestVersion
+        });
+      }
+      return manifest;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        workflowLogger.warn('Ignoring unreadable session manifest', { sessionDir, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  manifestPath(sessionDir) {
+    return path.join(sessionDir, MANIFEST_FILE);
+  }
+
+  // One entry per crawled URL: status, why it was or was not audited, AI analysis, rule findings, link metrics, duplicate group
+  buildResults(slug, timestamp, data) {
+    const { csvData, pageData, perPageAnalysis, ruleResults, filterResults, graphResults, duplicateResults, summaries } = data;
+
+    const audited = new Set(pageData.map(row => row.Address || row.URL));
+    const analysisByUrl = new Map(perPageAnalysis.map(page => [page.url, page]));
+    const exclusionByUrl = new Map(filterResults.excluded.map(item => [item.url, item]));
+    const graphByUrl = new Map(graphResults.pages.map(page => [page.url, page]));
+    const duplicateGroupByUrl = new Map();
+    for (const group of duplicateResults.groups) {
+      for (const page of group.pages) duplicateGroupByUrl.set(page.url, { group, page });
+    }
+
+    const pages = csvData.map(row => {
+      const url = row.Address || row.URL || '';
+      const analysis = analysisByUrl.get(url);
+      const exclusion = exclusionByUrl.get(url);
+      const graphPage = graphByUrl.get(url);
+      const duplicate = duplicateGroupByUrl.get(url);
+
+      return {
+        url,
+        status: parseInt(row['Status Code']) || 0,
+        indexability: row.Indexability || '',
+        indexabilityStatus: row['Indexability Status'] || '',
+        title: row['Title 1'] || row.Title || '',
+        wordCount: parseInt(row['Word Count']) || 0,
+        audited: audited.has(url),
+        exclusion: exclusion ? { reason: exclusion.reason, detail: exclusion.detail || null } : null,
+        analysis: analysis ? {
+          seoScore: analysis.seoScore,
+          priority: analysis.priority,
+          estimatedImpact: analysis.estimatedImpact,
+          issues: analysis.issues || [],
+          recommendations: analysis.recommendations || [],
+          quickWins: analysis.quickWins || [],
+          source: analysis.analysisSource,
+          fallbackReason: analysis.fallbackReason || null,
+          cached: !!analysis.cached
+        } : null,
+        ruleFindings: ruleResults.findingsByUrl[url] || [],
+        linkGraph: graphPage ? {
+          depth: graphPage.depth,
+          inlinks: graphPage.inlinks,
+          outlinks: graphPage.outlinks,
+          linkScore: graphPage.linkScore,
+          rank: graphPage.rank,
+          orphan: graphPage.orphan,
+          singleInlink: graphPage.singleInlink,
+          hub: graphPage.hub
+        } : null,
+        duplicate: duplicate ? {
+          groupId: duplicate.group.id,
+          closestMatch: duplicate.page.closestMatch,
+          similarity: duplicate.page.similarity
+        } : null
+      };
+    });
+
+    return {
+      resultsVersion: RESULTS_VERSION,
+      slug,
+      timestamp,
+      generatedAt: new Date().toISOString(),
+      summary: summaries,
+      duplicateGroups: duplicateResults.groups,
+      pages
+    };
+  }
+
+  async writeResults(sessionDir, results) {
+    const filePath = path.join(sessionDir, RESULTS_FILE);
+    await fs.writeFile(filePath, JSON.stringify(results), 'utf8');
+    return { filePath, filename: RESULTS_FILE, pageCount: results.pages.length };
+  }
+
+  async readResults(sessionDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(sessionDir, RESULTS_FILE), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  reportType(relativePath) {
+    if (REPORT_TYPES[relativePath]) return REPORT_TYPES[relativePath];
+    if (/^per_page_analysis\/page_.+\.md$/.test(relativePath)) return 'individualPage';
+    return 'other';
+  }
+
+  // Every file in the session except the manifest itself, with sizes and SHA-256 hashes
+  async _listFiles(sessionDir, prefix = '') {
+    const entries = await fs.readdir(path.join(sessionDir, prefix), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await this._listFiles(sessionDir, relativePath));
+      } else if (relativePath !== MANIFEST_FILE) {
+        const content = await fs.readFile(path.join(sessionDir, relativePath));
+        files.push({
+          path: relativePath,
+          type: this.reportType(relativePath),
+          bytes: content.length,
+          sha256: crypto.createHash('sha256').update(content).digest('hex')
+        });
+      }
+    }
+    return files;
+  }
+
+  // The cache prompt version is bumped by hand; the file hash shows edits that were not
+  async _describePrompts() {
+    let sha256 = null;
+    try {
+      sha256 = crypto.createHash('sha256').update(await fs.readFile(auditConfig.files.promptPath)).digest('hex');
+    } catch {
+      // Prompt file missing: the analysis used the built-in prompts only
+    }
+
+    return {
+      version: auditConfig.cache.promptVersion,
+      file: path.basename(auditConfig.files.promptPath),
+      sha256
+    };
+  }
+}
+
+module.exports = new ManifestService();
@@ -0,0 +1,112 @@
+// src/services/metricsHistoryService.js - Per-site metrics history across audit runs (survives session cleanup)
+const fs = require('fs').promises;
+const path = require('path');
+const workflowLogger = require('../utils/workflowLogger');
+const config = require('../config');
+
+// Lives in reports/slug/, next to the session folders that cleanupOldSessions removes
+const HISTORY_FILE = 'metrics_history.json';
+
+// Series charted in the executive summary and returned by GET /trends/:slug
+const TREND_SERIES = {
+  overallScore: 'Average SEO score',
+  pagesAnalyzed: 'Pages analysed',
+  crawledUrls: 'Crawled URLs',
+  aiIssues: 'AI-reported issues',
+  criticalFindings: 'Critical rule findings',
+  warningFindings: 'Rule warnings'
+};
+
+class MetricsHistoryService {
+  constructor() {
+    this.baseReportsDir = config.paths.reportsDir || path.join(__dirname, '../../reports');
+  }
+
+  // keyMetrics: reportService.extractKeyMetrics; statistics: the audit's enhanced statistics over the audited pages
+  buildEntry(timestamp, keyMetrics, statistics, ruleSummary, crawledUrls) {
+    return {
+      timestamp,
+      recordedAt: new Date().toISOString(),
+      overallScore: keyMetrics.overallScore,
+      pagesAnalyzed: keyMetrics.totalPages,
+      crawledUrls,
+      auditedPages: statistics.totalPages,
+      indexablePages: statistics.indexablePages,
+      avgWordCount: statistics.avgWordCount,
+      aiIssues: keyMetrics.criticalIssues,
+      quickWins: keyMetrics.quickWins,
+      highPerformingPages: statistics.seoScores.highPerforming,
+      pagesNeedingImprovement: statistics.seoScores.needsImprovement,
+      priorities: keyMetrics.priorities,
+      scoreDistribution: keyMetrics.scoreDistribution,
+      criticalFindings: ruleSummary.bySeverity.critical,
+      warningFindings: ruleSummary.bySeverity.warning,
+      noticeFindings: ruleSummary.bySeverity.notice,
+      statusCodes: statistics.statusCodes
+    };
+  }
+
+  // Oldest first; a rerun with the same session timestamp replaces its entry
+  async record(slug, entry) {
+    const entries = (await this.load(slug)).filter(existing => existing.timestamp !== entry.timestamp);
+    entries.push(entry);
+    entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    const filePath = this._historyPath(slug);
+    const tempPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify({ slug, entries }, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+
+    workflowLogger.info('Metrics history updated', { slug, timestamp: entry.timestamp, runs: entries.length });
+    return { filePath, runs: entries.length };
+  }
+
+  async load(slug) {
+    try {
+      const history = JSON.parse(await fs.readFile(this._historyPath(slug), 'utf8'));
+      return Array.isArray(history.entries) ? history.entries : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        workflowLogger.warn('Ignoring unreadable metrics history', { slug, error: error.message });
+      }
+      return [];
+    }
+  }
+
+  // Latest `limit` runs as chartable series, with the change since the first and the previous run
+  async getTrends(slug, limit = null) {
+    const entries = await this.load(slug);
+    return this.summarize(limit ? entries.slice(-limit) : entries);
+  }
+
+  summarize(entries) {
+    const series = {};
+    for (const [key, label] of Object.entries(TREND_SERIES)) {
+      const values = entries.map(entry => (entry[key] === undefined ? null : entry[key]));
+      const known = values.filter(value => value !== null);
+      series[key] = {
+        label,
+        values,
+        latest: known.length > 0 ? known[known.length - 1] : null,
+        changeSincePrevious: known.length > 1 ? known[known.length - 1] - known[known.length - 2] : null,
+        changeSinceFirst: known.length > 1 ? known[known.length - 1] - known[0] : null
+      };
+    }
+
+    return {
+      runs: entries.length,
+      firstRun: entries.length > 0 ? entries[0].timestamp : null,
+      latestRun: entries.length > 0 ? entries[entries.length - 1].timestamp : null,
+      timestamps: entries.map(entry => entry.timestamp),
+      series,
+      entries
+    };
+  }
+
+  _historyPath(slug) {
+    return path.join(this.baseReportsDir, slug, HISTORY_FILE);
+  }
+}
+
+module.exports = new MetricsHistoryService();
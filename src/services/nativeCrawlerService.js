@@ -0,0 +1,428 @@
+// src/services/nativeCrawlerService.js - Built-in HTTP crawler writing a Screaming Frog compatible internal_all.csv
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const workflowLogger = require('../utils/workflowLogger');
+const config = require('../config');
+const auditConfig = require('../config/audit');
+const fileService = require('./fileService');
+const robotsService = require('./robotsService');
+const crawlScopeService = require('./crawlScopeService');
+const { parseHtml, resolveUrl } = require('../utils/htmlParser');
+const { reportProgress } = require('../utils/progress');
+const { createCancelledError, throwIfCancelled } = require('../utils/cancellation');
+
+// Same column names (and order) as the Screaming Frog "Internal: All" export the pipeline reads
+const CSV_COLUMNS = [
+  'Address',
+  'Content Type',
+  'Status Code',
+  'Status',
+  'Indexability',
+  'Indexability Status',
+  'Title 1',
+  'Title 1 Length',
+  'Meta Description 1',
+  'Meta Description 1 Length',
+  'Meta Robots 1',
+  'X-Robots-Tag 1',
+  'H1-1',
+  'H1-1 Length',
+  'H1-2',
+  'H1-2 Length',
+  'H2-1',
+  'H2-2',
+  'Canonical Link Element 1',
+  'Size (bytes)',
+  'Word Count',
+  'Crawl Depth',
+  'Inlinks',
+  'Unique Inlinks',
+  'Outlinks',
+  'Unique Outlinks',
+  'External Outlinks',
+  'Response Time',
+  'Last Modified',
+  'Redirect URL',
+  'Crawl Timestamp'
+];
+
+// Subset of the Screaming Frog "All Inlinks" bulk export, used for link health
+const INLINK_COLUMNS = ['Type', 'Source', 'Destination', 'Follow', 'Status Code', 'Status'];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+class NativeCrawlerService {
+  async crawl(url, outputDir, options = {}) {
+    const settings = { ...config.crawler.native, respectRobots: config.crawler.robots.respect };
+    const startTime = Date.now();
+
+    // List mode fetches exactly the given URLs: links and redirects are recorded but never followed
+    const listUrls = options.listUrls
+      ? [...new Set(options.listUrls.map(listUrl => resolveUrl(listUrl, listUrl)).filter(Boolean))]
+      : null;
+    const scope = crawlScopeService.compile(listUrls
+      ? { include: [], exclude: [], maxDepth: 0, maxUrls: listUrls.length, followSubdomains: false, stripParams: false }
+      : options.scope || crawlScopeService.resolve({}, 'native'));
+    settings.maxDepth = scope.maxDepth;
+    settings.maxPages = scope.maxUrls;
+
+    const resolvedStartUrl = resolveUrl(url, url);
+    if (!resolvedStartUrl) {
+      throw new Error(`Cannot crawl non-HTTP URL: ${url}`);
+    }
+    const startUrl = crawlScopeService.normalizeUrl(resolvedStartUrl, scope);
+    const initialUrls = listUrls || [startUrl];
+
+    const state = {
+      mode: listUrls ? 'list' : 'spider',
+      scope,
+      siteHosts: new Set(initialUrls.map(initialUrl => this._siteHost(initialUrl))),
+      queue: initialUrls.map(initialUrl => ({ url: initialUrl, depth: 0 })),
+      seen: new Set(initialUrls),
+      results: [],
+      links: [],
+      outOfScope: 0,
+      // robots.txt is always fetched so the analysis can report on it, even when it is not obeyed
+      robots: robotsService.createPolicy({ signal: options.signal, timeoutMs: settings.requestTimeoutMs })
+    };
+    // Sitemap URLs are crawled once link discovery runs dry, so crawl depths stay link-based
+    state.seeds = this._internalSeeds(options.seedUrls, state);
+
+    logger.info(`Starting native ${state.mode} crawl: ${startUrl} (max ${settings.maxPages} pages, depth ${settings.maxDepth})`);
+    workflowLogger.info('Starting native crawl', { url: startUrl, mode: state.mode, settings, scope: this._describeScope(scope), outputDir });
+
+    // Body text goes straight to disk (duplicate detection) so large crawls do not hold every page in memory
+    const pageTextFile = await fs.open(path.join(outputDir, auditConfig.files.pageTextFilename), 'w');
+    try {
+      // Breadth-first, one batch of `concurrency` requests at a time, so depth order is preserved
+      while ((state.queue.length > 0 || state.seeds.length > 0) && state.results.length < settings.maxPages) {
+        throwIfCancelled(options.signal, 'Crawl cancelled');
+
+        if (state.queue.length === 0) {
+          this._enqueueSeeds(state);
+          if (state.queue.length === 0) break;
+        }
+
+        const batch = state.queue.splice(0, Math.min(settings.concurrency, settings.maxPages - state.results.length));
+        const results = await Promise.all(batch.map(item => this._crawlUrl(item, state, settings, options.signal)));
+
+        for (const result of results) {
+          state.results.push(result);
+          this._enqueueLinks(result, state, settings);
+          await this._writePageText(pageTextFile, result);
+        }
+
+        reportProgress(options, 'crawl_progress', {
+          crawled: state.results.length,
+          queued: state.queue.length + state.seeds.length,
+          maxPages: settings.maxPages,
+          percent: Math.round((state.results.length / Math.min(settings.maxPages, state.results.length + state.queue.length + state.seeds.length)) * 100)
+        });
+      }
+    } finally {
+      await pageTextFile.close();
+    }
+
+    const rows = this._buildRows(state);
+    const csvPath = path.join(outputDir, auditConfig.files.csvFilename);
+    await fileService.writeCSV(csvPath, CSV_COLUMNS, rows);
+    await fileService.writeCSV(path.join(outputDir, auditConfig.files.inlinksFilename), INLINK_COLUMNS, this._buildInlinkRows(state));
+    await robotsService.save(outputDir, await state.robots.toJSON());
+
+    const duration = Date.now() - startTime;
+    const summary = {
+      url: startUrl,
+      mode: state.mode,
+      pagesCrawled: rows.length,
+      urlsDiscovered: state.seen.size,
+      blockedByRobots: state.results.filter(result => result.blockedByRobots).length,
+      limitReached: state.queue.length > 0 || state.seeds.some(seed => !state.seen.has(seed)),
+      seededFromSitemap: state.results.filter(result => result.fromSitemap).length,
+      outOfScope: state.outOfScope,
+      duration
+    };
+
+    logger.info(`Native crawl completed: ${rows.length} URLs in ${duration}ms`);
+    workflowLogger.info('Native crawl completed', { ...summary, csvPath });
+
+    return { ...summary, csvPath, crawlSettings: { ...settings, scope: this._describeScope(scope) } };
+  }
+
+  async _writePageText(file, result) {
+    if (!result.page) return;
+    if (result.status === 200 && result.page.text) {
+      await file.write(`${JSON.stringify({ url: result.url, text: result.page.text })}\n`);
+    }
+    delete result.page.text;
+  }
+
+  // Seeds obey the same host and include/exclude rules as discovered links
+  _internalSeeds(seedUrls = [], state) {
+    const seeds = seedUrls
+      .map(url => resolveUrl(url, url))
+      .filter(url => url && this._isInternal(url, state.siteHosts, state.scope.followSubdomains))
+      .map(url => crawlScopeService.normalizeUrl(url, state.scope))
+      .filter(url => !crawlScopeService.check(state.scope, url, 0));
+    return [...new Set(seeds)];
+  }
+
+  // The compiled regexes are not worth logging or returning
+  _describeScope({ includeRegexes, excludeRegexes, ...scope }) {
+    return scope;
+  }
+
+  // Depth 0: a sitemap-only URL has no link path from the start page
+  _enqueueSeeds(state) {
+    for (const url of state.seeds.splice(0)) {
+      if (state.seen.has(url)) continue;
+      state.seen.add(url);
+      state.queue.push({ url, depth: 0, fromSitemap: true });
+    }
+  }
+
+  // URLs disallowed by robots.txt get a row (like Screaming Frog) but are never requested
+  async _crawlUrl(item, state, settings, signal) {
+    let verdict;
+    try {
+      verdict = await state.robots.check(item.url);
+    } catch (error) {
+      if (signal && signal.aborted) throw createCancelledError('Crawl cancelled');
+      throw error;
+    }
+
+    if (settings.respectRobots && !verdict.allowed) {
+      return {
+        url: item.url,
+        depth: item.depth,
+        status: 0,
+        statusText: 'Blocked by Robots.txt',
+        contentType: '',
+        page: null,
+        redirectUrl: '',
+        blockedByRobots: true,
+        robotsRule: verdict.rule,
+        responseTimeMs: 0,
+        crawledAt: new Date()
+      };
+    }
+
+    const result = await this._fetchPage(item, settings, signal);
+    result.fromSitemap = !!item.fromSitemap;
+    return result;
+  }
+
+  async _fetchPage({ url, depth }, settings, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timer = setTimeout(() => controller.abort(), settings.requestTimeoutMs);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const result = { url, depth, status: 0, statusText: '', contentType: '', page: null, redirectUrl: '', crawledAt: new Date() };
+    const started = Date.now();
+
+    try {
+      // Redirects are recorded (3xx row + Redirect URL) and their targets crawled like any other link
+      const response = await fetch(url, {
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: {
+          'User-Agent': settings.userAgent,
+          Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+        }
+      });
+
+      result.status = response.status;
+      result.statusText = http.STATUS_CODES[response.status] || response.statusText || '';
+      result.contentType = response.headers.get('content-type') || '';
+      result.xRobotsTag = response.headers.get('x-robots-tag') || '';
+      result.lastModified = response.headers.get('last-modified') || '';
+
+      if (REDIRECT_STATUSES.includes(response.status)) {
+        result.redirectUrl = resolveUrl(response.headers.get('location'), url) || '';
+      }
+
+      if (result.contentType.toLowerCase().includes('html') && !result.redirectUrl) {
+        const { text, bytes } = await this._readBody(response, settings.maxBodyBytes);
+        result.sizeBytes = bytes;
+        result.page = parseHtml(text, url);
+      } else {
+        result.sizeBytes = parseInt(response.headers.get('content-length')) || 0;
+        if (response.body) await response.body.cancel().catch(() => {});
+      }
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw createCancelledError('Crawl cancelled');
+      }
+
+      // Network failures and timeouts become status 0 rows, as in Screaming Frog
+      result.statusText = controller.signal.aborted ? 'Connection Timeout' : 'Connection Error';
+      workflowLogger.warn('Native crawl request failed', { url, error: error.message, statusText: result.statusText });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    result.responseTimeMs = Date.now() - started;
+    return result;
+  }
+
+  // Bodies over maxBodyBytes are truncated rather than buffered whole
+  async _readBody(response, maxBytes) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let bytes = 0;
+
+    while (bytes < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      bytes += value.length;
+    }
+    await reader.cancel().catch(() => {});
+
+    return { text: Buffer.concat(chunks).toString('utf8'), bytes };
+  }
+
+  _enqueueLinks(result, state, settings) {
+    const links = result.page
+      ? result.page.links
+      : (result.redirectUrl ? [{ url: result.redirectUrl, nofollow: false }] : []);
+
+    // Nofollow pages and links still count as outlinks, they are just not crawled from here
+    const pageNofollow = /\b(nofollow|none)\b/i.test(`${result.page ? result.page.metaRobots : ''},${result.xRobotsTag || ''}`);
+
+    result.internalLinks = 0;
+    result.externalLinks = 0;
+    result.uniqueInternalTargets = new Set();
+
+    for (const { url: link, nofollow } of links) {
+      if (!this._isInternal(link, state.siteHosts, state.scope.followSubdomains)) {
+        result.externalLinks++;
+        continue;
+      }
+
+      // Stripped parameters make ?utm_source=... variants the same URL as the clean one
+      const target = crawlScopeService.normalizeUrl(link, state.scope);
+      result.internalLinks++;
+      result.uniqueInternalTargets.add(target);
+      state.links.push({ source: result.url, target, nofollow: pageNofollow || nofollow });
+
+      const follow = !settings.respectRobots || !(pageNofollow || nofollow);
+      if (!follow || state.seen.has(target)) continue;
+
+      // Out-of-scope links still count as outlinks, they are just never requested
+      if (crawlScopeService.check(state.scope, target, result.depth + 1)) {
+        state.seen.add(target);
+        state.outOfScope++;
+        continue;
+      }
+
+      state.seen.add(target);
+      state.queue.push({ url: target, depth: result.depth + 1 });
+    }
+  }
+
+  _buildRows(state) {
+    const inlinks = new Map();
+    for (const { source, target } of state.links) {
+      if (!inlinks.has(target)) inlinks.set(target, { total: 0, sources: new Set() });
+      const entry = inlinks.get(target);
+      entry.total++;
+      entry.sources.add(source);
+    }
+
+    return state.results.map(result => {
+      const page = result.page || { title: '', metaDescription: '', metaRobots: '', canonical: '', h1: [], h2: [], wordCount: 0 };
+      const incoming = inlinks.get(result.url) || { total: 0, sources: new Set() };
+      const { indexability, indexabilityStatus } = this._indexability(result, page);
+
+      return {
+        'Address': result.url,
+        'Content Type': result.contentType,
+        'Status Code': result.status,
+        'Status': result.statusText,
+        'Indexability': indexability,
+        'Indexability Status': indexabilityStatus,
+        'Title 1': page.title,
+        'Title 1 Length': page.title.length,
+        'Meta Description 1': page.metaDescription,
+        'Meta Description 1 Length': page.metaDescription.length,
+        'Meta Robots 1': page.metaRobots,
+        'X-Robots-Tag 1': result.xRobotsTag || '',
+        'H1-1': page.h1[0] || '',
+        'H1-1 Length': (page.h1[0] || '').length,
+        'H1-2': page.h1[1] || '',
+        'H1-2 Length': (page.h1[1] || '').length,
+        'H2-1': page.h2[0] || '',
+        'H2-2': page.h2[1] || '',
+        'Canonical Link Element 1': page.canonical,
+        'Size (bytes)': result.sizeBytes || 0,
+        'Word Count': page.wordCount,
+        'Crawl Depth': result.depth,
+        'Inlinks': incoming.total,
+        'Unique Inlinks': incoming.sources.size,
+        'Outlinks': result.internalLinks,
+        'Unique Outlinks': result.uniqueInternalTargets.size,
+        'External Outlinks': result.externalLinks,
+        'Response Time': (result.responseTimeMs / 1000).toFixed(3), // seconds, like Screaming Frog
+        'Last Modified': result.lastModified || '',
+        'Redirect URL': result.redirectUrl,
+        'Crawl Timestamp': result.crawledAt.toISOString().replace('T', ' ').substring(0, 19)
+      };
+    });
+  }
+
+  // Redirects are links too: the 3xx row links to its target, as in Screaming Frog
+  _buildInlinkRows(state) {
+    const responses = new Map(state.results.map(result => [result.url, result]));
+
+    return state.links.map(({ source, target, nofollow }) => {
+      const response = responses.get(target);
+      const sourceResult = responses.get(source);
+      return {
+        'Type': sourceResult && sourceResult.redirectUrl === target && !sourceResult.page ? 'Redirect' : 'Hyperlink',
+        'Source': source,
+        'Destination': target,
+        'Follow': nofollow ? 'false' : 'true',
+        'Status Code': response ? response.status : '',
+        'Status': response ? response.statusText : 'Not Crawled'
+      };
+    });
+  }
+
+  _indexability(result, page) {
+    const nonIndexable = indexabilityStatus => ({ indexability: 'Non-Indexable', indexabilityStatus });
+
+    if (result.blockedByRobots) return nonIndexable('Blocked by Robots.txt');
+    if (result.status === 0) return nonIndexable('No Response');
+    if (result.status >= 500) return nonIndexable('Server Error');
+    if (result.status >= 400) return nonIndexable('Client Error');
+    if (result.status >= 300) return nonIndexable('Redirected');
+
+    const directives = `${page.metaRobots},${result.xRobotsTag || ''}`.toLowerCase();
+    if (/\b(noindex|none)\b/.test(directives)) return nonIndexable('noindex');
+    if (page.canonical && page.canonical !== result.url) return nonIndexable('Canonicalised');
+
+    return { indexability: 'Indexable', indexabilityStatus: '' };
+  }
+
+  // www. and bare hosts are treated as the same site so an apex -> www redirect stays internal
+  _siteHost(url) {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  }
+
+  // In list mode every host on the list counts as internal; subdomains only when the scope follows them
+  _isInternal(url, siteHosts, followSubdomains = false) {
+    try {
+      const host = this._siteHost(url);
+      if (siteHosts.has(host)) return true;
+      return followSubdomains && [...siteHosts].some(siteHost => host.endsWith(`.${siteHost}`));
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = new NativeCrawlerService();
@@ -0,0 +1,131 @@
+// src/services/pageFilterService.js - Selects the crawled rows that go to the AI audit and records why the rest did not
+const workflowLogger = require('../utils/workflowLogger');
+const auditConfig = require('../config/audit');
+
+// Human-readable exclusion reasons used in reports
+const EXCLUSION_REASONS = {
+  non_200: 'Not a 200 response (see broken/redirecting URLs)',
+  non_html: 'Not an HTML page',
+  excluded_pattern: 'Matches an exclude pattern',
+  thin_content: 'Below the minimum word count'
+};
+
+class PageFilterService {
+  // Per-request overrides on top of the configured defaults; the result is recorded in the session metadata
+  resolve(overrides = {}) {
+    return { ...auditConfig.pageFilter, ...(overrides || {}) };
+  }
+
+  apply(csvData, filter) {
+    const includeRegexes = filter.includePatterns.map(pattern => new RegExp(pattern, 'i'));
+    const excludeRegexes = filter.excludePatterns.map(pattern => new RegExp(pattern, 'i'));
+
+    const pages = [];
+    const excluded = [];
+    const nonOkRows = [];
+
+    for (const row of csvData) {
+      const url = row.Address || row.URL || '';
+      const statusCode = String(row['Status Code'] || '').trim();
+
+      // Exports without a status column are assumed to list successful pages only
+      if (statusCode !== '' && statusCode !== '200') {
+        nonOkRows.push(row);
+        excluded.push({ url, status: statusCode, reason: 'non_200', detail: row.Status || `HTTP ${statusCode}` });
+        continue;
+      }
+
+      const exclusion = this._exclusion(row, url, filter, includeRegexes, excludeRegexes);
+      if (exclusion) {
+        excluded.push({ url, status: statusCode, ...exclusion });
+      } else {
+        pages.push(row);
+      }
+    }
+
+    const byReason = {};
+    for (const item of excluded) {
+      byReason[item.reason] = (byReason[item.reason] || 0) + 1;
+    }
+
+    const results = {
+      filter,
+      pages,
+      excluded,
+      nonOkRows,
+      summary: {
+        totalRows: csvData.length,
+        auditedPages: pages.length,
+        excluded: excluded.length,
+        byReason
+      }
+    };
+
+    workflowLogger.info('Page filter applied', results.summary);
+    return results;
+  }
+
+  // includePatterns win over the content-type and exclude-pattern checks, not over the status check
+  _exclusion(row, url, filter, includeRegexes, excludeRegexes) {
+    if (includeRegexes.some(regex => regex.test(url))) return null;
+
+    const contentType = (row['Content Type'] || '').toLowerCase();
+    if (filter.htmlOnly && contentType && !contentType.includes('html')) {
+      return { reason: 'non_html', detail: row['Content Type'] };
+    }
+
+    const pattern = excludeRegexes.find(regex => regex.test(url));
+    if (pattern) {
+      return { reason: 'excluded_pattern', detail: pattern.source };
+    }
+
+    // Imports without a Word Count column cannot be judged on length, so they are kept
+    if (row['Word Count'] !== undefined) {
+      const wordCount = parseInt(row['Word Count']) || 0;
+      if (wordCount < filter.minWordCount) {
+        return { reason: 'thin_content', detail: `${wordCount} words (minimum ${filter.minWordCount})` };
+      }
+    }
+
+    return null;
+  }
+
+  // Redirects, 4xx, 5xx and unanswered URLs from the rows the audit does not analyse, most linked first
+  analyzeStatuses(nonOkRows) {
+    const entries = nonOkRows
+      .map(row => ({
+        url: row.Address || row.URL || '',
+        status: parseInt(row['Status Code']) || 0,
+        statusText: row.Status || row['Indexability Status'] || '',
+        redirectUrl: row['Redirect URL'] || '',
+        inlinks: parseInt(row.Inlinks) || 0
+      }))
+      .sort((a, b) => b.inlinks - a.inlinks);
+
+    const results = {
+      redirects: entries.filter(entry => entry.status >= 300 && entry.status < 400),
+      clientErrors: entries.filter(entry => entry.status >= 400 && entry.status < 500),
+      serverErrors: entries.filter(entry => entry.status >= 500),
+      noResponse: entries.filter(entry => entry.status === 0),
+      other: entries.filter(entry => entry.status > 0 && entry.status < 300)
+    };
+
+    results.summary = {
+      total: entries.length,
+      redirects: results.redirects.length,
+      clientErrors: results.clientErrors.length,
+      serverErrors: results.serverErrors.length,
+      noResponse: results.noResponse.length,
+      other: results.other.length
+    };
+
+    workflowLogger.info('Broken/redirecting URL analysis completed', results.summary);
+    return results;
+  }
+
+  describeReason(reason) {
+    return EXCLUSION_REASONS[reason] || reason;
+  }
+}
+
+module.exports = new PageFilterService();
@@ -0,0 +1,380 @@
+// src/services/pdfReportService.js - PDF export of the executive summary and priority action plan (cover, contents, page numbers)
+const fs = require('fs').promises;
+const workflowLogger = require('../utils/workflowLogger');
+const auditConfig = require('../config/audit');
+const PdfDocument = require('../utils/pdfDocument');
+const { parseMarkdown, parseInline } = require('../utils/markdown');
+
+const MARGIN = 56;
+const FOOTER_HEIGHT = 36;
+const BODY_SIZE = 10;
+const TABLE_SIZE = 8.5;
+const LINE_SPACING = 1.4;
+const TEXT_COLOR = '#2c3e50';
+const MUTED_COLOR = '#7f8c8d';
+
+// Markdown heading level -> font size; section titles are drawn at level 1
+const HEADING_SIZES = { 1: 20, 2: 15, 3: 12.5, 4: 11, 5: 10.5, 6: 10 };
+// Section titles and "##" headings are listed in the table of contents
+const CONTENTS_MAX_LEVEL = 2;
+const CONTENTS_LINE_HEIGHT = 18;
+
+class PdfReportService {
+  // sources: { executive, actionPlan } Markdown file paths (actionPlan is missing when per-page analysis was skipped)
+  async generatePdfReport(slug, timestamp, sources, branding = {}) {
+    const settings = { ...auditConfig.pdf, ...branding };
+    const domain = slug.replace(/_/g, '.');
+
+    const sections = [{ title: 'Executive Summary', markdown: await fs.readFile(sources.executive, 'utf8') }];
+    if (sources.actionPlan) {
+      sections.push({ title: 'Priority Action Plan', markdown: await fs.readFile(sources.actionPlan, 'utf8') });
+    }
+
+    const doc = new PdfDocument({
+      title: `SEO Audit Report - ${domain}`,
+      author: settings.preparedBy || settings.brandName,
+      subject: `SEO audit session ${timestamp}`,
+      producer: 'SEO Auditor Service v2.0'
+    });
+    const state = { doc, settings, page: null, y: 0, contents: [] };
+
+    this._drawCover(state, domain, timestamp);
+    for (const section of sections) {
+      this._drawSection(state, section);
+    }
+    this._drawContents(state);
+    this._drawFooters(state);
+
+    const buffer = doc.toBuffer();
+    workflowLogger.info('PDF report generated', {
+      slug,
+      timestamp,
+      pages: doc.pages.length,
+      sections: sections.length,
+      bytes: buffer.length
+    });
+    return buffer;
+  }
+
+  _drawCover(state, domain, timestamp) {
+    const { doc, settings } = state;
+    const page = doc.addPage();
+    const textWidth = doc.width - 2 * MARGIN;
+
+    doc.rect(page, 0, 0, doc.width, 320, { fill: settings.primaryColor });
+    doc.text(page, MARGIN, 90, settings.brandName, { font: 'bold', size: 14, color: '#ffffff' });
+    doc.text(page, MARGIN, 200, 'SEO Audit Report', { font: 'bold', size: 32, color: '#ffffff' });
+    this._drawWrapped(state, page, MARGIN, 240, [{ text: domain }], textWidth, 16, { color: '#ffffff' });
+
+    const details = [
+      ['Prepared for', settings.preparedFor || domain],
+      ['Prepared by', settings.preparedBy || settings.brandName],
+      ['Date', new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })],
+      ['Audit session', timestamp]
+    ];
+    let y = 390;
+    for (const [label, value] of details) {
+      doc.text(page, MARGIN, y, label.toUpperCase(), { font: 'bold', size: 8, color: MUTED_COLOR });
+      y = this._drawWrapped(state, page, MARGIN, y + 16, [{ text: value }], textWidth, 13, { color: TEXT_COLOR }) + 14;
+    }
+
+    if (settings.contact) {
+      doc.line(page, MARGIN, doc.height - 100, doc.width - MARGIN, doc.height - 100, { color: settings.primaryColor, width: 1 });
+      this._drawWrapped(state, page, MARGIN, doc.height - 80, [{ text: settings.contact }], textWidth, 10, { color: MUTED_COLOR });
+    }
+  }
+
+  _drawSection(state, section) {
+    this._newPage(state);
+    this._drawHeading(state, section.title, 1);
+
+    // The document's own "# Title" is replaced by the section title
+    const blocks = parseMarkdown(section.markdown);
+    const firstHeading = blocks.findIndex(block => block.type === 'heading');
+    if (firstHeading !== -1 && blocks[firstHeading].level === 1) blocks.splice(firstHeading, 1);
+
+    for (const block of blocks) {
+      switch (block.type) {
+        case 'heading':
+          this._drawHeading(state, block.text, block.level);
+          break;
+        case 'paragraph':
+          this._drawParagraph(state, block.lines.flatMap((line, index) => (index > 0 ? [{ lineBreak: true }] : []).concat(parseInline(line))));
+          break;
+        case 'list':
+          this._drawList(state, block);
+          break;
+        case 'table':
+          this._drawTable(state, block);
+          break;
+        case 'code':
+          this._drawCode(state, block.text);
+          break;
+        case 'hr':
+          this._ensureSpace(state, 16);
+          state.doc.line(state.page, MARGIN, state.y + 6, state.doc.width - MARGIN, state.y + 6, { color: '#dde2e8' });
+          state.y += 16;
+          break;
+      }
+    }
+  }
+
+  _drawHeading(state, text, level) {
+    const size = HEADING_SIZES[level] || BODY_SIZE;
+    const title = PdfDocument.toWinAnsi(parseInline(text).map(span => span.text || '').join('')).trim();
+    if (!title) return;
+
+    // Space before, and keep the heading together with the first lines that follow it
+    if (state.y > MARGIN) state.y += size * 0.6;
+    this._ensureSpace(state, size * LINE_SPACING + BODY_SIZE * LINE_SPACING * 2);
+
+    const color = level <= 2 ? state.settings.primaryColor : TEXT_COLOR;
+    const top = state.y;
+    state.y = this._drawWrapped(state, state.page, MARGIN, state.y + size, [{ text: title, bold: true }], this._contentWidth(state), size, { color });
+    if (level === 1) {
+      state.doc.line(state.page, MARGIN, state.y - size * 0.2, state.doc.width - MARGIN, state.y - size * 0.2, { color: state.settings.primaryColor, width: 1.5 });
+      state.y += 6;
+    }
+    state.y += size * 0.3;
+
+    if (level <= CONTENTS_MAX_LEVEL) {
+      state.contents.push({ title, level, page: state.page, y: top });
+    }
+  }
+
+  _drawParagraph(state, spans, options = {}) {
+    const indent = options.indent || 0;
+    const lines = this._layout(state, spans, this._contentWidth(state) - indent, BODY_SIZE);
+    const lineHeight = BODY_SIZE * LINE_SPACING;
+
+    lines.forEach((line, index) => {
+      this._ensureSpace(state, lineHeight);
+      if (index === 0 && options.marker) {
+        state.doc.text(state.page, MARGIN + indent - options.markerWidth, state.y + BODY_SIZE, options.marker, { size: BODY_SIZE, color: TEXT_COLOR });
+      }
+      this._drawLine(state, state.page, MARGIN + indent, state.y + BODY_SIZE, line, BODY_SIZE, TEXT_COLOR);
+      state.y += lineHeight;
+    });
+    state.y += options.spacing === undefined ? 6 : options.spacing;
+  }
+
+  _drawList(state, block) {
+    block.items.forEach((item, index) => {
+      const marker = block.ordered ? `${index + 1}.` : '•';
+      this._drawParagraph(state, parseInline(item), { indent: 18, marker, markerWidth: 14, spacing: 2 });
+    });
+    state.y += 4;
+  }
+
+  // Column widths follow the content, shrunk proportionally to the page width; the header repeats after a page break
+  _drawTable(state, block) {
+    const { doc } = state;
+    const padding = 4;
+    const lineHeight = TABLE_SIZE * 1.3;
+    const columns = Math.max(block.headers.length, ...block.rows.map(row => row.length));
+    const plain = cell => parseInline(cell || '').map(span => span.text || '').join('');
+
+    const natural = Array.from({ length: columns }, (value, column) => Math.max(
+      doc.widthOf(plain(block.headers[column]), 'bold', TABLE_SIZE),
+      ...block.rows.map(row => doc.widthOf(plain(row[column]), 'regular', TABLE_SIZE))
+    ) + 2 * padding + 1);
+    const available = this._contentWidth(state);
+    const total = natural.reduce((sum, width) => sum + width, 0);
+    const widths = total <= available
+      ? natural
+      : natural.map(width => Math.max(40, (width / total) * available));
+    const scale = Math.min(1, available / widths.reduce((sum, width) => sum + width, 0));
+    const columnWidths = widths.map(width => width * scale);
+
+    const layoutRow = (cells, bold) => {
+      const lines = columnWidths.map((width, column) => {
+        const spans = parseInline(cells[column] || '').map(span => (bold ? { ...span, bold: true } : span));
+        return this._layout(state, spans, width - 2 * padding, TABLE_SIZE);
+      });
+      return { lines, height: Math.max(1, ...lines.map(cellLines => cellLines.length)) * lineHeight + 2 * padding };
+    };
+
+    const drawRow = (row, header) => {
+      let x = MARGIN;
+      row.lines.forEach((cellLines, column) => {
+        doc.rect(state.page, x, state.y, columnWidths[column], row.height, header ? { fill: '#eef1f4', stroke: '#d5dbe1' } : { stroke: '#d5dbe1' });
+        cellLines.forEach((line, index) => {
+          this._drawLine(state, state.page, x + padding, state.y + padding + TABLE_SIZE + index * lineHeight, line, TABLE_SIZE, TEXT_COLOR);
+        });
+        x += columnWidths[column];
+      });
+      state.y += row.height;
+    };
+
+    const header = layoutRow(block.headers, true);
+    this._ensureSpace(state, header.height + lineHeight + 2 * padding);
+    drawRow(header, true);
+
+    for (const cells of block.rows) {
+      const row = layoutRow(cells, false);
+      if (this._ensureSpace(state, row.height)) drawRow(header, true);
+      drawRow(row, false);
+    }
+    state.y += 10;
+  }
+
+  _drawCode(state, text) {
+    const size = 8.5;
+    const lineHeight = size * 1.3;
+    for (const line of text.split('\n')) {
+      const lines = this._layout(state, [{ text: line || ' ', code: true }], this._contentWidth(state) - 12, size);
+      for (const wrapped of lines) {
+        this._ensureSpace(state, lineHeight);
+        this._drawLine(state, state.page, MARGIN + 6, state.y + size, wrapped, size, TEXT_COLOR);
+        state.y += lineHeight;
+      }
+    }
+    state.y += 6;
+  }
+
+  // Contents pages go right after the cover, so every entry's page number is only known once the body is laid out
+  _drawContents(state) {
+    const { doc, settings } = state;
+    const top = MARGIN + 50;
+    const perPage = Math.floor((doc.height - top - MARGIN - FOOTER_HEIGHT) / CONTENTS_LINE_HEIGHT);
+    const pageCount = Math.max(1, Math.ceil(state.contents.length / perPage));
+    const pages = Array.from({ length: pageCount }, (value, index) => doc.insertPage(1 + index));
+
+    doc.text(pages[0], MARGIN, MARGIN + HEADING_SIZES[1], 'Contents', { font: 'bold', size: HEADING_SIZES[1], color: settings.primaryColor });
+    doc.line(pages[0], MARGIN, MARGIN + 30, doc.width - MARGIN, MARGIN + 30, { color: settings.primaryColor, width: 1.5 });
+
+    state.contents.forEach((entry, index) => {
+      const page = pages[Math.floor(index / perPage)];
+      const y = top + (index % perPage) * CONTENTS_LINE_HEIGHT;
+      const font = entry.level === 1 ? 'bold' : 'regular';
+      const indent = entry.level === 1 ? 0 : 16;
+      const pageNumber = String(doc.pages.indexOf(entry.page) + 1);
+      const numberWidth = doc.widthOf(pageNumber, font, BODY_SIZE);
+      const maxTitleWidth = this._contentWidth(state) - indent - numberWidth - 30;
+
+      let title = entry.title;
+      while (title.length > 1 && doc.widthOf(title, font, BODY_SIZE) > maxTitleWidth) title = title.slice(0, -1);
+      if (title !== entry.title) title = `${title.trimEnd()}…`;
+
+      const titleWidth = doc.widthOf(title, font, BODY_SIZE);
+      const leaderStart = MARGIN + indent + titleWidth + 6;
+      const leaderEnd = doc.width - MARGIN - numberWidth - 6;
+      const dots = Math.max(0, Math.floor((leaderEnd - leaderStart) / doc.widthOf('.', 'regular', BODY_SIZE)));
+
+      doc.text(page, MARGIN + indent, y, title, { font, size: BODY_SIZE, color: TEXT_COLOR });
+      doc.text(page, leaderStart, y, '.'.repeat(dots), { size: BODY_SIZE, color: MUTED_COLOR });
+      doc.text(page, doc.width - MARGIN - numberWidth, y, pageNumber, { font, size: BODY_SIZE, color: TEXT_COLOR });
+      doc.link(page, MARGIN, y - BODY_SIZE, this._contentWidth(state), CONTENTS_LINE_HEIGHT, entry.page, Math.max(0, entry.y - 10));
+    });
+  }
+
+  // Every page but the cover: brand on the left, "Page n of N" on the right
+  _drawFooters(state) {
+    const { doc, settings } = state;
+    const total = doc.pages.length;
+    const y = doc.height - MARGIN + 20;
+
+    doc.pages.forEach((page, index) => {
+      if (index === 0) return;
+      const label = `Page ${index + 1} of ${total}`;
+      doc.line(page, MARGIN, y - 14, doc.width - MARGIN, y - 14, { color: '#dde2e8' });
+      doc.text(page, MARGIN, y, settings.brandName, { size: 8, color: MUTED_COLOR });
+      doc.text(page, doc.width - MARGIN - doc.widthOf(label, 'regular', 8), y, label, { size: 8, color: MUTED_COLOR });
+    });
+  }
+
+  _newPage(state) {
+    state.page = state.doc.addPage();
+    state.y = MARGIN;
+  }
+
+  // Starts a new page when `height` does not fit above the footer; returns whether it did
+  _ensureSpace(state, height) {
+    if (state.page && state.y + height <= state.doc.height - MARGIN - FOOTER_HEIGHT) return false;
+    this._newPage(state);
+    return true;
+  }
+
+  _contentWidth(state) {
+    return state.doc.width - 2 * MARGIN;
+  }
+
+  // Draws wrapped spans from baseline y; returns the y below the last line
+  _drawWrapped(state, page, x, y, spans, width, size, options = {}) {
+    const lines = this._layout(state, spans, width, size);
+    lines.forEach((line, index) => this._drawLine(state, page, x, y + index * size * LINE_SPACING, line, size, options.color || TEXT_COLOR));
+    return y + lines.length * size * LINE_SPACING;
+  }
+
+  _drawLine(state, page, x, baseline, line, size, color) {
+    for (const word of line) {
+      state.doc.text(page, x + word.x, baseline, word.text, { font: word.font, size, color });
+    }
+  }
+
+  // Greedy word wrap over styled spans; words wider than a line (long URLs) are broken between characters
+  _layout(state, spans, maxWidth, size) {
+    const { doc } = state;
+    const lines = [[]];
+    let x = 0;
+    let pendingSpace = false;
+
+    const newLine = () => {
+      lines.push([]);
+      x = 0;
+    };
+
+    for (const span of spans) {
+      if (span.lineBreak) {
+        newLine();
+        pendingSpace = false;
+        continue;
+      }
+
+      const font = span.code ? 'mono' : span.bold ? 'bold' : span.italic ? 'italic' : 'regular';
+      for (const part of PdfDocument.toWinAnsi(span.text).split(/(\s+)/)) {
+        if (!part) continue;
+        if (/^\s+$/.test(part)) {
+          pendingSpace = true;
+          continue;
+        }
+
+        const current = lines[lines.length - 1];
+        const spaceWidth = current.length > 0 && pendingSpace ? doc.widthOf(' ', font, size) : 0;
+        let word = part;
+        if (current.length > 0 && x + spaceWidth + doc.widthOf(word, font, size) > maxWidth) {
+          newLine();
+        } else {
+          x += spaceWidth;
+        }
+
+        while (word.length > 1 && doc.widthOf(word, font, size) > maxWidth - x) {
+          let cut = word.length - 1;
+          while (cut > 1 && doc.widthOf(word.substring(0, cut), font, size) > maxWidth - x) cut--;
+          if (x > 0 && doc.widthOf(word.substring(0, cut), font, size) > maxWidth - x) {
+            newLine();
+            continue;
+          }
+          lines[lines.length - 1].push({ text: word.substring(0, cut), font, x });
+          word = word.substring(cut);
+          newLine();
+        }
+
+        // Runs of words in one font are drawn as one string
+        const line = lines[lines.length - 1];
+        const previous = line[line.length - 1];
+        if (previous && previous.font === font) {
+          previous.text += x - (previous.x + doc.widthOf(previous.text, font, size)) > 0.01 ? ` ${word}` : word;
+        } else {
+          line.push({ text: word, font, x });
+        }
+        x += doc.widthOf(word, font, size);
+        pendingSpace = false;
+      }
+    }
+
+    return lines.filter((line, index) => line.length > 0 || index < lines.length - 1);
+  }
+}
+
+module.exports = new PdfReportService();
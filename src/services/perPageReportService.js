@@ -4,21 +4,23 @@ const path = require('path');
 const logger = require('../utils/logger');
 const workflowLogger = require('../utils/workflowLogger');
 const reportService = require('./reportService');
+const graphService = require('./graphService');
+const manifestService = require('./manifestService');
 
 class PerPageReportService {
   constructor() {
     // We'll use the reportService to get the organized directory structure
   }
 
-  async generatePerPageReports(slug, perPageAnalysis, pageData) {
+  async generatePerPageReports(slug, perPageAnalysis, pageData, directories = null, ruleResults = null, graphResults = null) {
     try {
       workflowLogger.info('Starting per-page report generation', {
         slug,
         pageCount: perPageAnalysis.length
       });
 
-      // Get the latest session directory from reportService
-      const directories = await reportService.getLatestSessionDirectory(slug);
+      // Use the running session's directory, or fall back to the latest one from reportService
+      directories = directories || await reportService.getLatestSessionDirectory(slug);
       
       // Create per-page analysis subdirectory within the session
       const perPageDir = path.join(directories.sessionDir, 'per_page_analysis');
@@ -33,17 +35,25 @@ class PerPageReportService {
 
       const reports = [];
 
+      // Match crawl rows by URL; analyses are not guaranteed to line up with pageData by index
+      const rowsByUrl = new Map(pageData.map(row => [row.Address || row.URL, row]));
+      const graphByUrl = graphResults ? graphService.byUrl(graphResults) : null;
+
       // Generate individual page reports
       for (let i = 0; i < perPageAnalysis.length; i++) {
         const pageAnalysis = perPageAnalysis[i];
-        const originalData = pageData[i];
+        const originalData = rowsByUrl.get(pageAnalysis.url) || {};
+        const ruleFindings = ruleResults ? ruleResults.findingsByUrl[pageAnalysis.url] || [] : null;
+        const graphMetrics = graphByUrl ? graphByUrl.get(graphService.normalizeUrl(pageAnalysis.url)) || null : null;
         
         try {
           const reportPath = await this._generateIndividualPageReport(
             pageAnalysis, 
             originalData, 
             perPageDir, 
-            i + 1
+            i + 1,
+            ruleFindings,
+            graphMetrics
           );
           
           reports.push({
@@ -109,19 +119,19 @@ class PerPageReportService {
     }
   }
 
-  async _generateIndividualPageReport(pageAnalysis, originalData, perPageDir, pageNumber) {
+  async _generateIndividualPageReport(pageAnalysis, originalData, perPageDir, pageNumber, ruleFindings = null, graphMetrics = null) {
     const urlSlug = this._createUrlSlug(pageAnalysis.url);
     const filename = `page_${pageNumber.toString().padStart(3, '0')}_${urlSlug}.md`;
     const filePath = path.join(perPageDir, filename);
 
-    const reportContent = this._createPageReportContent(pageAnalysis, originalData, pageNumber);
+    const reportContent = this._createPageReportContent(pageAnalysis, originalData, pageNumber, ruleFindings, graphMetrics);
     
     await fs.writeFile(filePath, reportContent, 'utf8');
     
     return filePath;
   }
 
-  _createPageReportContent(pageAnalysis, originalData, pageNumber) {
+  _createPageReportContent(pageAnalysis, originalData, pageNumber, ruleFindings = null, graphMetrics = null) {
     // Clean and format all data to remove special characters
     const cleanUrl = this._cleanText(pageAnalysis.url || 'Unknown');
     const cleanTitle = this._cleanText(pageAnalysis.title || 'No title');
@@ -138,6 +148,9 @@ class PerPageReportService {
 - **SEO Score**: ${seoScore}/100
 - **Priority**: ${priority}
 - **Estimated Impact**: ${impact}
+- **Analysis Source**: ${pageAnalysis.analysisSource === 'heuristic'
+    ? `Rule-based heuristics (${this._cleanText(pageAnalysis.fallbackReason || 'per-page LLM analysis skipped')})`
+    : pageAnalysis.cached ? 'AI analysis (reused from a previous session, page unchanged)' : 'AI analysis'}
 
 ## Technical Details
 - **Status Code**: ${originalData['Status Code'] || 'Unknown'}
@@ -147,6 +160,9 @@ class PerPageReportService {
 - **External Links**: ${originalData.Outlinks || '0'}
 - **Last Modified**: ${originalData['Last Modified'] || 'Unknown'}
 
+## Internal Linking
+${this._formatGraphMetrics(graphMetrics)}
+
 ## Meta Information
 - **Meta Description**: ${cleanMetaDesc}
 - **Meta Description Length**: ${cleanMetaDesc.length} characters
@@ -157,6 +173,9 @@ class PerPageReportService {
 ## Critical Issues Found
 ${this._formatCleanList(pageAnalysis.issues, 'No critical issues identified.')}
 
+## Rule-Based Findings
+${this._formatRuleFindings(ruleFindings)}
+
 ## Quick Wins (Easy Fixes)
 ${this._formatCleanList(pageAnalysis.quickWins, 'No quick wins identified.')}
 
@@ -194,6 +213,43 @@ ${this._getPriorityExplanation(pageAnalysis.priority, pageAnalysis.seoScore)}
       .trim();
   }
 
+  // Deterministic checks from rulesService, shown next to the AI commentary
+  _formatRuleFindings(findings) {
+    if (!findings) {
+      return 'Rule-based checks were not run for this page.';
+    }
+    if (findings.length === 0) {
+      return 'All rule-based checks passed.';
+    }
+
+    return findings
+      .map(finding => {
+        const evidence = finding.value ? ` - ${finding.field}: "${this._cleanText(finding.value)}"` : '';
+        return `- **[${finding.severity.toUpperCase()}]** ${this._cleanText(finding.message)} (${finding.ruleId})${evidence}`;
+      })
+      .join('\n');
+  }
+
+  // Position in the internal link graph (graphService)
+  _formatGraphMetrics(metrics) {
+    if (!metrics) {
+      return 'Link graph metrics are not available for this page.';
+    }
+
+    const flags = [];
+    if (metrics.orphan) flags.push('- ⚠️ **Orphan page**: no other crawled page links here; it is only reachable from sitemaps or external links');
+    if (metrics.singleInlink) flags.push('- ⚠️ **Single inlink**: only one page links here; one template change could orphan it');
+    if (metrics.hub) flags.push('- 🔀 **Hub page**: among the pages with the most internal outlinks');
+
+    return [
+      `- **Link Score**: ${metrics.linkScore === null ? 'Not available (no inlinks export)' : `${metrics.linkScore}/100 (rank ${metrics.rank})`}`,
+      `- **Link Depth**: ${metrics.depth === null ? 'Not reachable through followed links' : `${metrics.depth} click${metrics.depth === 1 ? '' : 's'} from the start page`}`,
+      `- **Linking Pages**: ${metrics.inlinks}`,
+      `- **Linked Pages**: ${metrics.outlinks}`,
+      ...flags
+    ].join('\n');
+  }
+
   _formatCleanList(items, defaultText) {
     if (!items || !Array.isArray(items) || items.length === 0) {
       return defaultText;
@@ -289,6 +345,9 @@ ${worstPages.map((page, index) =>
 ## Most Common Issues
 ${this._getMostCommonIssues(perPageAnalysis)}
 
+## Heuristic Fallbacks
+${this._formatHeuristicFallbacks(perPageAnalysis)}
+
 ## Recommended Action Plan
 ${this._generateActionPlan(highPriority, mediumPriority, lowPriority)}
 
@@ -301,6 +360,17 @@ ${this._generateActionPlan(highPriority, mediumPriority, lowPriority)}
     return filePath;
   }
 
+  // Pages whose analysis came from rule-based heuristics instead of the LLM
+  _formatHeuristicFallbacks(perPageAnalysis) {
+    const fallbacks = perPageAnalysis.filter(page => page.analysisSource === 'heuristic');
+    if (fallbacks.length === 0) {
+      return 'All pages were analyzed by the AI model.';
+    }
+
+    return `${fallbacks.length} of ${perPageAnalysis.length} pages fell back to rule-based heuristics:\n` +
+      fallbacks.map(page => `- ${page.url} (${this._cleanText(page.fallbackReason || 'per-page LLM analysis skipped')})`).join('\n');
+  }
+
   _getMostCommonIssues(perPageAnalysis) {
     const issueCount = {};
     
@@ -469,18 +539,46 @@ By implementing these recommendations:
       const sessionDir = path.join(baseReportsDir, slug, timestamp);
       const perPageDir = path.join(sessionDir, 'per_page_analysis');
       
+      const manifest = await manifestService.readManifest(sessionDir);
       const reports = {
         sessionDirectory: sessionDir,
         perPageDirectory: perPageDir,
+        source: manifest ? 'manifest' : 'filesystem',
         files: {
           comprehensive: null,
           executive: null,
           perPageSummary: null,
           actionPlan: null,
+          robots: null,
+          sitemap: null,
+          excluded: null,
+          broken: null,
+          linkHealth: null,
+          linkHealthCsv: null,
+          linkGraph: null,
+          duplicates: null,
+          comparison: null,
+          results: null,
+          html: null,
+          manifest: null,
           individualPages: []
         }
       };
 
+      // The manifest lists every file the run wrote; only older sessions need their folder probed
+      if (manifest) {
+        reports.files.manifest = manifestService.manifestPath(sessionDir);
+        for (const file of manifest.files) {
+          const filePath = path.join(sessionDir, ...file.path.split('/'));
+          if (file.type === 'individualPage') {
+            reports.files.individualPages.push(filePath);
+          } else if (file.type in reports.files) {
+            reports.files[file.type] = filePath;
+          }
+        }
+        return reports;
+      }
+
       // Check for main reports in session directory
       try {
         await fs.access(path.join(sessionDir, 'comprehensive_analysis.txt'));
@@ -492,6 +590,51 @@ By implementing these recommendations:
         reports.files.executive = path.join(sessionDir, 'executive_summary.md');
       } catch {}
 
+      try {
+        await fs.access(path.join(sessionDir, 'robots_report.md'));
+        reports.files.robots = path.join(sessionDir, 'robots_report.md');
+      } catch {}
+
+      try {
+        await fs.access(path.join(sessionDir, 'sitemap_coverage.md'));
+        reports.files.sitemap = path.join(sessionDir, 'sitemap_coverage.md');
+      } catch {}
+
+      try {
+        await fs.access(path.join(sessionDir, 'excluded_urls.md'));
+        reports.files.excluded = path.join(sessionDir, 'excluded_urls.md');
+      } catch {}
+
+      try {
+        await fs.access(path.join(sessionDir, 'broken_urls.md'));
+        reports.files.broken = path.join(sessionDir, 'broken_urls.md');
+      } catch {}
+
+      try {
+        await fs.access(path.join(sessionDir, 'link_health.md'));
+        reports.files.linkHealth = path.join(sessionDir, 'link_health.md');
+      } catch {}
+
+      try {
+        await fs.access(path.join(sessionDir, 'link_health.csv'));
+        reports.files.linkHealthCsv = path.join(sessionDir, 'link_health.csv');
+      } catch {}
+
+      try {
+        await fs.access(path.join(sessionDir, 'link_graph.json'));
+        reports.files.linkGraph = path.join(sessionDir, 'link_graph.json');
+      } catch {}
+
+      try {
+        await fs.access(path.join(sessionDir, 'duplicates.md'));
+        reports.files.duplicates = path.join(sessionDir, 'duplicates.md');
+      } catch {}
+
+      try {
+        await fs.access(path.join(sessionDir, 'comparison.md'));
+        reports.files.comparison = path.join(sessionDir, 'comparison.md');
+      } catch {}
+
       // Check for per-page reports
       try {
         await fs.access(perPageDir);
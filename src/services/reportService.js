@@ -5,6 +5,16 @@ const logger = require('../utils/logger');
 const workflowLogger = require('../utils/workflowLogger');
 const config = require('../config');
 const auditConfig = require('../config/audit');
+const { describeProvider } = require('../providers');
+const pageFilterService = require('./pageFilterService');
+const linkHealthService = require('./linkHealthService');
+const duplicateService = require('./duplicateService');
+const manifestService = require('./manifestService');
+const fileService = require('./fileService');
+
+// Written into sessions that did not run to completion (e.g. cancelled jobs)
+const SESSION_STATUS_FILE = 'session_status.json';
+const SESSION_METADATA_FILE = 'session_metadata.json';
 
 class ReportService {
   constructor() {
@@ -57,10 +67,11 @@ class ReportService {
     }
   }
 
-  async saveComprehensiveReport(slug, analysis) {
+  // Pass the directories of the running session to keep all of its reports in one folder
+  async saveComprehensiveReport(slug, analysis, directories = null) {
     try {
-      // Create organized directory structure
-      const directories = await this.createReportDirectory(slug);
+      // Create organized directory structure unless the session already has one
+      directories = directories || await this.createReportDirectory(slug);
       
       // Save comprehensive analysis in the session directory
       const filename = 'comprehensive_analysis.txt';
@@ -99,12 +110,12 @@ class ReportService {
     }
   }
 
-  async generateExecutiveSummary(slug, siteAnalysis, perPageAnalysis, pageData) {
+  async generateExecutiveSummary(slug, siteAnalysis, perPageAnalysis, pageData, directories = null, ruleResults = null, linkHealthResults = null, graphResults = null, trends = null) {
     try {
       workflowLogger.info('Generating executive summary', { slug });
 
       // Create organized directory structure (reuse if already created)
-      const directories = await this.createReportDirectory(slug);
+      directories = directories || await this.createReportDirectory(slug);
       
       const filename = 'executive_summary.md';
       const filePath = path.join(directories.sessionDir, filename);
@@ -113,7 +124,11 @@ class ReportService {
         slug, 
         siteAnalysis, 
         perPageAnalysis, 
-        pageData
+        pageData,
+        ruleResults,
+        linkHealthResults,
+        graphResults,
+        trends
       );
 
       await fs.writeFile(filePath, summaryContent, 'utf8');
@@ -129,7 +144,7 @@ class ReportService {
         filePath,
         filename,
         directories,
-        summary: this._extractKeyMetrics(siteAnalysis, perPageAnalysis, pageData),
+        summary: this.extractKeyMetrics(siteAnalysis, perPageAnalysis, pageData),
         contentLength: summaryContent.length
       };
 
@@ -142,6 +157,234 @@ class ReportService {
     }
   }
 
+  async generateSitemapReport(slug, sitemapResults, directories = null) {
+    try {
+      directories = directories || await this.createReportDirectory(slug);
+
+      const filename = 'sitemap_coverage.md';
+      const filePath = path.join(directories.sessionDir, filename);
+      const content = this._generateSitemapReportContent(slug, sitemapResults);
+
+      await fs.writeFile(filePath, content, 'utf8');
+      workflowLogger.info('Sitemap coverage report generated', { slug, filePath, ...sitemapResults.summary });
+
+      return { filePath, filename, summary: sitemapResults.summary };
+    } catch (error) {
+      workflowLogger.error('Sitemap coverage report generation failed', {
+        slug,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async generateRobotsReport(slug, robotsResults, directories = null) {
+    try {
+      directories = directories || await this.createReportDirectory(slug);
+
+      const filename = 'robots_report.md';
+      const filePath = path.join(directories.sessionDir, filename);
+      const content = this._generateRobotsReportContent(slug, robotsResults);
+
+      await fs.writeFile(filePath, content, 'utf8');
+      workflowLogger.info('Robots report generated', { slug, filePath, ...robotsResults.summary });
+
+      return { filePath, filename, summary: robotsResults.summary };
+    } catch (error) {
+      workflowLogger.error('Robots report generation failed', {
+        slug,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async generateExcludedUrlsReport(slug, filterResults, directories = null) {
+    try {
+      directories = directories || await this.createReportDirectory(slug);
+
+      const filename = 'excluded_urls.md';
+      const filePath = path.join(directories.sessionDir, filename);
+      const content = this._generateExcludedUrlsReportContent(slug, filterResults);
+
+      await fs.writeFile(filePath, content, 'utf8');
+      workflowLogger.info('Excluded URLs report generated', { slug, filePath, ...filterResults.summary });
+
+      return { filePath, filename, summary: filterResults.summary };
+    } catch (error) {
+      workflowLogger.error('Excluded URLs report generation failed', {
+        slug,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async generateBrokenUrlsReport(slug, statusResults, directories = null) {
+    try {
+      directories = directories || await this.createReportDirectory(slug);
+
+      const filename = 'broken_urls.md';
+      const filePath = path.join(directories.sessionDir, filename);
+      const content = this._generateBrokenUrlsReportContent(slug, statusResults);
+
+      await fs.writeFile(filePath, content, 'utf8');
+      workflowLogger.info('Broken/redirecting URLs report generated', { slug, filePath, ...statusResults.summary });
+
+      return { filePath, filename, summary: statusResults.summary };
+    } catch (error) {
+      workflowLogger.error('Broken/redirecting URLs report generation failed', {
+        slug,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // link_health.md for reading, link_health.csv (one row per broken link / chain) for fixing in bulk
+  async generateLinkHealthReport(slug, linkHealthResults, directories = null) {
+    try {
+      directories = directories || await this.createReportDirectory(slug);
+
+      const filename = 'link_health.md';
+      const csvFilename = 'link_health.csv';
+      const filePath = path.join(directories.sessionDir, filename);
+      const csvPath = path.join(directories.sessionDir, csvFilename);
+
+      await fs.writeFile(filePath, this._generateLinkHealthReportContent(slug, linkHealthResults), 'utf8');
+      await fileService.writeCSV(csvPath, linkHealthService.getCsvColumns(), linkHealthService.toCsvRows(linkHealthResults));
+      workflowLogger.info('Link health report generated', { slug, filePath, csvPath, ...linkHealthResults.summary });
+
+      return { filePath, filename, csvPath, csvFilename, summary: linkHealthResults.summary };
+    } catch (error) {
+      workflowLogger.error('Link health report generation failed', {
+        slug,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async generateDuplicatesReport(slug, duplicateResults, directories = null) {
+    try {
+      directories = directories || await this.createReportDirectory(slug);
+
+      const filename = 'duplicates.md';
+      const filePath = path.join(directories.sessionDir, filename);
+      const content = this._generateDuplicatesReportContent(slug, duplicateResults);
+
+      await fs.writeFile(filePath, content, 'utf8');
+      workflowLogger.info('Duplicate content report generated', { slug, filePath, ...duplicateResults.summary });
+
+      return { filePath, filename, summary: duplicateResults.summary };
+    } catch (error) {
+      workflowLogger.error('Duplicate content report generation failed', {
+        slug,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // comparison.md: what changed since an earlier session (compareService.compare output)
+  async generateComparisonReport(slug, comparison, directories = null) {
+    try {
+      directories = directories || await this.createReportDirectory(slug);
+
+      const filename = 'comparison.md';
+      const filePath = path.join(directories.sessionDir, filename);
+
+      await fs.writeFile(filePath, this.formatComparisonReport(slug, comparison), 'utf8');
+      workflowLogger.info('Session comparison report generated', { slug, filePath, from: comparison.from.timestamp, ...comparison.summary });
+
+      return { filePath, filename, from: comparison.from.timestamp, summary: comparison.summary };
+    } catch (error) {
+      workflowLogger.error('Session comparison report generation failed', {
+        slug,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  formatComparisonReport(slug, comparison) {
+    const { summary } = comparison;
+    const signed = value => (value > 0 ? `+${value}` : String(value));
+    const average = value => (value === null ? 'n/a' : `${value}/100`);
+    const issueTable = issues => this._formatMarkdownTable(issues, ['Severity', 'URL', 'Issue', 'Rule'],
+      issue => [issue.severity.toUpperCase(), issue.url, issue.message, issue.ruleId]);
+    const pageTable = pages => this._formatMarkdownTable(pages, ['URL', 'Status', 'SEO Score'],
+      page => [page.url, page.status || 'No response', page.seoScore === null ? '-' : page.seoScore]);
+    const scoreTable = changes => this._formatMarkdownTable(changes, ['URL', 'Before', 'After', 'Change'],
+      change => [change.url, change.from, change.to, signed(change.delta)]);
+
+    const threshold = comparison.scoreChangeThreshold;
+    const declined = comparison.scoreChanges.filter(change => change.delta <= -threshold);
+    const improved = comparison.scoreChanges.filter(change => change.delta >= threshold).reverse();
+
+    return `# Session Comparison Report
+
+## Website: ${slug.replace(/_/g, '.')}
+**Compared**: ${comparison.from.timestamp} → ${comparison.to.timestamp}  
+**Report Generated**: ${new Date().toLocaleString()}
+
+| Metric | Before | After | Change |
+|--------|--------|-------|--------|
+| Crawled URLs | ${comparison.from.pages} | ${comparison.to.pages} | ${signed(comparison.to.pages - comparison.from.pages)} |
+| Average SEO score | ${average(summary.averageScoreFrom)} | ${average(summary.averageScoreTo)} | ${summary.averageScoreFrom === null || summary.averageScoreTo === null ? 'n/a' : signed(summary.averageScoreTo - summary.averageScoreFrom)} |
+
+| Change | Count |
+|--------|-------|
+| ✅ Issues resolved | ${summary.issuesResolved} (${summary.criticalResolved} critical) |
+| ⚠️ Issues introduced | ${summary.issuesIntroduced} (${summary.criticalIntroduced} critical) |
+| 📈 Pages with a higher score (+${threshold} or more) | ${summary.scoresImproved} |
+| 📉 Pages with a lower score (-${threshold} or more) | ${summary.scoresDeclined} |
+| 🆕 New URLs | ${summary.newPages} |
+| 🗑️ Removed URLs | ${summary.removedPages} |
+| 🔢 Status code changes | ${summary.statusChanges} |
+| 🔍 Indexability changes | ${summary.indexabilityChanges} |
+
+Pages are matched by normalised URL (protocol, www. and trailing slashes ignored). Issues come from the deterministic rule checks; AI scores vary slightly between runs, so only changes of ${threshold} points or more are listed as improvements or declines.
+
+---
+
+## ⚠️ Issues Introduced
+
+${issueTable(comparison.issuesIntroduced)}
+
+## ✅ Issues Resolved
+
+${issueTable(comparison.issuesResolved)}
+
+## 📉 Score Declines
+
+${scoreTable(declined)}
+
+## 📈 Score Improvements
+
+${scoreTable(improved)}
+
+## 🔢 Status Code Changes
+
+${this._formatMarkdownTable(comparison.statusChanges, ['URL', 'Before', 'After'], change => [change.url, change.from || 'No response', change.to || 'No response'])}
+
+## 🔍 Indexability Changes
+
+${this._formatMarkdownTable(comparison.indexabilityChanges, ['URL', 'Before', 'After', 'Reason'], change => [change.url, change.from, change.to, change.reason || '-'])}
+
+## 🆕 New URLs
+
+${pageTable(comparison.newPages)}
+
+## 🗑️ Removed URLs
+
+${pageTable(comparison.removedPages)}
+
+---
+*Report generated by SEO Auditor Service v2.0*
+`;
+  }
+
   // Get the latest session directory for a slug (useful for per-page reports)
   async getLatestSessionDirectory(slug) {
     try {
@@ -206,7 +449,28 @@ class ReportService {
           const sessionDir = path.join(slugDir, entry.name);
           try {
             const stats = await fs.stat(sessionDir);
+            const manifest = await manifestService.readManifest(sessionDir);
+
+            if (manifest) {
+              sessions.push({
+                timestamp: entry.name,
+                path: sessionDir,
+                created: stats.birthtime,
+                modified: stats.mtime,
+                fileCount: manifest.files.length,
+                files: manifest.files.map(file => file.path),
+                status: manifest.status,
+                incomplete: manifest.status !== 'completed',
+                manifestVersion: manifest.manifestVersion,
+                input: manifest.input,
+                timings: manifest.timings
+              });
+              continue;
+            }
+
+            // Sessions from before manifests: infer from the folder contents
             const files = await fs.readdir(sessionDir);
+            const sessionStatus = await this._readSessionStatus(sessionDir);
             
             sessions.push({
               timestamp: entry.name,
@@ -214,7 +478,12 @@ class ReportService {
               created: stats.birthtime,
               modified: stats.mtime,
               fileCount: files.length,
-              files: files
+              files: files,
+              status: sessionStatus ? sessionStatus.status : 'completed',
+              incomplete: !!(sessionStatus && sessionStatus.incomplete),
+              manifestVersion: null,
+              input: null,
+              timings: null
             });
           } catch (statError) {
             workflowLogger.warn('Failed to get session stats', {
@@ -240,6 +509,63 @@ class ReportService {
     }
   }
 
+  // Flag a session folder whose run was cancelled or failed part-way; its partial outputs are kept
+  async markSessionIncomplete(directories, details = {}) {
+    const statusPath = path.join(directories.sessionDir, SESSION_STATUS_FILE);
+    const status = {
+      status: details.status || 'incomplete',
+      incomplete: true,
+      reason: details.reason || null,
+      completedPhases: details.completedPhases || [],
+      markedAt: new Date().toISOString()
+    };
+
+    await fs.writeFile(statusPath, JSON.stringify(status, null, 2), 'utf8');
+    workflowLogger.warn('Session marked as incomplete', {
+      sessionDir: directories.sessionDir,
+      status: status.status,
+      reason: status.reason
+    });
+
+    return { filePath: statusPath, ...status };
+  }
+
+  async _readSessionStatus(sessionDir) {
+    try {
+      const content = await fs.readFile(path.join(sessionDir, SESSION_STATUS_FILE), 'utf8');
+      return JSON.parse(content);
+    } catch {
+      return null;
+    }
+  }
+
+  // Merge run details (LLM usage, provider, ...) into the session's metadata file
+  async writeSessionMetadata(directories, updates) {
+    const metadataPath = path.join(directories.sessionDir, SESSION_METADATA_FILE);
+    const metadata = {
+      ...(await this.readSessionMetadata(directories.sessionDir) || {}),
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2), 'utf8');
+    workflowLogger.debug('Session metadata written', {
+      sessionDir: directories.sessionDir,
+      keys: Object.keys(updates)
+    });
+
+    return { filePath: metadataPath, metadata };
+  }
+
+  async readSessionMetadata(sessionDir) {
+    try {
+      const content = await fs.readFile(path.join(sessionDir, SESSION_METADATA_FILE), 'utf8');
+      return JSON.parse(content);
+    } catch {
+      return null;
+    }
+  }
+
   // Clean up old analysis sessions (keep only N most recent)
   async cleanupOldSessions(slug, keepCount = 5) {
     try {
@@ -292,8 +618,8 @@ class ReportService {
     }
   }
 
-  _generateExecutiveSummaryContent(slug, siteAnalysis, perPageAnalysis, pageData) {
-    const keyMetrics = this._extractKeyMetrics(siteAnalysis, perPageAnalysis, pageData);
+  _generateExecutiveSummaryContent(slug, siteAnalysis, perPageAnalysis, pageData, ruleResults = null, linkHealthResults = null, graphResults = null, trends = null) {
+    const keyMetrics = this.extractKeyMetrics(siteAnalysis, perPageAnalysis, pageData);
     const domain = slug.replace(/_/g, '.');
 
     return `# SEO Executive Summary
@@ -361,6 +687,30 @@ ${this._generateCriticalIssuesSummary(perPageAnalysis)}
 
 ---
 
+## 🔎 Automated Technical Checks
+
+${this._generateRuleFindingsSummary(ruleResults)}
+
+---
+
+## 🔗 Link Health
+
+${this._generateLinkHealthSummary(linkHealthResults)}
+
+---
+
+## 🕸️ Internal Link Graph
+
+${this._generateLinkGraphSummary(graphResults)}
+
+---
+
+## 📈 Trends Across Audits
+
+${this._generateTrendSummary(trends)}
+
+---
+
 ## 🎯 Business Impact
 
 ### Revenue Opportunity
@@ -413,7 +763,7 @@ Based on current performance and optimization potential:
 `;
   }
 
-  _extractKeyMetrics(siteAnalysis, perPageAnalysis, pageData) {
+  extractKeyMetrics(siteAnalysis, perPageAnalysis, pageData) {
     const scores = perPageAnalysis.map(p => p.seoScore).filter(s => s !== null && s !== undefined);
     const overallScore = scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0;
     
@@ -517,6 +867,446 @@ Based on current performance and optimization potential:
     ).join('\n');
   }
 
+  // Rule engine results, reported independently of the AI commentary above
+  _generateRuleFindingsSummary(ruleResults) {
+    if (!ruleResults) {
+      return '_Rule-based checks were not run for this session._';
+    }
+
+    const { summary } = ruleResults;
+    if (summary.totalFindings === 0) {
+      return `✅ All ${summary.rowsChecked} crawled URLs passed the rule-based checks.`;
+    }
+
+    const severityIcons = { critical: '🚨', warning: '⚠️', notice: '🔵' };
+    const rows = summary.byRule.map(rule =>
+      `| ${severityIcons[rule.severity]} ${rule.severity} | ${rule.label} | ${rule.count} | ${rule.ruleId} |`
+    );
+
+    return `**${summary.totalFindings} findings** across ${summary.affectedUrls} of ${summary.rowsChecked} crawled URLs (${summary.bySeverity.critical} critical, ${summary.bySeverity.warning} warnings, ${summary.bySeverity.notice} notices).
+
+| Severity | Check | URLs Affected | Rule ID |
+|----------|-------|---------------|---------|
+${rows.join('\n')}`;
+  }
+
+  _generateRobotsReportContent(slug, robotsResults) {
+    const { summary } = robotsResults;
+    const modeLabels = {
+      rules: 'Rules applied',
+      allow_all: 'Not found - everything allowed',
+      disallow_all: 'Unreachable - everything disallowed'
+    };
+
+    const hostRows = robotsResults.hosts.map(host =>
+      `| ${host.url} | ${host.status || host.error || 'no response'} | ${modeLabels[host.mode] || host.mode} | ${host.sitemaps.length > 0 ? host.sitemaps.join('<br>') : '-'} |`
+    );
+
+    const hostsSection = robotsResults.robotsAvailable
+      ? `| robots.txt | HTTP Status | Result | Sitemaps Declared |
+|------------|-------------|--------|-------------------|
+${hostRows.join('\n')}`
+      : '_robots.txt was not captured for this crawl; blocked URLs below come from the crawler export only._';
+
+    return `# Robots & Indexability Report
+
+## Website: ${slug.replace(/_/g, '.')}
+**Analysis Date**: ${new Date().toLocaleString()}  
+**robots.txt User-agent**: \`${robotsResults.userAgent}\`
+
+| Check | URLs |
+|-------|------|
+| Blocked by robots.txt | ${summary.blocked} |
+| noindex (meta robots / X-Robots-Tag) | ${summary.noindex} |
+| nofollow (meta robots / X-Robots-Tag) | ${summary.nofollow} |
+| Conflicts | ${summary.conflicts} |
+
+---
+
+## 🤖 robots.txt
+
+${hostsSection}
+
+## 🚫 Blocked by robots.txt
+
+${this._formatMarkdownTable(robotsResults.blocked, ['URL', 'Matched Rule'], item => [item.url, item.rule])}
+
+## 🙈 noindex Directives
+
+${this._formatMarkdownTable(robotsResults.noindex, ['URL', 'Source', 'Directive'], item => [item.url, item.source, item.directive])}
+
+## 🔗 nofollow Directives
+
+${this._formatMarkdownTable(robotsResults.nofollow, ['URL', 'Source', 'Directive'], item => [item.url, item.source, item.directive])}
+
+## ⚠️ Conflicts
+
+${this._formatMarkdownTable(robotsResults.conflicts, ['Type', 'URL', 'Target', 'Detail'], item => [item.type, item.url, item.target || '-', item.detail])}
+
+---
+*Report generated by SEO Auditor Service v2.0*
+`;
+  }
+
+  _generateSitemapReportContent(slug, sitemapResults) {
+    const { summary } = sitemapResults;
+    const problemLabels = { non_200: 'Non-200', redirected: 'Redirected', noindex: 'noindex' };
+
+    if (!sitemapResults.sitemapAvailable) {
+      return `# Sitemap Coverage Report
+
+## Website: ${slug.replace(/_/g, '.')}
+**Analysis Date**: ${new Date().toLocaleString()}
+
+_No sitemap data was captured for this crawl (sitemap collection disabled, or the export predates it)._
+`;
+    }
+
+    const sitemapRows = sitemapResults.sitemaps.map(sitemap =>
+      `| ${sitemap.url} | ${sitemap.status || '-'} | ${sitemap.type || '-'} | ${sitemap.type === 'index' ? sitemap.childCount : sitemap.urlCount} | ${sitemap.error || '✅'} |`
+    );
+
+    return `# Sitemap Coverage Report
+
+## Website: ${slug.replace(/_/g, '.')}
+**Analysis Date**: ${new Date().toLocaleString()}
+
+| Metric | Count |
+|--------|-------|
+| URLs in sitemaps | ${summary.sitemapUrls} |
+| URLs crawled | ${summary.crawledUrls} |
+| In both | ${summary.inBoth} |
+| Orphans (in sitemap, not linked) | ${summary.orphans} |
+| Indexable pages missing from sitemap | ${summary.missingFromSitemap} |
+| Problem sitemap entries | ${summary.problems} |
+${sitemapResults.truncated ? '\n⚠️ Sitemap collection stopped at the configured file/URL limits; counts cover the collected part only.\n' : ''}
+---
+
+## 🗺️ Sitemaps Fetched
+
+| Sitemap | HTTP Status | Type | Entries | Result |
+|---------|-------------|------|---------|--------|
+${sitemapRows.join('\n')}
+
+## 👻 Orphan URLs (in sitemap, not reachable by internal links)
+
+${this._formatMarkdownTable(sitemapResults.orphans, ['URL', 'Reason'], item => [item.url, item.reason])}
+
+## ➕ Indexable Pages Missing from the Sitemap
+
+${this._formatMarkdownTable(sitemapResults.missingFromSitemap, ['URL', 'Inlinks'], item => [item.url, item.inlinks])}
+
+## ⚠️ Sitemap Entries That Should Not Be Listed
+
+${this._formatMarkdownTable(sitemapResults.problems, ['URL', 'Problem', 'Status', 'Detail'], item => [item.url, problemLabels[item.type] || item.type, item.status, item.detail])}
+
+---
+*Report generated by SEO Auditor Service v2.0*
+`;
+  }
+
+  _generateExcludedUrlsReportContent(slug, filterResults) {
+    const { summary, filter } = filterResults;
+    const patternList = patterns => (patterns.length > 0 ? patterns.map(pattern => `\`${pattern.replace(/\|/g, '\\|')}\``).join(', ') : 'none');
+
+    const reasonRows = Object.entries(summary.byReason)
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count]) => `| ${pageFilterService.describeReason(reason)} | ${count} |`);
+
+    return `# Excluded URLs Report
+
+## Website: ${slug.replace(/_/g, '.')}
+**Analysis Date**: ${new Date().toLocaleString()}
+
+${summary.auditedPages} of ${summary.totalRows} crawled URLs were sent to the AI audit; ${summary.excluded} were excluded.
+
+| Reason | URLs |
+|--------|------|
+${reasonRows.length > 0 ? reasonRows.join('\n') : '| - | 0 |'}
+
+### Filter Settings
+
+| Setting | Value |
+|---------|-------|
+| Minimum word count | ${filter.minWordCount} |
+| HTML pages only | ${filter.htmlOnly ? 'Yes' : 'No'} |
+| Exclude patterns | ${patternList(filter.excludePatterns)} |
+| Include patterns (always audited) | ${patternList(filter.includePatterns)} |
+
+---
+
+## 🚫 Excluded URLs
+
+${this._formatMarkdownTable(filterResults.excluded, ['URL', 'Status', 'Reason', 'Detail'], item => [item.url, item.status || '-', pageFilterService.describeReason(item.reason), item.detail || '-'])}
+
+---
+*Report generated by SEO Auditor Service v2.0*
+`;
+  }
+
+  _generateBrokenUrlsReportContent(slug, statusResults) {
+    const { summary } = statusResults;
+    const statusTable = items => this._formatMarkdownTable(items, ['URL', 'Status', 'Inlinks'], item => [item.url, `${item.status} ${item.statusText}`.trim(), item.inlinks]);
+
+    return `# Broken & Redirecting URLs Report
+
+## Website: ${slug.replace(/_/g, '.')}
+**Analysis Date**: ${new Date().toLocaleString()}
+
+These URLs are not analysed as pages; fix or update the links pointing to them (most linked first).
+
+| Type | URLs |
+|------|------|
+| Server errors (5xx) | ${summary.serverErrors} |
+| Broken (4xx) | ${summary.clientErrors} |
+| No response / blocked | ${summary.noResponse} |
+| Redirects (3xx) | ${summary.redirects} |${summary.other > 0 ? `\n| Other non-200 | ${summary.other} |` : ''}
+
+---
+
+## 🔥 Server Errors (5xx)
+
+${statusTable(statusResults.serverErrors)}
+
+## ❌ Broken URLs (4xx)
+
+${statusTable(statusResults.clientErrors)}
+
+## 📵 No Response or Blocked
+
+${this._formatMarkdownTable(statusResults.noResponse, ['URL', 'Reason', 'Inlinks'], item => [item.url, item.statusText || 'No response', item.inlinks])}
+
+## ↪️ Redirects (3xx)
+
+${this._formatMarkdownTable(statusResults.redirects, ['URL', 'Status', 'Redirects To', 'Inlinks'], item => [item.url, item.status, item.redirectUrl || '-', item.inlinks])}
+${summary.other > 0 ? `\n## ❔ Other Non-200 Responses\n\n${statusTable(statusResults.other)}\n` : ''}
+---
+*Report generated by SEO Auditor Service v2.0*
+`;
+  }
+
+  _generateLinkHealthReportContent(slug, linkHealthResults) {
+    const { summary } = linkHealthResults;
+    const sourceList = (sources, limit = 5) => {
+      if (sources.length === 0) return linkHealthResults.inlinksAvailable ? 'No linking pages found' : '-';
+      const shown = sources.slice(0, limit).map(source => source.source).join('<br>');
+      return sources.length > limit ? `${shown}<br>_+${sources.length - limit} more_` : shown;
+    };
+    const chainText = chain => [...chain.hops, chain.finalUrl].join(' → ');
+    const finalStatus = chain => (chain.finalStatus === null ? 'not crawled' : chain.finalStatus);
+
+    return `# Link Health Report
+
+## Website: ${slug.replace(/_/g, '.')}
+**Analysis Date**: ${new Date().toLocaleString()}
+
+| Check | Count |
+|-------|-------|
+| Broken URLs (4xx/5xx) | ${summary.brokenUrls} |
+| Links pointing to broken URLs | ${linkHealthResults.inlinksAvailable ? summary.brokenLinks : 'n/a'} |
+| Redirecting URLs | ${summary.redirects} |
+| Redirect chains (2+ hops) | ${summary.redirectChains} |
+| Redirect loops | ${summary.redirectLoops} |
+| Redirects ending in an error | ${summary.redirectsToErrors} |
+| Internal links pointing to redirects | ${linkHealthResults.inlinksAvailable ? summary.linksToRedirects : 'n/a'} |
+${linkHealthResults.inlinksAvailable ? '' : '\n_No inlinks export was captured for this crawl, so linking pages cannot be listed (enable the Screaming Frog "All Inlinks" bulk export)._\n'}
+The full list, one row per broken link and redirect chain, is in \`link_health.csv\`.
+
+---
+
+## ❌ Broken Link Targets
+
+${this._formatMarkdownTable(linkHealthResults.brokenTargets, ['URL', 'Status', 'Inlinks', 'Linked From'], item => [item.url, `${item.status} ${item.statusText}`.trim(), item.inlinks, sourceList(item.sources)])}
+
+## 🔁 Redirect Loops
+
+${this._formatMarkdownTable(linkHealthResults.redirectLoops, ['Start URL', 'Loop'], item => [item.url, chainText(item)])}
+
+## ⛓️ Redirect Chains
+
+${this._formatMarkdownTable(linkHealthResults.redirectChains, ['Start URL', 'Hops', 'Final Status', 'Chain'], item => [item.url, item.hops.length, finalStatus(item), chainText(item)])}
+
+## 💥 Redirects Ending in an Error
+
+${this._formatMarkdownTable(linkHealthResults.redirectsToErrors, ['Start URL', 'Final URL', 'Final Status'], item => [item.url, item.finalUrl, item.finalStatus])}
+
+## ↪️ Internal Links to Redirects
+
+${this._formatMarkdownTable(linkHealthResults.linksToRedirects, ['Redirecting URL', 'Redirects To', 'Links', 'Linked From'], item => [item.url, item.finalUrl, item.sources.length, sourceList(item.sources)])}
+
+---
+*Report generated by SEO Auditor Service v2.0*
+`;
+  }
+
+  _generateDuplicatesReportContent(slug, duplicateResults) {
+    const { summary } = duplicateResults;
+    const percent = value => `${Math.round(value * 100)}%`;
+    const methodNote = {
+      minhash: `Pages are compared on their body text (MinHash estimates of shared ${auditConfig.duplicates.shingleSize}-word sequences); pages at least ${percent(duplicateResults.threshold)} similar are grouped. Pages under ${auditConfig.duplicates.minWords} words are not compared.`,
+      hash: '_No page text was captured for this crawl, so only exact duplicates (identical Hash column) are reported._',
+      unavailable: '_No page text or content hash was captured for this crawl, so duplicate content could not be checked (use the native crawler, or enable the Hash column in Screaming Frog)._'
+    }[duplicateResults.method];
+
+    const groupSections = duplicateResults.groups.slice(0, 100).map(group => {
+      const similarity = group.exact ? 'identical content' : `${percent(group.minSimilarity)}–${percent(group.maxSimilarity)} similar`;
+      const canonical = group.canonicalIssues.length === 0
+        ? `✅ All pages canonicalise to ${group.canonicalTarget}`
+        : group.canonicalIssues.map(issue => `- ⚠️ ${duplicateService.describeCanonicalIssue(issue)}`).join('\n');
+
+      return `### Group ${group.id}: ${group.pages.length} pages, ${similarity}
+
+${canonical}
+
+${this._formatMarkdownTable(group.pages, ['URL', 'Words', 'Canonical', 'Indexability', 'Closest Match'],
+    page => [page.url, page.words, page.selfCanonical ? 'self' : page.canonical || 'missing', page.indexability || '-', page.similarity === null ? '-' : percent(page.similarity)])}`;
+    });
+    const more = duplicateResults.groups.length > 100 ? `\n\n_...and ${duplicateResults.groups.length - 100} more groups._` : '';
+
+    return `# Duplicate Content Report
+
+## Website: ${slug.replace(/_/g, '.')}
+**Analysis Date**: ${new Date().toLocaleString()}
+
+${methodNote}
+
+| Check | Count |
+|-------|-------|
+| Pages compared | ${summary.pagesCompared} |
+| Duplicate groups | ${summary.duplicateGroups} |
+| Pages in a duplicate group | ${summary.duplicatePages} |
+| Groups with identical content | ${summary.exactGroups} |
+| Groups with canonical problems | ${summary.groupsWithCanonicalIssues} |
+
+Each group should have one preferred URL: point the others' canonical tags at it, redirect them, or make their content distinct.
+
+---
+
+## 📑 Duplicate Groups
+
+${groupSections.length > 0 ? groupSections.join('\n\n') + more : '✅ No duplicate content found.'}
+
+---
+*Report generated by SEO Auditor Service v2.0*
+`;
+  }
+
+  _generateLinkHealthSummary(linkHealthResults) {
+    if (!linkHealthResults) {
+      return '_Link health was not analysed for this session._';
+    }
+
+    const { summary } = linkHealthResults;
+    if (summary.brokenUrls === 0 && summary.redirectChains === 0 && summary.redirectLoops === 0 && summary.redirectsToErrors === 0) {
+      return `✅ No broken URLs, redirect chains or loops found (${summary.redirects} redirecting URLs, all single hops).`;
+    }
+
+    return `| Check | Count |
+|-------|-------|
+| Broken URLs (4xx/5xx) | ${summary.brokenUrls}${linkHealthResults.inlinksAvailable ? ` (linked ${summary.brokenLinks} times)` : ''} |
+| Redirect chains / loops | ${summary.redirectChains} / ${summary.redirectLoops} |
+| Redirects ending in an error | ${summary.redirectsToErrors} |
+| Internal links to redirects | ${linkHealthResults.inlinksAvailable ? summary.linksToRedirects : 'n/a'} |
+
+See \`link_health.md\` for the linking pages and full chains.`;
+  }
+
+  // Site-level view of graphService results; per-page metrics are in the page reports and link_graph.json
+  _generateLinkGraphSummary(graphResults) {
+    if (!graphResults) {
+      return '_The internal link graph was not analysed for this session._';
+    }
+
+    const { summary, pages } = graphResults;
+    const depths = Object.entries(summary.depthDistribution)
+      .sort(([a], [b]) => (a === 'unreachable' ? 1 : b === 'unreachable' ? -1 : a - b))
+      .map(([depth, count]) => `${depth === 'unreachable' ? 'unreachable' : `depth ${depth}`}: ${count}`)
+      .join(', ');
+
+    const lines = [
+      `| Metric | Value |
+|--------|-------|
+| Crawled URLs / internal links | ${summary.pages} / ${summary.available ? summary.links : 'n/a'} |
+| Deepest page (clicks from start) | ${summary.maxDepth === null ? 'n/a' : summary.maxDepth} |
+| Orphan pages | ${summary.orphans} |
+| Pages with a single inlink | ${summary.singleInlink} |`,
+      '',
+      `**Depth distribution**: ${depths || 'n/a'}`
+    ];
+
+    if (summary.available) {
+      const top = [...pages].sort((a, b) => a.rank - b.rank).slice(0, 10);
+      lines.push('', '### Strongest Pages (Link Score)', '', this._formatMarkdownTable(top, ['Rank', 'URL', 'Link Score', 'Linking Pages', 'Depth'],
+        page => [page.rank, page.url, page.linkScore, page.inlinks, page.depth === null ? '-' : page.depth]));
+    } else {
+      lines.push('', '_No inlinks export for this crawl: link scores are unavailable and counts come from the crawl CSV._');
+    }
+
+    const orphans = pages.filter(page => page.orphan);
+    if (orphans.length > 0) {
+      lines.push('', '### Orphan Pages', '', this._formatMarkdownTable(orphans, ['URL'], page => [page.url], 20));
+    }
+
+    lines.push('', 'Per-page link metrics are in each page report and in `link_graph.json`.');
+    return lines.join('\n');
+  }
+
+  // metricsHistoryService.summarize output including this run; sparklines cover the last 20 runs
+  _generateTrendSummary(trends) {
+    if (!trends || trends.runs < 2) {
+      return '_This is the first recorded audit of this site; trends appear from the next run on._';
+    }
+
+    const signed = value => (value === null ? 'n/a' : value > 0 ? `+${value}` : String(value));
+    const rows = Object.values(trends.series)
+      .filter(series => series.latest !== null)
+      .map(series => {
+        const known = series.values.filter(value => value !== null);
+        return `| ${series.label} | \`${this._sparkline(series.values.slice(-20))}\` | ${known[0]} | ${series.latest} | ${signed(series.changeSincePrevious)} |`;
+      });
+
+    const recentRuns = trends.entries.slice(-10).reverse();
+    return `${trends.runs} audits recorded since ${trends.firstRun}.
+
+| Metric | Trend | First | Latest | vs Previous |
+|--------|-------|-------|--------|-------------|
+${rows.join('\n')}
+
+### Recent Audits
+
+${this._formatMarkdownTable(recentRuns, ['Session', 'Score', 'Pages Analysed', 'AI Issues', 'Critical Findings'],
+    entry => [entry.timestamp, entry.overallScore, entry.pagesAnalyzed, entry.aiIssues, entry.criticalFindings])}
+
+Full history: \`GET /trends/:slug\`.`;
+  }
+
+  // Unicode block sparkline scaled between the series' own min and max; gaps for runs without the metric
+  _sparkline(values) {
+    const blocks = '▁▂▃▄▅▆▇█';
+    const known = values.filter(value => value !== null);
+    const min = Math.min(...known);
+    const range = Math.max(...known) - min;
+
+    return values
+      .map(value => {
+        if (value === null) return ' ';
+        return range === 0 ? blocks[3] : blocks[Math.round(((value - min) / range) * (blocks.length - 1))];
+      })
+      .join('');
+  }
+
+  _formatMarkdownTable(items, headers, toCells, limit = 200) {
+    if (items.length === 0) return '✅ None found.';
+
+    const escape = value => String(value).replace(/\|/g, '\\|');
+    const rows = items.slice(0, limit).map(item => `| ${toCells(item).map(escape).join(' | ')} |`);
+    const more = items.length > limit ? `\n\n_...and ${items.length - limit} more._` : '';
+
+    return `| ${headers.join(' | ')} |
+|${headers.map(() => '---').join('|')}|
+${rows.join('\n')}${more}`;
+  }
+
   _getIssueIcon(count, totalPages) {
     const percentage = (count / totalPages) * 100;
     if (percentage >= 50) return '🚨';
@@ -553,7 +1343,8 @@ Based on current performance and optimization potential:
   _generateReportContent(slug, analysis) {
     let content = `# COMPREHENSIVE SEO ANALYSIS FOR ${slug.toUpperCase()}\n`;
     content += `Generated on: ${new Date().toLocaleString()}\n`;
-    content += `Model used: ${auditConfig.models.openai.model}\n\n`;
+    const llm = describeProvider(auditConfig.llm);
+    content += `Model used: ${llm.model} (${llm.provider})\n\n`;
     
     // Only include the final comprehensive analysis, not the raw chunk results
     content += `## COMPREHENSIVE SITE ANALYSIS\n\n`;
@@ -565,6 +1356,18 @@ Based on current performance and optimization potential:
       content += `Average SEO Score: ${analysis.summary.averageScore || 'Not calculated'}\n`;
       content += `Analysis Date: ${analysis.summary.analyzedAt || new Date().toISOString()}\n`;
     }
+
+    // Show what the final analysis was grounded on
+    if (analysis.synthesis) {
+      const { synthesis } = analysis;
+      content += `\n## ANALYSIS COVERAGE\n\n`;
+      content += `Pages covered by chunk analyses: ${synthesis.analyzedPages}\n`;
+      content += `Chunk analyses: ${synthesis.chunkCount}\n`;
+      content += `Merge levels: ${synthesis.mergeLevels}${synthesis.truncated ? ' (summaries truncated to fit the prompt budget)' : ''}\n`;
+      if (synthesis.ruleBased) {
+        content += `Final summary: rule-based only (LLM budget exhausted)\n`;
+      }
+    }
     
     workflowLogger.debug('Clean report content generated', {
       slug,
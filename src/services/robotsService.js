@@ -0,0 +1,230 @@
+// src/services/robotsService.js - robots.txt fetching per host, crawl-time checks and robots/indexability analysis
+const fs = require('fs').promises;
+const path = require('path');
+const workflowLogger = require('../utils/workflowLogger');
+const config = require('../config');
+const { MAX_ROBOTS_BYTES, parseRobotsTxt, selectRules, matchUrl } = require('../utils/robotsTxt');
+
+// Saved next to internal_all.csv so the analysis can evaluate rules without refetching
+const ROBOTS_FILE = 'robots.json';
+
+const BLOCKED_STATUS_PATTERN = /blocked by robots/i;
+
+// Per-crawl view of robots.txt: each origin is fetched once, concurrent checks share the request
+class RobotsPolicy {
+  constructor(service, userAgent, options) {
+    this.service = service;
+    this.userAgent = userAgent;
+    this.options = options;
+    this.hosts = new Map();
+  }
+
+  async check(url) {
+    const origin = new URL(url).origin;
+    if (!this.hosts.has(origin)) {
+      this.hosts.set(origin, this.service.fetchRobots(origin, this.options));
+    }
+
+    const entry = await this.hosts.get(origin);
+    return { origin, ...this.service.evaluate(entry, url, this.userAgent) };
+  }
+
+  async toJSON() {
+    const hosts = {};
+    for (const [origin, pending] of this.hosts) {
+      hosts[origin] = await pending;
+    }
+    return { userAgent: this.userAgent, fetchedAt: new Date().toISOString(), hosts };
+  }
+}
+
+class RobotsService {
+  createPolicy(options = {}) {
+    return new RobotsPolicy(this, config.crawler.robots.userAgent, options);
+  }
+
+  // RFC 9309: 4xx means no restrictions, 5xx or no response means assume everything is disallowed
+  async fetchRobots(origin, { signal, timeoutMs = config.crawler.native.requestTimeoutMs } = {}) {
+    const url = `${origin}/robots.txt`;
+    const entry = { url, status: 0, mode: 'disallow_all', content: '', fetchedAt: new Date().toISOString() };
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(url, {
+        signal: controller.signal,
+        headers: { 'User-Agent': config.crawler.native.userAgent }
+      });
+
+      entry.status = response.status;
+      if (response.ok) {
+        entry.mode = 'rules';
+        entry.content = (await response.text()).substring(0, MAX_ROBOTS_BYTES);
+      } else if (response.status >= 400 && response.status < 500) {
+        entry.mode = 'allow_all';
+      }
+    } catch (error) {
+      entry.error = error.message;
+      if (signal && signal.aborted) throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    workflowLogger.info('robots.txt fetched', { url, status: entry.status, mode: entry.mode, error: entry.error });
+    return entry;
+  }
+
+  evaluate(entry, url, userAgent = config.crawler.robots.userAgent) {
+    if (!entry || entry.mode === 'allow_all') return { allowed: true, rule: null };
+    if (entry.mode === 'disallow_all') {
+      return { allowed: false, rule: `robots.txt unreachable (HTTP ${entry.status || 'no response'})` };
+    }
+
+    const { rules } = selectRules(parseRobotsTxt(entry.content), userAgent);
+    return matchUrl(rules, url);
+  }
+
+  // Used after Screaming Frog crawls, which do not export the robots.txt they obeyed; list crawls pass
+  // every listed URL so each host's robots.txt is kept
+  async captureRobots(url, outputDir, options = {}) {
+    try {
+      const policy = this.createPolicy(options);
+      for (const target of [].concat(url)) {
+        await policy.check(target);
+      }
+      await this.save(outputDir, await policy.toJSON());
+    } catch (error) {
+      workflowLogger.warn('Could not capture robots.txt', { url, error: error.message });
+    }
+  }
+
+  async save(outputDir, robotsData) {
+    await fs.writeFile(path.join(outputDir, ROBOTS_FILE), JSON.stringify(robotsData, null, 2), 'utf8');
+  }
+
+  async load(exportDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(exportDir, ROBOTS_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        workflowLogger.warn('Ignoring unreadable robots data', { exportDir, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  // Blocked URLs, noindex/nofollow directives and the conflicts between them and canonicals
+  analyze(csvData, robotsData) {
+    const userAgent = robotsData ? robotsData.userAgent : config.crawler.robots.userAgent;
+    const hosts = robotsData ? robotsData.hosts : {};
+    const rowsByUrl = new Map(csvData.map(row => [row.Address || row.URL, row]));
+
+    const robotsVerdict = url => {
+      try {
+        const entry = hosts[new URL(url).origin];
+        return entry ? this.evaluate(entry, url, userAgent) : null;
+      } catch {
+        return null;
+      }
+    };
+
+    const blocked = [];
+    const noindex = [];
+    const nofollow = [];
+    const conflicts = [];
+
+    for (const row of csvData) {
+      const url = row.Address || row.URL;
+      if (!url) continue;
+
+      const verdict = robotsVerdict(url);
+      const reportedBlocked = BLOCKED_STATUS_PATTERN.test(`${row.Status || ''} ${row['Indexability Status'] || ''}`);
+
+      if (reportedBlocked || (verdict && !verdict.allowed)) {
+        blocked.push({ url, rule: verdict && !verdict.allowed ? verdict.rule : 'Reported by crawler' });
+      }
+
+      const directives = this._directives(row);
+      for (const { source, value } of directives) {
+        if (/\b(noindex|none)\b/i.test(value)) noindex.push({ url, source, directive: value });
+        if (/\b(nofollow|none)\b/i.test(value)) nofollow.push({ url, source, directive: value });
+      }
+
+      const isNoindex = directives.some(({ value }) => /\b(noindex|none)\b/i.test(value));
+      if (isNoindex && verdict && !verdict.allowed && !reportedBlocked) {
+        conflicts.push({
+          type: 'NOINDEX_BLOCKED',
+          url,
+          target: '',
+          detail: `noindex cannot be seen by crawlers because robots.txt blocks the page (${verdict.rule})`
+        });
+      }
+
+      const canonical = (row['Canonical Link Element 1'] || '').trim();
+      if (!canonical || canonical === url) continue;
+
+      const canonicalVerdict = robotsVerdict(canonical);
+      if (canonicalVerdict && !canonicalVerdict.allowed) {
+        conflicts.push({
+          type: 'CANONICAL_BLOCKED',
+          url,
+          target: canonical,
+          detail: `Canonical target is disallowed by robots.txt (${canonicalVerdict.rule})`
+        });
+      }
+
+      const canonicalRow = rowsByUrl.get(canonical);
+      if (canonicalRow && this._directives(canonicalRow).some(({ value }) => /\b(noindex|none)\b/i.test(value))) {
+        conflicts.push({
+          type: 'CANONICAL_TO_NOINDEX',
+          url,
+          target: canonical,
+          detail: 'Canonical target carries a noindex directive'
+        });
+      }
+    }
+
+    const robotsHosts = Object.entries(hosts).map(([origin, entry]) => ({
+      origin,
+      url: entry.url,
+      status: entry.status,
+      mode: entry.mode,
+      error: entry.error,
+      sitemaps: entry.mode === 'rules' ? parseRobotsTxt(entry.content).sitemaps : []
+    }));
+
+    const results = {
+      userAgent,
+      robotsAvailable: !!robotsData,
+      hosts: robotsHosts,
+      blocked,
+      noindex,
+      nofollow,
+      conflicts,
+      summary: {
+        rowsChecked: csvData.length,
+        robotsAvailable: !!robotsData,
+        blocked: blocked.length,
+        noindex: noindex.length,
+        nofollow: nofollow.length,
+        conflicts: conflicts.length
+      }
+    };
+
+    workflowLogger.info('Robots analysis completed', results.summary);
+    return results;
+  }
+
+  _directives(row) {
+    return [
+      { source: 'meta robots', value: (row['Meta Robots 1'] || '').trim() },
+      { source: 'X-Robots-Tag', value: (row['X-Robots-Tag 1'] || '').trim() }
+    ].filter(directive => directive.value);
+  }
+}
+
+module.exports = new RobotsService();
@@ -0,0 +1,396 @@
+// src/services/rulesService.js - Deterministic SEO checks over crawl rows, independent of the LLM
+const workflowLogger = require('../utils/workflowLogger');
+const config = require('../config/audit');
+
+const SEVERITIES = ['critical', 'warning', 'notice'];
+
+// Score penalty per finding when rules are the only source of a page score
+const SEVERITY_PENALTIES = { critical: 20, warning: 10, notice: 3 };
+
+// Screaming Frog column names, with the short names older exports/imports used
+const FIELDS = {
+  url: ['Address', 'URL'],
+  title: ['Title 1', 'Title'],
+  metaDescription: ['Meta Description 1'],
+  h1: ['H1-1'],
+  h1Second: ['H1-2'],
+  statusCode: ['Status Code'],
+  wordCount: ['Word Count'],
+  canonical: ['Canonical Link Element 1'],
+  metaRobots: ['Meta Robots 1'],
+  xRobotsTag: ['X-Robots-Tag 1'],
+  indexabilityStatus: ['Indexability Status'],
+  contentType: ['Content Type'],
+  redirectUrl: ['Redirect URL']
+};
+
+function getField(row, name) {
+  for (const column of FIELDS[name]) {
+    if (row[column] !== undefined && row[column] !== null && String(row[column]).trim() !== '') {
+      return { column, value: String(row[column]).trim() };
+    }
+  }
+  return { column: FIELDS[name][0], value: '' };
+}
+
+function isHtmlPage(row) {
+  const contentType = getField(row, 'contentType').value.toLowerCase();
+  return !contentType || contentType.includes('html');
+}
+
+function statusOf(row) {
+  return parseInt(getField(row, 'statusCode').value) || 0;
+}
+
+// Human-readable names used in reports
+const RULE_LABELS = {
+  STATUS_SERVER_ERROR: 'Server errors (5xx)',
+  STATUS_CLIENT_ERROR: 'Broken URLs (4xx)',
+  STATUS_REDIRECT: 'Redirects (3xx)',
+  TITLE_MISSING: 'Missing title',
+  TITLE_TOO_SHORT: 'Title too short',
+  TITLE_TOO_LONG: 'Title too long',
+  TITLE_DUPLICATE: 'Duplicate titles',
+  META_DESCRIPTION_MISSING: 'Missing meta description',
+  META_DESCRIPTION_TOO_SHORT: 'Meta description too short',
+  META_DESCRIPTION_TOO_LONG: 'Meta description too long',
+  META_DESCRIPTION_DUPLICATE: 'Duplicate meta descriptions',
+  H1_MISSING: 'Missing H1',
+  H1_MULTIPLE: 'Multiple H1 tags',
+  CANONICAL_NON_SELF: 'Canonical to another URL',
+  NOINDEX: 'Noindex pages',
+  LOW_WORD_COUNT: 'Thin content'
+};
+
+// Suggested fix per rule, used when rule findings stand in for AI recommendations
+const RULE_FIXES = {
+  STATUS_SERVER_ERROR: 'Investigate the server error and restore the page',
+  STATUS_CLIENT_ERROR: 'Restore the page or 301 redirect it to a relevant URL',
+  STATUS_REDIRECT: 'Update internal links to point at the final URL',
+  TITLE_MISSING: 'Add a descriptive title tag',
+  TITLE_TOO_SHORT: 'Expand the title with the primary keyword',
+  TITLE_TOO_LONG: 'Shorten the title so it is not truncated in search results',
+  TITLE_DUPLICATE: 'Write a unique title for this page',
+  META_DESCRIPTION_MISSING: 'Write a compelling meta description',
+  META_DESCRIPTION_TOO_SHORT: 'Expand the meta description',
+  META_DESCRIPTION_TOO_LONG: 'Shorten the meta description',
+  META_DESCRIPTION_DUPLICATE: 'Write a unique meta description for this page',
+  H1_MISSING: 'Add a single descriptive H1',
+  H1_MULTIPLE: 'Keep one H1 and demote the others to H2',
+  CANONICAL_NON_SELF: 'Confirm the canonical target is intentional',
+  NOINDEX: 'Confirm the page should be excluded from search results',
+  LOW_WORD_COUNT: 'Expand the content with useful, relevant information'
+};
+
+// Page-level rules: check(row, thresholds) returns { field, value, message } or null
+const PAGE_RULES = [
+  {
+    id: 'STATUS_SERVER_ERROR',
+    severity: 'critical',
+    appliesTo: () => true,
+    check: (row) => {
+      const status = statusOf(row);
+      return status >= 500 ? { ...getField(row, 'statusCode'), message: `Server error (${status})` } : null;
+    }
+  },
+  {
+    id: 'STATUS_CLIENT_ERROR',
+    severity: 'critical',
+    appliesTo: () => true,
+    check: (row) => {
+      const status = statusOf(row);
+      return status >= 400 && status < 500 ? { ...getField(row, 'statusCode'), message: `Broken URL (${status})` } : null;
+    }
+  },
+  {
+    id: 'STATUS_REDIRECT',
+    severity: 'notice',
+    appliesTo: () => true,
+    check: (row) => {
+      const status = statusOf(row);
+      if (status < 300 || status >= 400) return null;
+      const target = getField(row, 'redirectUrl').value;
+      return {
+        ...getField(row, 'statusCode'),
+        message: `Redirect (${status})${target ? ` to ${target}` : ''}`
+      };
+    }
+  },
+  {
+    id: 'TITLE_MISSING',
+    severity: 'critical',
+    appliesTo: isHtmlOk,
+    check: (row) => {
+      const title = getField(row, 'title');
+      return title.value ? null : { ...title, message: 'Missing page title' };
+    }
+  },
+  {
+    id: 'TITLE_TOO_SHORT',
+    severity: 'warning',
+    appliesTo: isHtmlOk,
+    check: (row, limits) => {
+      const title = getField(row, 'title');
+      return title.value && title.value.length < limits.titleMinLength
+        ? { ...title, message: `Title too short (${title.value.length} characters, minimum ${limits.titleMinLength})` }
+        : null;
+    }
+  },
+  {
+    id: 'TITLE_TOO_LONG',
+    severity: 'warning',
+    appliesTo: isHtmlOk,
+    check: (row, limits) => {
+      const title = getField(row, 'title');
+      return title.value.length > limits.titleMaxLength
+        ? { ...title, message: `Title too long (${title.value.length} characters, maximum ${limits.titleMaxLength})` }
+        : null;
+    }
+  },
+  {
+    id: 'META_DESCRIPTION_MISSING',
+    severity: 'warning',
+    appliesTo: isHtmlOk,
+    check: (row) => {
+      const meta = getField(row, 'metaDescription');
+      return meta.value ? null : { ...meta, message: 'Missing meta description' };
+    }
+  },
+  {
+    id: 'META_DESCRIPTION_TOO_SHORT',
+    severity: 'notice',
+    appliesTo: isHtmlOk,
+    check: (row, limits) => {
+      const meta = getField(row, 'metaDescription');
+      return meta.value && meta.value.length < limits.metaDescriptionMinLength
+        ? { ...meta, message: `Meta description too short (${meta.value.length} characters, minimum ${limits.metaDescriptionMinLength})` }
+        : null;
+    }
+  },
+  {
+    id: 'META_DESCRIPTION_TOO_LONG',
+    severity: 'notice',
+    appliesTo: isHtmlOk,
+    check: (row, limits) => {
+      const meta = getField(row, 'metaDescription');
+      return meta.value.length > limits.metaDescriptionMaxLength
+        ? { ...meta, message: `Meta description too long (${meta.value.length} characters, maximum ${limits.metaDescriptionMaxLength})` }
+        : null;
+    }
+  },
+  {
+    id: 'H1_MISSING',
+    severity: 'warning',
+    appliesTo: isHtmlOk,
+    check: (row) => {
+      const h1 = getField(row, 'h1');
+      return h1.value ? null : { ...h1, message: 'Missing H1 tag' };
+    }
+  },
+  {
+    id: 'H1_MULTIPLE',
+    severity: 'notice',
+    appliesTo: isHtmlOk,
+    check: (row) => {
+      const second = getField(row, 'h1Second');
+      return second.value ? { ...second, message: 'Multiple H1 tags' } : null;
+    }
+  },
+  {
+    id: 'CANONICAL_NON_SELF',
+    severity: 'warning',
+    appliesTo: isHtmlOk,
+    check: (row) => {
+      const canonical = getField(row, 'canonical');
+      const url = getField(row, 'url').value;
+      return canonical.value && normalizeUrl(canonical.value) !== normalizeUrl(url)
+        ? { ...canonical, message: `Canonical points to another URL (${canonical.value})` }
+        : null;
+    }
+  },
+  {
+    id: 'NOINDEX',
+    severity: 'warning',
+    appliesTo: isHtmlOk,
+    check: (row) => {
+      for (const name of ['metaRobots', 'xRobotsTag', 'indexabilityStatus']) {
+        const field = getField(row, name);
+        if (/noindex/i.test(field.value)) {
+          return { ...field, message: 'Page is set to noindex' };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'LOW_WORD_COUNT',
+    severity: 'warning',
+    appliesTo: isHtmlOk,
+    check: (row, limits) => {
+      const wordCount = getField(row, 'wordCount');
+      const words = parseInt(wordCount.value) || 0;
+      return words < limits.lowWordCount
+        ? { ...wordCount, value: String(words), message: `Thin content (${words} words, minimum ${limits.lowWordCount})` }
+        : null;
+    }
+  }
+];
+
+// Site-wide rules compare a field across all HTML pages
+const DUPLICATE_RULES = [
+  { id: 'TITLE_DUPLICATE', severity: 'warning', field: 'title', label: 'Duplicate title' },
+  { id: 'META_DESCRIPTION_DUPLICATE', severity: 'warning', field: 'metaDescription', label: 'Duplicate meta description' }
+];
+
+function isHtmlOk(row) {
+  return isHtmlPage(row) && (statusOf(row) === 200 || statusOf(row) === 0);
+}
+
+function normalizeUrl(url) {
+  return String(url).trim().replace(/#.*$/, '').replace(/\/+$/, '').toLowerCase();
+}
+
+class RulesService {
+  constructor() {
+    this.limits = config.rules;
+  }
+
+  // Run every rule over the crawl rows and summarise the findings
+  run(rows) {
+    const startTime = Date.now();
+    const findings = [];
+
+    rows.forEach(row => findings.push(...this.evaluatePage(row)));
+    findings.push(...this._evaluateDuplicates(rows));
+
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+    const result = {
+      findings,
+      findingsByUrl: this._groupByUrl(findings),
+      summary: this.summarize(findings, rows.length)
+    };
+
+    workflowLogger.info('Rule-based checks completed', {
+      rowCount: rows.length,
+      findingCount: findings.length,
+      bySeverity: result.summary.bySeverity,
+      duration: Date.now() - startTime
+    });
+
+    return result;
+  }
+
+  // Page-level findings for a single row (no site-wide duplicate checks)
+  evaluatePage(row) {
+    const url = getField(row, 'url').value || 'Unknown';
+    const findings = [];
+
+    for (const rule of PAGE_RULES) {
+      if (!rule.appliesTo(row)) continue;
+
+      const hit = rule.check(row, this.limits);
+      if (hit) {
+        findings.push({
+          ruleId: rule.id,
+          severity: rule.severity,
+          url,
+          field: hit.column,
+          value: hit.value,
+          message: hit.message
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  summarize(findings, rowCount = null) {
+    const bySeverity = { critical: 0, warning: 0, notice: 0 };
+    const byRule = {};
+
+    findings.forEach(finding => {
+      bySeverity[finding.severity]++;
+      if (!byRule[finding.ruleId]) {
+        byRule[finding.ruleId] = {
+          ruleId: finding.ruleId,
+          label: this.getRuleLabel(finding.ruleId),
+          severity: finding.severity,
+          count: 0,
+          urls: []
+        };
+      }
+      byRule[finding.ruleId].count++;
+      byRule[finding.ruleId].urls.push(finding.url);
+    });
+
+    return {
+      totalFindings: findings.length,
+      rowsChecked: rowCount,
+      affectedUrls: new Set(findings.map(finding => finding.url)).size,
+      bySeverity,
+      byRule: Object.values(byRule).sort((a, b) =>
+        SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || b.count - a.count
+      )
+    };
+  }
+
+  getRuleLabel(ruleId) {
+    return RULE_LABELS[ruleId] || ruleId;
+  }
+
+  getRuleFix(ruleId) {
+    return RULE_FIXES[ruleId] || 'Review this page manually';
+  }
+
+  // 0-100 score derived purely from rule findings
+  calculateScore(findings) {
+    const penalty = findings.reduce((total, finding) => total + (SEVERITY_PENALTIES[finding.severity] || 0), 0);
+    return Math.max(0, 100 - penalty);
+  }
+
+  _evaluateDuplicates(rows) {
+    const findings = [];
+
+    for (const rule of DUPLICATE_RULES) {
+      const groups = new Map();
+
+      rows.filter(isHtmlOk).forEach(row => {
+        const field = getField(row, rule.field);
+        if (!field.value) return;
+
+        const key = field.value.toLowerCase();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ url: getField(row, 'url').value, field });
+      });
+
+      for (const entries of groups.values()) {
+        if (entries.length < 2) continue;
+
+        entries.forEach(entry => {
+          findings.push({
+            ruleId: rule.id,
+            severity: rule.severity,
+            url: entry.url,
+            field: entry.field.column,
+            value: entry.field.value,
+            message: `${rule.label} (shared by ${entries.length} pages)`
+          });
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  _groupByUrl(findings) {
+    const byUrl = {};
+    findings.forEach(finding => {
+      if (!byUrl[finding.url]) byUrl[finding.url] = [];
+      byUrl[finding.url].push(finding);
+    });
+    return byUrl;
+  }
+}
+
+module.exports = new RulesService();
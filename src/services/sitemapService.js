@@ -0,0 +1,247 @@
+// src/services/sitemapService.js - XML sitemap discovery (robots.txt, indexes, gzip) and sitemap-vs-crawl coverage
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const workflowLogger = require('../utils/workflowLogger');
+const config = require('../config');
+const robotsService = require('./robotsService');
+const { parseRobotsTxt } = require('../utils/robotsTxt');
+const { decodeEntities, resolveUrl } = require('../utils/htmlParser');
+
+// Saved next to internal_all.csv, like robots.json
+const SITEMAP_FILE = 'sitemap.json';
+
+// The sitemap protocol caps a single (uncompressed) file at 50 MB
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+class SitemapService {
+  // Sitemaps declared in robots.txt, falling back to /sitemap.xml; explicit URLs skip discovery
+  async discover(url, options = {}) {
+    if (options.sitemapUrl) return [options.sitemapUrl];
+
+    const origin = new URL(url).origin;
+    const robots = await robotsService.fetchRobots(origin, options);
+    const declared = robots.mode === 'rules' ? parseRobotsTxt(robots.content).sitemaps : [];
+
+    return declared.length > 0 ? [...new Set(declared)] : [`${origin}/sitemap.xml`];
+  }
+
+  // Follows sitemap indexes breadth-first; every fetched file is recorded, including failures
+  async collect(sitemapUrls, options = {}) {
+    const { maxSitemaps, maxUrls } = config.crawler.sitemaps;
+    const queue = [...sitemapUrls];
+    const seen = new Set(queue);
+    const sitemaps = [];
+    const urls = new Map();
+
+    while (queue.length > 0 && sitemaps.length < maxSitemaps && urls.size < maxUrls) {
+      const sitemapUrl = queue.shift();
+      const entry = await this._fetchSitemap(sitemapUrl, options);
+      sitemaps.push(entry.record);
+
+      for (const child of entry.children) {
+        if (!seen.has(child)) {
+          seen.add(child);
+          queue.push(child);
+        }
+      }
+
+      for (const item of entry.urls) {
+        if (urls.size >= maxUrls) break;
+        if (!urls.has(item.loc)) urls.set(item.loc, { ...item, sitemap: sitemapUrl });
+      }
+    }
+
+    const result = {
+      fetchedAt: new Date().toISOString(),
+      sitemaps,
+      urls: [...urls.values()],
+      truncated: queue.length > 0 || urls.size >= maxUrls
+    };
+
+    workflowLogger.info('Sitemaps collected', {
+      sitemapCount: sitemaps.length,
+      urlCount: result.urls.length,
+      truncated: result.truncated
+    });
+    return result;
+  }
+
+  async _fetchSitemap(url, { signal, timeoutMs = config.crawler.native.requestTimeoutMs } = {}) {
+    const record = { url, status: 0, type: null, urlCount: 0, childCount: 0 };
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(url, {
+        signal: controller.signal,
+        headers: { 'User-Agent': config.crawler.native.userAgent }
+      });
+      record.status = response.status;
+
+      if (!response.ok) {
+        record.error = `HTTP ${response.status}`;
+        return { record, urls: [], children: [] };
+      }
+
+      const xml = this._decodeBody(Buffer.from(await response.arrayBuffer()));
+      const parsed = this.parse(xml, url);
+
+      record.type = parsed.type;
+      record.urlCount = parsed.urls.length;
+      record.childCount = parsed.children.length;
+      if (!parsed.type) record.error = 'Not a sitemap (no <urlset> or <sitemapindex>)';
+
+      return { record, urls: parsed.urls, children: parsed.children };
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      record.error = controller.signal.aborted ? 'Timeout' : error.message;
+      return { record, urls: [], children: [] };
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // .xml.gz files arrive still compressed (no Content-Encoding), so sniff the gzip magic bytes
+  _decodeBody(buffer) {
+    const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    const body = isGzip ? zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES }) : buffer;
+    return body.toString('utf8');
+  }
+
+  parse(xml, baseUrl) {
+    const blocks = tag => xml.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>[\\s\\S]*?<\\/(?:[\\w-]+:)?${tag}\\s*>`, 'gi')) || [];
+    const value = (block, tag) => {
+      const match = block.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${tag}\\s*>`, 'i'));
+      return match ? decodeEntities(match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')).trim() : '';
+    };
+
+    if (/<(?:[\w-]+:)?sitemapindex\b/i.test(xml)) {
+      const children = blocks('sitemap')
+        .map(block => resolveUrl(value(block, 'loc'), baseUrl))
+        .filter(Boolean);
+      return { type: 'index', urls: [], children };
+    }
+
+    if (/<(?:[\w-]+:)?urlset\b/i.test(xml)) {
+      const urls = blocks('url')
+        .map(block => ({ loc: resolveUrl(value(block, 'loc'), baseUrl), lastmod: value(block, 'lastmod') || null }))
+        .filter(item => item.loc);
+      return { type: 'urlset', urls, children: [] };
+    }
+
+    return { type: null, urls: [], children: [] };
+  }
+
+  async save(outputDir, sitemapData) {
+    await fs.writeFile(path.join(outputDir, SITEMAP_FILE), JSON.stringify(sitemapData, null, 2), 'utf8');
+  }
+
+  async load(exportDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(exportDir, SITEMAP_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        workflowLogger.warn('Ignoring unreadable sitemap data', { exportDir, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  // Orphans (in the sitemap but not reachable through internal links), indexable pages missing
+  // from the sitemap, and sitemap entries that should not be there (non-200, redirected, noindex)
+  analyze(csvData, sitemapData) {
+    const rowsByUrl = new Map();
+    for (const row of csvData) {
+      const url = this._normalize(row.Address || row.URL);
+      if (url) rowsByUrl.set(url, row);
+    }
+
+    const sitemapUrls = sitemapData ? sitemapData.urls : [];
+    const inSitemap = new Set(sitemapUrls.map(item => this._normalize(item.loc)));
+
+    const orphans = [];
+    const problems = [];
+
+    for (const item of sitemapUrls) {
+      const row = rowsByUrl.get(this._normalize(item.loc));
+      if (!row) {
+        orphans.push({ url: item.loc, reason: 'Not found by the crawl' });
+        continue;
+      }
+
+      // Crawled, but only because the sitemap seeded it: nothing on the site links to it
+      const isStartUrl = this._normalize(item.loc) === this._normalize(sitemapData.startUrl);
+      if (row.Inlinks !== undefined && parseInt(row.Inlinks) === 0 && !isStartUrl) {
+        orphans.push({ url: item.loc, reason: 'No internal links point to it' });
+      }
+
+      const problem = this._entryProblem(row);
+      if (problem) problems.push({ url: item.loc, ...problem });
+    }
+
+    const missingFromSitemap = csvData
+      .filter(row => this._isIndexablePage(row) && !inSitemap.has(this._normalize(row.Address || row.URL)))
+      .map(row => ({ url: row.Address || row.URL, inlinks: parseInt(row.Inlinks) || 0 }));
+
+    const results = {
+      sitemapAvailable: !!sitemapData,
+      sitemaps: sitemapData ? sitemapData.sitemaps : [],
+      truncated: sitemapData ? sitemapData.truncated : false,
+      orphans,
+      missingFromSitemap,
+      problems,
+      summary: {
+        sitemapUrls: sitemapUrls.length,
+        crawledUrls: csvData.length,
+        inBoth: sitemapUrls.filter(item => rowsByUrl.has(this._normalize(item.loc))).length,
+        orphans: orphans.length,
+        missingFromSitemap: missingFromSitemap.length,
+        problems: problems.length
+      }
+    };
+
+    workflowLogger.info('Sitemap coverage analysis completed', results.summary);
+    return results;
+  }
+
+  _entryProblem(row) {
+    const status = parseInt(row['Status Code']) || 0;
+    const indexabilityStatus = row['Indexability Status'] || '';
+    const directives = `${row['Meta Robots 1'] || ''},${row['X-Robots-Tag 1'] || ''}`;
+
+    if (status >= 300 && status < 400) {
+      return { type: 'redirected', status, detail: row['Redirect URL'] ? `Redirects to ${row['Redirect URL']}` : 'Redirects' };
+    }
+    if (status !== 200) {
+      return { type: 'non_200', status, detail: row.Status || indexabilityStatus || `HTTP ${status}` };
+    }
+    if (/\b(noindex|none)\b/i.test(`${directives},${indexabilityStatus}`)) {
+      return { type: 'noindex', status, detail: 'Page carries a noindex directive' };
+    }
+    return null;
+  }
+
+  _isIndexablePage(row) {
+    const contentType = (row['Content Type'] || '').toLowerCase();
+    if (contentType && !contentType.includes('html')) return false;
+
+    if (row.Indexability) return row.Indexability === 'Indexable';
+    return (parseInt(row['Status Code']) || 0) === 200 && !this._entryProblem(row);
+  }
+
+  _normalize(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = new SitemapService();
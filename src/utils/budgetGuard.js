@@ -0,0 +1,83 @@
+// src/utils/budgetGuard.js - Per-run caps on pages, tokens and estimated spend
+const config = require('../config/audit');
+
+const LIMIT_KEYS = ['maxPages', 'maxTokens', 'maxCostUsd'];
+
+// Request limits can only tighten the global ones, never lift them
+function mergeLimits(globalLimits, requestLimits = {}) {
+  const limits = {};
+  for (const key of LIMIT_KEYS) {
+    const values = [globalLimits[key], requestLimits[key]].filter(value => value !== null && value !== undefined);
+    limits[key] = values.length > 0 ? Math.min(...values) : null;
+  }
+  return limits;
+}
+
+// One instance per analysis run next to the UsageTracker it reads from (options.budget)
+class BudgetGuard {
+  constructor(usage, requestLimits = {}) {
+    this.usage = usage;
+    this.limits = mergeLimits(config.budget, requestLimits);
+    this.limitsHit = [];
+  }
+
+  // Page cap for a phase ({ limit, max }): the run-wide maxPages or the phase's performance setting,
+  // whichever is lower; `limit` names the one that applies so a hit is reported against the right setting
+  pageLimit(phase) {
+    const phaseLimit = phase === 'site_overview'
+      ? { limit: 'maxPagesForFullAnalysis', max: config.performance.maxPagesForFullAnalysis }
+      : { limit: 'maxPagesForPageAnalysis', max: config.performance.maxPagesForPageAnalysis };
+
+    return this.limits.maxPages !== null && this.limits.maxPages <= phaseLimit.max
+      ? { limit: 'maxPages', max: this.limits.maxPages }
+      : phaseLimit;
+  }
+
+  // Returns the exceeded limit ({ limit, used, max }) or null. estimatedTokens (prompt side) lets
+  // callers stop before a call that would cross the cap; completions can still overshoot it slightly
+  check(estimatedTokens = 0) {
+    const { totals } = this.usage;
+
+    if (this.limits.maxTokens !== null && totals.totalTokens + estimatedTokens > this.limits.maxTokens) {
+      return { limit: 'maxTokens', used: totals.totalTokens, max: this.limits.maxTokens };
+    }
+
+    if (this.limits.maxCostUsd !== null) {
+      // Project the next call's cost from the average cost per token so far
+      const costPerToken = totals.totalTokens > 0 ? totals.estimatedCostUsd / totals.totalTokens : 0;
+      const projected = totals.estimatedCostUsd + estimatedTokens * costPerToken;
+      if (projected > this.limits.maxCostUsd) {
+        return { limit: 'maxCostUsd', used: Math.round(totals.estimatedCostUsd * 1e6) / 1e6, max: this.limits.maxCostUsd };
+      }
+    }
+
+    return null;
+  }
+
+  // Remember the first time each limit stops a phase, for the run result
+  recordHit(hit, phase, details = {}) {
+    if (this.limitsHit.some(existing => existing.limit === hit.limit && existing.phase === phase)) return;
+
+    this.limitsHit.push({
+      ...hit,
+      phase,
+      ...details,
+      at: new Date().toISOString()
+    });
+  }
+
+  toJSON() {
+    return {
+      limits: this.limits,
+      pageLimits: {
+        siteOverview: this.pageLimit('site_overview').max,
+        perPage: this.pageLimit('per_page').max,
+        skipPerPageAnalysisThreshold: config.performance.skipPerPageAnalysisThreshold
+      },
+      limitsHit: this.limitsHit,
+      degraded: this.limitsHit.length > 0
+    };
+  }
+}
+
+module.exports = BudgetGuard;
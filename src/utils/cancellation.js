@@ -0,0 +1,51 @@
+// src/utils/cancellation.js - Cooperative cancellation helpers built on AbortSignal
+function createCancelledError(message = 'Operation cancelled') {
+  const error = new Error(message);
+  error.name = 'CancelledError';
+  error.code = 'CANCELLED';
+  error.cancelled = true;
+  return error;
+}
+
+function isCancelledError(error) {
+  if (!error) return false;
+
+  return error.cancelled === true ||
+    error.name === 'AbortError' ||
+    (error.constructor && error.constructor.name === 'APIUserAbortError') || // openai SDK abort
+    isCancelledError(error.originalError);
+}
+
+function throwIfCancelled(signal, message) {
+  if (signal && signal.aborted) {
+    throw createCancelledError(message);
+  }
+}
+
+// setTimeout-based delay that rejects as soon as the signal is aborted
+function cancellableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(createCancelledError());
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  createCancelledError,
+  isCancelledError,
+  throwIfCancelled,
+  cancellableDelay
+};
@@ -0,0 +1,143 @@
+// src/utils/htmlParser.js - Lightweight regex-based extraction of the on-page SEO fields the crawler records
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  copy: '©',
+  reg: '®',
+  trade: '™'
+};
+
+// Only http(s) links are crawlable; everything else (mailto:, tel:, javascript:) is ignored
+const CRAWLABLE_PROTOCOLS = ['http:', 'https:'];
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+function cleanText(text) {
+  return decodeEntities(text.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Attribute names are lower-cased; valueless attributes (e.g. "async") map to ''
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const body = tag.replace(/^<\s*[^\s>\/]+/, '').replace(/\/?>$/, '');
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    const name = match[1].toLowerCase();
+    if (attributes[name] !== undefined) continue; // first occurrence wins, as in browsers
+    attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+function findTags(html, tagName) {
+  return (html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'gi')) || []).map(parseAttributes);
+}
+
+function findElements(html, tagName) {
+  const pattern = new RegExp(`<${tagName}\\b[^>]*>([\\s\\S]*?)<\\/${tagName}\\s*>`, 'gi');
+  const texts = [];
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    texts.push(cleanText(match[1]));
+  }
+  return texts;
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+
+  try {
+    const resolved = new URL(href.trim(), baseUrl);
+    if (!CRAWLABLE_PROTOCOLS.includes(resolved.protocol)) return null;
+    resolved.hash = '';
+    return resolved.href;
+  } catch {
+    return null;
+  }
+}
+
+function getMetaContent(metaTags, name) {
+  const tag = metaTags.find(attributes => (attributes.name || '').toLowerCase() === name);
+  return tag ? (tag.content || '').replace(/\s+/g, ' ').trim() : '';
+}
+
+// Scripts, styles and comments never contribute text, links or headings
+function stripNonContent(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+}
+
+// Visible body text, whitespace-collapsed (word counts and near-duplicate detection)
+function extractBodyText(html) {
+  const bodyMatch = html.match(/<body\b[^>]*>([\s\S]*)<\/body\s*>/i);
+  return cleanText(bodyMatch ? bodyMatch[1] : html.replace(/<(head|title)\b[\s\S]*?<\/\1\s*>/gi, ' '));
+}
+
+function countWords(text) {
+  return text.split(' ').filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+function parseHtml(html, pageUrl) {
+  const content = stripNonContent(html || '');
+  const metaTags = findTags(content, 'meta');
+  const linkTags = findTags(content, 'link');
+
+  const baseTag = findTags(content, 'base').find(attributes => attributes.href);
+  const baseUrl = (baseTag && resolveUrl(baseTag.href, pageUrl)) || pageUrl;
+
+  const canonicalTag = linkTags.find(attributes =>
+    (attributes.rel || '').toLowerCase().split(/\s+/).includes('canonical'));
+
+  const links = findTags(content, 'a')
+    .map(attributes => ({
+      url: resolveUrl(attributes.href, baseUrl),
+      nofollow: (attributes.rel || '').toLowerCase().split(/\s+/).includes('nofollow')
+    }))
+    .filter(link => link.url);
+
+  const titles = findElements(content, 'title');
+  const text = extractBodyText(content);
+
+  return {
+    title: titles[0] || '',
+    metaDescription: getMetaContent(metaTags, 'description'),
+    metaRobots: getMetaContent(metaTags, 'robots'),
+    canonical: canonicalTag ? resolveUrl(canonicalTag.href, baseUrl) || '' : '',
+    h1: findElements(content, 'h1').filter(Boolean),
+    h2: findElements(content, 'h2').filter(Boolean),
+    links,
+    text,
+    wordCount: countWords(text)
+  };
+}
+
+module.exports = {
+  parseHtml,
+  parseAttributes,
+  decodeEntities,
+  resolveUrl
+};
@@ -0,0 +1,162 @@
+// src/utils/markdown.js - Parse the Markdown subset our reports use (headings, lists, tables, emphasis) and render it as HTML
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// **bold**, `code`, [text](url), _italic_ (underscores inside URLs and words are left alone), <br>
+const INLINE_PATTERN = /\*\*(.+?)\*\*|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)|(?<![\w/])_(.+?)_(?![\w/])|<br\s*\/?>/g;
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+// Blocks: heading {level, text}, paragraph {lines}, list {ordered, items}, table {headers, rows}, code {text}, hr
+function parseMarkdown(text) {
+  const lines = String(text || '').split(/\r\n|\r|\n/);
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      index++;
+      continue;
+    }
+
+    if (trimmed.startsWith('```')) {
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith('```')) code.push(lines[index++]);
+      blocks.push({ type: 'code', text: code.join('\n') });
+      index++;
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+      index++;
+      continue;
+    }
+
+    if (/^(-{3,}|\*{3,})$/.test(trimmed)) {
+      blocks.push({ type: 'hr' });
+      index++;
+      continue;
+    }
+
+    if (trimmed.startsWith('|')) {
+      const tableLines = [];
+      while (index < lines.length && lines[index].trim().startsWith('|')) tableLines.push(lines[index++].trim());
+      blocks.push(parseTable(tableLines));
+      continue;
+    }
+
+    const listItem = trimmed.match(/^([-*]|\d+\.)\s+(.*)$/);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      while (index < lines.length) {
+        const item = lines[index].trim().match(/^([-*]|\d+\.)\s+(.*)$/);
+        if (!item || /\d/.test(item[1]) !== ordered) break;
+        items.push(item[2].trim());
+        index++;
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    const paragraph = [];
+    while (index < lines.length && lines[index].trim() && !isBlockStart(lines[index].trim())) {
+      paragraph.push(lines[index++].trim());
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph });
+  }
+
+  return blocks;
+}
+
+function isBlockStart(trimmed) {
+  return /^(#{1,6}\s|\||```|([-*]|\d+\.)\s|-{3,}$|\*{3,}$)/.test(trimmed);
+}
+
+// The separator row (|---|---|) is dropped; escaped pipes (\|) stay inside their cell
+function parseTable(tableLines) {
+  const splitRow = row => row
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+  const rows = tableLines.filter(row => !/^\|[\s|:-]+\|?$/.test(row)).map(splitRow);
+  return { type: 'table', headers: rows[0] || [], rows: rows.slice(1) };
+}
+
+// Inline text as spans: {text, bold, italic, code, href} or {lineBreak: true}
+function parseInline(text) {
+  const spans = [];
+  let lastIndex = 0;
+
+  for (const match of String(text).matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) spans.push({ text: text.substring(lastIndex, match.index) });
+
+    if (match[1] !== undefined) spans.push({ text: match[1], bold: true });
+    else if (match[2] !== undefined) spans.push({ text: match[2], code: true });
+    else if (match[3] !== undefined) spans.push({ text: match[3], href: match[4] });
+    else if (match[5] !== undefined) spans.push({ text: match[5], italic: true });
+    else spans.push({ lineBreak: true });
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) spans.push({ text: text.substring(lastIndex) });
+  return spans;
+}
+
+function renderInlineHtml(text) {
+  return parseInline(text).map(span => {
+    if (span.lineBreak) return '<br>';
+    const content = escapeHtml(span.text);
+    if (span.bold) return `<strong>${content}</strong>`;
+    if (span.italic) return `<em>${content}</em>`;
+    if (span.code) return `<code>${content}</code>`;
+    if (span.href) return `<a href="${escapeHtml(span.href)}">${content}</a>`;
+    return content;
+  }).join('');
+}
+
+// Headings are shifted by headingOffset so an embedded document does not compete with the page's own <h1>
+function renderHtml(blocks, options = {}) {
+  const headingOffset = options.headingOffset || 0;
+
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading': {
+        const level = Math.min(6, block.level + headingOffset);
+        return `<h${level}>${renderInlineHtml(block.text)}</h${level}>`;
+      }
+      case 'hr':
+        return '<hr>';
+      case 'code':
+        return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map(item => `<li>${renderInlineHtml(item)}</li>`).join('')}</${tag}>`;
+      }
+      case 'table':
+        return `<table><thead><tr>${block.headers.map(cell => `<th>${renderInlineHtml(cell)}</th>`).join('')}</tr></thead>`
+          + `<tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${renderInlineHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+      default:
+        return `<p>${block.lines.map(renderInlineHtml).join('<br>')}</p>`;
+    }
+  }).join('\n');
+}
+
+module.exports = {
+  escapeHtml,
+  parseMarkdown,
+  parseInline,
+  renderInlineHtml,
+  renderHtml
+};
@@ -0,0 +1,86 @@
+// src/utils/pageAnalysisSchema.js - JSON schema and validation for structured per-page LLM output
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Sent as response_format.json_schema; strict mode needs every property required and no extras
+const PAGE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['pages'],
+  properties: {
+    pages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['url', 'seoScore', 'issues', 'quickWins', 'recommendations', 'priority'],
+        properties: {
+          url: { type: 'string' },
+          seoScore: { type: 'integer' },
+          issues: stringList,
+          quickWins: stringList,
+          recommendations: stringList,
+          priority: { type: 'string', enum: PRIORITIES }
+        }
+      }
+    }
+  }
+};
+
+const RESPONSE_FORMATS = {
+  json_schema: {
+    type: 'json_schema',
+    json_schema: { name: 'page_analysis', strict: true, schema: PAGE_ANALYSIS_SCHEMA }
+  },
+  json_object: { type: 'json_object' }
+};
+
+// Extract the JSON object from a response, tolerating code fences from local models
+function parsePageAnalysisJson(content) {
+  const text = String(content || '').replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Response does not contain a JSON object');
+  }
+
+  const parsed = JSON.parse(text.substring(start, end + 1));
+  if (!parsed || !Array.isArray(parsed.pages)) {
+    throw new Error('Response JSON has no "pages" array');
+  }
+  return parsed.pages;
+}
+
+// Returns a list of problems; an empty list means the entry matches the schema.
+// Range checks live here because strict json_schema mode does not enforce them
+function validatePageAnalysis(entry) {
+  const errors = [];
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['entry is not an object'];
+  }
+  if (typeof entry.url !== 'string' || entry.url.trim() === '') {
+    errors.push('url must be a non-empty string');
+  }
+  if (!Number.isInteger(entry.seoScore) || entry.seoScore < 0 || entry.seoScore > 100) {
+    errors.push('seoScore must be an integer between 0 and 100');
+  }
+  for (const field of ['issues', 'quickWins', 'recommendations']) {
+    if (!Array.isArray(entry[field]) || entry[field].some(item => typeof item !== 'string')) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+  if (!PRIORITIES.includes(entry.priority)) {
+    errors.push(`priority must be one of ${PRIORITIES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  PAGE_ANALYSIS_SCHEMA,
+  RESPONSE_FORMATS,
+  parsePageAnalysisJson,
+  validatePageAnalysis
+};
@@ -0,0 +1,204 @@
+// src/utils/pdfDocument.js - Minimal PDF 1.4 writer: standard Type1 fonts, text, lines, rectangles and internal links
+const zlib = require('zlib');
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+  italic: { resource: 'F3', baseFont: 'Helvetica-Oblique' },
+  mono: { resource: 'F4', baseFont: 'Courier' }
+};
+
+// Advance widths (1/1000 em) of ASCII 32-126 from the Adobe AFM files; Helvetica-Oblique shares Helvetica's
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding can still show, with their byte and Helvetica width
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556], '‚': [0x82, 222], '„': [0x84, 333], '…': [0x85, 1000], '‘': [0x91, 222], '’': [0x92, 222],
+  '“': [0x93, 333], '”': [0x94, 333], '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000], '™': [0x99, 1000]
+};
+
+// Text the standard fonts cannot draw: arrows become ASCII, emoji and other symbols are dropped
+function toWinAnsi(text) {
+  let result = '';
+  for (const char of String(text).replace(/→/g, '->').replace(/←/g, '<-').replace(/≥/g, '>=').replace(/≤/g, '<=')) {
+    const code = char.codePointAt(0);
+    if (code === 9) result += ' ';
+    else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255) || WIN_ANSI_EXTRAS[char]) result += char;
+  }
+  return result;
+}
+
+function charWidth(char, font) {
+  if (font === 'mono') return 600;
+  const code = char.charCodeAt(0);
+  if (code >= 32 && code <= 126) return (font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+  if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char][1];
+  return 556;
+}
+
+// Literal string in WinAnsi bytes, with PDF's special characters escaped
+function encodeText(text) {
+  let encoded = '';
+  for (const char of text) {
+    const byte = WIN_ANSI_EXTRAS[char] ? WIN_ANSI_EXTRAS[char][0] : char.charCodeAt(0);
+    if (char === '\\' || char === '(' || char === ')') encoded += `\\${char}`;
+    else encoded += String.fromCharCode(byte);
+  }
+  return `(${encoded})`;
+}
+
+function parseColor(color) {
+  const hex = String(color || '#000000').replace('#', '');
+  const full = hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex.padEnd(6, '0');
+  return [0, 2, 4].map(offset => (parseInt(full.substring(offset, offset + 2), 16) || 0) / 255);
+}
+
+const number = value => Number(value.toFixed(2)).toString();
+const rgb = color => parseColor(color).map(number).join(' ');
+
+// Coordinates are in points from the top-left corner; text y is the baseline
+class PdfDocument {
+  constructor(info = {}) {
+    this.width = PAGE_WIDTH;
+    this.height = PAGE_HEIGHT;
+    this.info = info;
+    this.pages = [];
+  }
+
+  addPage() {
+    return this.insertPage(this.pages.length);
+  }
+
+  insertPage(index) {
+    const page = { operations: [], links: [] };
+    this.pages.splice(index, 0, page);
+    return page;
+  }
+
+  widthOf(text, font, size) {
+    let units = 0;
+    for (const char of toWinAnsi(text)) units += charWidth(char, font);
+    return (units * size) / 1000;
+  }
+
+  text(page, x, y, text, options = {}) {
+    const content = toWinAnsi(text);
+    if (!content) return;
+    const font = FONTS[options.font || 'regular'];
+    page.operations.push(
+      `BT /${font.resource} ${number(options.size || 10)} Tf ${rgb(options.color)} rg ${number(x)} ${number(this.height - y)} Td ${encodeText(content)} Tj ET`
+    );
+  }
+
+  line(page, x1, y1, x2, y2, options = {}) {
+    page.operations.push(
+      `${number(options.width || 0.5)} w ${rgb(options.color || '#cccccc')} RG ${number(x1)} ${number(this.height - y1)} m ${number(x2)} ${number(this.height - y2)} l S`
+    );
+  }
+
+  rect(page, x, y, width, height, options = {}) {
+    const path = `${number(x)} ${number(this.height - y - height)} ${number(width)} ${number(height)} re`;
+    if (options.fill && options.stroke) {
+      page.operations.push(`${rgb(options.fill)} rg ${rgb(options.stroke)} RG ${path} B`);
+    } else if (options.fill) {
+      page.operations.push(`${rgb(options.fill)} rg ${path} f`);
+    } else {
+      page.operations.push(`${number(options.width || 0.5)} w ${rgb(options.stroke || '#cccccc')} RG ${path} S`);
+    }
+  }
+
+  // Clickable area that jumps to `y` on another page of this document
+  link(page, x, y, width, height, targetPage, targetY = 0) {
+    page.links.push({ x, y, width, height, targetPage, targetY });
+  }
+
+  toBuffer() {
+    const objects = [];
+    const reserve = () => objects.push(null);
+    const set = (id, body) => { objects[id - 1] = body; };
+
+    reserve(); // 1: catalog
+    reserve(); // 2: page tree
+    const fontIds = {};
+    for (const [name, font] of Object.entries(FONTS)) {
+      fontIds[name] = objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+    }
+
+    // Page object ids are needed before link annotations can point at them
+    const pageIds = this.pages.map(() => {
+      reserve();
+      return objects.length;
+    });
+
+    const fontResources = Object.entries(FONTS).map(([name, font]) => `/${font.resource} ${fontIds[name]} 0 R`).join(' ');
+    this.pages.forEach((page, index) => {
+      const stream = zlib.deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'));
+      const contentId = objects.push({ dictionary: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+
+      const annotations = page.links
+        .filter(link => this.pages.includes(link.targetPage))
+        .map(link => objects.push(
+          `<< /Type /Annot /Subtype /Link /Border [0 0 0] /Rect [${[link.x, this.height - link.y - link.height, link.x + link.width, this.height - link.y].map(number).join(' ')}]`
+          + ` /Dest [${pageIds[this.pages.indexOf(link.targetPage)]} 0 R /XYZ 0 ${number(this.height - link.targetY)} 0] >>`
+        ));
+
+      set(pageIds[index], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(this.width)} ${number(this.height)}]`
+        + ` /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R`
+        + `${annotations.length > 0 ? ` /Annots [${annotations.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`);
+    });
+
+    set(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    set(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+    const date = new Date().toISOString().replace(/[-:T]/g, '').substring(0, 14);
+    const infoEntries = [['Title', this.info.title], ['Author', this.info.author], ['Subject', this.info.subject], ['Producer', this.info.producer]]
+      .filter(([, value]) => value)
+      .map(([key, value]) => `/${key} ${encodeText(toWinAnsi(value))}`);
+    const infoId = objects.push(`<< ${infoEntries.join(' ')} /CreationDate (D:${date}Z) >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+
+    objects.forEach((object, index) => {
+      offsets.push(offset);
+      const parts = typeof object === 'string'
+        ? [Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, 'latin1')]
+        : [Buffer.from(`${index + 1} 0 obj\n${object.dictionary}\nstream\n`, 'latin1'), object.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')];
+      parts.forEach(part => {
+        chunks.push(part);
+        offset += part.length;
+      });
+    });
+
+    const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`]
+      .concat(offsets.map(value => `${String(value).padStart(10, '0')} 00000 n \n`))
+      .join('');
+    chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+PdfDocument.toWinAnsi = toWinAnsi;
+
+module.exports = PdfDocument;
@@ -0,0 +1,16 @@
+// src/utils/progress.js - Forward progress events to an optional options.onProgress listener
+function reportProgress(options, type, data = {}) {
+  if (!options || typeof options.onProgress !== 'function') return;
+
+  try {
+    options.onProgress({
+      type,
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    // A broken listener must never break the crawl or the analysis
+  }
+}
+
+module.exports = { reportProgress };
@@ -0,0 +1,111 @@
+// src/utils/robotsTxt.js - robots.txt parsing and matching following RFC 9309 (longest match wins)
+
+// Parsers only have to read the first 500 KiB of a robots.txt file (RFC 9309 section 2.5)
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasUserAgent = false;
+
+  for (const rawLine of String(text || '').substring(0, MAX_ROBOTS_BYTES).split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasUserAgent) {
+        current = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      lastWasUserAgent = true;
+      continue;
+    }
+
+    lastWasUserAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      // An empty Disallow allows everything and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (current && field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Rules of every group naming the most specific matching user-agent, else the '*' groups
+function selectRules(robots, userAgent) {
+  const token = String(userAgent || '*').toLowerCase();
+  let bestLength = -1;
+  let rules = [];
+  let crawlDelay = null;
+
+  for (const group of robots.groups) {
+    for (const agent of group.userAgents) {
+      const length = agent === '*' ? 0 : (token.includes(agent) ? agent.length : -1);
+      if (length < 0 || length < bestLength) continue;
+
+      if (length > bestLength) {
+        bestLength = length;
+        rules = [];
+        crawlDelay = null;
+      }
+      rules = rules.concat(group.rules);
+      if (group.crawlDelay !== null) crawlDelay = group.crawlDelay;
+      break;
+    }
+  }
+
+  return { rules, crawlDelay };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Returns { allowed, rule } where rule is the deciding Allow/Disallow line (null when none matched)
+function matchUrl(rules, url) {
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+
+  if (pathname === '/robots.txt') return { allowed: true, rule: null };
+
+  let winner = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(target)) continue;
+
+    // Longest pattern wins; on a tie the least restrictive (Allow) rule is used
+    if (!winner || rule.path.length > winner.path.length ||
+        (rule.path.length === winner.path.length && rule.allow && !winner.allow)) {
+      winner = rule;
+    }
+  }
+
+  return {
+    allowed: !winner || winner.allow,
+    rule: winner ? `${winner.allow ? 'Allow' : 'Disallow'}: ${winner.path}` : null
+  };
+}
+
+module.exports = {
+  MAX_ROBOTS_BYTES,
+  parseRobotsTxt,
+  selectRules,
+  matchUrl
+};
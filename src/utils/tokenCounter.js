@@ -0,0 +1,69 @@
+// src/utils/tokenCounter.js - Accurate token counts with tiktoken, one cached encoder per encoding
+const workflowLogger = require('./workflowLogger');
+
+let tiktoken = null;
+let loadFailed = false;
+const encoders = new Map();
+
+// Chat format overhead per message (role/separators) and for the reply primer
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+function loadTiktoken() {
+  if (tiktoken || loadFailed) return tiktoken;
+
+  try {
+    tiktoken = require('@dqbd/tiktoken');
+  } catch (error) {
+    loadFailed = true;
+    workflowLogger.warn('tiktoken unavailable, falling back to approximate token counts', {
+      error: error.message
+    });
+  }
+  return tiktoken;
+}
+
+// Models unknown to the installed tiktoken version (local models, newer OpenAI models) get the
+// closest OpenAI encoding
+function encodingNameFor(model) {
+  const lib = loadTiktoken();
+  try {
+    return lib.get_encoding_name_for_model(model);
+  } catch {
+    return /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(model || '') ? 'o200k_base' : 'cl100k_base';
+  }
+}
+
+function getEncoder(model) {
+  const lib = loadTiktoken();
+  if (!lib) return null;
+
+  const name = encodingNameFor(model);
+  if (!encoders.has(name)) {
+    encoders.set(name, lib.get_encoding(name));
+  }
+  return encoders.get(name);
+}
+
+function countTokens(text, model) {
+  if (!text) return 0;
+
+  const encoder = getEncoder(model);
+  if (!encoder) {
+    return Math.ceil(text.length / 4);
+  }
+  return encoder.encode(text).length;
+}
+
+// Prompt size of a chat request, including the per-message framing OpenAI bills for
+function countMessageTokens(messages, model) {
+  return messages.reduce(
+    (total, message) => total + TOKENS_PER_MESSAGE + countTokens(message.content || '', model),
+    TOKENS_PER_REPLY
+  );
+}
+
+module.exports = {
+  countTokens,
+  countMessageTokens
+};
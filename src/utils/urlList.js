@@ -0,0 +1,38 @@
+// src/utils/urlList.js - URL lists for list-mode audits, from JSON arrays or uploaded text/CSV
+const { parse } = require('csv-parse/sync');
+
+// Header names recognised when the upload is a CSV (Screaming Frog, Search Console and plain exports)
+const URL_COLUMNS = ['address', 'url', 'urls', 'page', 'loc'];
+
+// One URL per line, or a CSV with a URL/Address column; blank lines and # comments are ignored
+function parseUrlList(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/).find(line => line.trim()) || '';
+  const header = firstLine.split(',').map(cell => cell.trim().replace(/^"|"$/g, '').toLowerCase());
+  const urlColumn = header.findIndex(cell => URL_COLUMNS.includes(cell));
+
+  if (urlColumn !== -1) {
+    const rows = parse(content, { skip_empty_lines: true, relax_column_count: true, from_line: 2 });
+    return rows.map(row => (row[urlColumn] || '').trim()).filter(Boolean);
+  }
+
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// List-mode input from a workflow/job payload: urls (array) or urlList (uploaded text/CSV).
+// Returns null for single-URL (spider) requests
+function getListUrls(input = {}) {
+  let urls = null;
+  if (Array.isArray(input.urls)) {
+    urls = input.urls.map(url => String(url).trim()).filter(Boolean);
+  } else if (typeof input.urlList === 'string') {
+    urls = parseUrlList(input.urlList);
+  }
+
+  return urls ? [...new Set(urls)] : null;
+}
+
+module.exports = { parseUrlList, getListUrls };
@@ -0,0 +1,95 @@
+// src/utils/usageTracker.js - Per-session LLM token and cost accounting
+const config = require('../config/audit');
+
+const emptyTotals = () => ({
+  calls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  estimatedCostUsd: 0
+});
+
+// One instance per analysis run, passed down the call chain as options.usage
+class UsageTracker {
+  constructor() {
+    this.startedAt = new Date().toISOString();
+    this.totals = emptyTotals();
+    this.byModel = {};
+    this.byPhase = {};
+    this.unpricedModels = new Set();
+    this.cache = { hits: 0, misses: 0, reusedPages: 0, savedTokens: 0, savedCostUsd: 0 };
+  }
+
+  // Cached responses cost nothing; the usage they were originally billed for is counted as saved
+  recordCacheHit({ model, promptTokens = 0, completionTokens = 0 } = {}) {
+    this.cache.hits++;
+    this.cache.savedTokens += promptTokens + completionTokens;
+    this.cache.savedCostUsd += this._estimateCost(model, promptTokens, completionTokens);
+  }
+
+  recordCacheMiss() {
+    this.cache.misses++;
+  }
+
+  recordReusedPages(count) {
+    this.cache.reusedPages += count;
+  }
+
+  cacheStats() {
+    const lookups = this.cache.hits + this.cache.misses;
+    return {
+      ...this.cache,
+      savedCostUsd: Math.round(this.cache.savedCostUsd * 1e6) / 1e6,
+      hitRate: lookups > 0 ? Math.round((this.cache.hits / lookups) * 100) : 0
+    };
+  }
+
+  record({ model, phase = 'other', promptTokens = 0, completionTokens = 0 }) {
+    const cost = this._estimateCost(model, promptTokens, completionTokens);
+
+    for (const bucket of [this.totals, this._bucket(this.byModel, model), this._bucket(this.byPhase, phase)]) {
+      bucket.calls++;
+      bucket.promptTokens += promptTokens;
+      bucket.completionTokens += completionTokens;
+      bucket.totalTokens += promptTokens + completionTokens;
+      bucket.estimatedCostUsd += cost;
+    }
+  }
+
+  toJSON() {
+    const round = totals => ({ ...totals, estimatedCostUsd: Math.round(totals.estimatedCostUsd * 1e6) / 1e6 });
+    const roundAll = buckets => Object.fromEntries(Object.entries(buckets).map(([key, totals]) => [key, round(totals)]));
+
+    return {
+      startedAt: this.startedAt,
+      currency: 'USD',
+      totals: round(this.totals),
+      byModel: roundAll(this.byModel),
+      byPhase: roundAll(this.byPhase),
+      // Cost for these models is missing from the totals; add them to config.pricing
+      unpricedModels: [...this.unpricedModels]
+    };
+  }
+
+  _bucket(buckets, key) {
+    if (!buckets[key]) buckets[key] = emptyTotals();
+    return buckets[key];
+  }
+
+  // Prices are per million tokens; dated model names (gpt-4o-mini-2024-07-18) match their base entry
+  _estimateCost(model, promptTokens, completionTokens) {
+    const key = Object.keys(config.pricing)
+      .filter(name => model === name || (model || '').startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!key) {
+      this.unpricedModels.add(model);
+      return 0;
+    }
+
+    const price = config.pricing[key];
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  }
+}
+
+module.exports = UsageTracker;
@@ -16,4 +16,122 @@ function generateSlug(url) {
     .toLowerCase();
 }
 
-module.exports = { validateUrl, generateSlug };
\ No newline at end of file
+// Per-request budget: { maxPages, maxTokens, maxCostUsd }, each optional and positive
+function validateBudget(budget) {
+  if (budget === undefined || budget === null) return [];
+  if (typeof budget !== 'object' || Array.isArray(budget)) return ['budget must be an object'];
+
+  const errors = [];
+  const allowed = ['maxPages', 'maxTokens', 'maxCostUsd'];
+
+  for (const [key, value] of Object.entries(budget)) {
+    if (!allowed.includes(key)) {
+      errors.push(`Unknown budget field '${key}' (allowed: ${allowed.join(', ')})`);
+    } else if (typeof value !== 'number' || !(value > 0)) {
+      errors.push(`budget.${key} must be a positive number`);
+    } else if (key !== 'maxCostUsd' && !Number.isInteger(value)) {
+      errors.push(`budget.${key} must be an integer`);
+    }
+  }
+
+  return errors;
+}
+
+function validatePatternList(value, field) {
+  if (!Array.isArray(value) || value.some(pattern => typeof pattern !== 'string' || pattern === '')) {
+    return [`${field} must be a list of regular expressions`];
+  }
+
+  const errors = [];
+  for (const pattern of value) {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      errors.push(`${field}: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+// Per-request crawl scope: { include, exclude, maxDepth, maxUrls, followSubdomains, stripParams }, each optional
+function validateCrawlScope(scope, maxUrlsLimit) {
+  if (scope === undefined || scope === null) return [];
+  if (typeof scope !== 'object' || Array.isArray(scope)) return ['scope must be an object'];
+
+  const errors = [];
+  const allowed = ['include', 'exclude', 'maxDepth', 'maxUrls', 'followSubdomains', 'stripParams'];
+
+  for (const [key, value] of Object.entries(scope)) {
+    if (!allowed.includes(key)) {
+      errors.push(`Unknown scope field '${key}' (allowed: ${allowed.join(', ')})`);
+    } else if (key === 'include' || key === 'exclude') {
+      errors.push(...validatePatternList(value, `scope.${key}`));
+    } else if (key === 'maxDepth') {
+      if (!Number.isInteger(value) || value < 0) errors.push('scope.maxDepth must be a non-negative integer');
+    } else if (key === 'maxUrls') {
+      if (!Number.isInteger(value) || value < 1) {
+        errors.push('scope.maxUrls must be a positive integer');
+      } else if (value > maxUrlsLimit) {
+        errors.push(`scope.maxUrls must not exceed ${maxUrlsLimit}`);
+      }
+    } else if (key === 'followSubdomains') {
+      if (typeof value !== 'boolean') errors.push('scope.followSubdomains must be true or false');
+    } else if (key === 'stripParams') {
+      const validList = Array.isArray(value) && value.every(name => typeof name === 'string' && /^[^=&#\s]+$/.test(name));
+      if (typeof value !== 'boolean' && !validList) {
+        errors.push('scope.stripParams must be true (drop every query string) or a list of parameter names (a trailing * matches prefixes)');
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Per-request page filter overrides: { minWordCount, htmlOnly, excludePatterns, includePatterns }, each optional
+function validatePageFilter(pageFilter) {
+  if (pageFilter === undefined || pageFilter === null) return [];
+  if (typeof pageFilter !== 'object' || Array.isArray(pageFilter)) return ['pageFilter must be an object'];
+
+  const errors = [];
+  const allowed = ['minWordCount', 'htmlOnly', 'excludePatterns', 'includePatterns'];
+
+  for (const [key, value] of Object.entries(pageFilter)) {
+    if (!allowed.includes(key)) {
+      errors.push(`Unknown pageFilter field '${key}' (allowed: ${allowed.join(', ')})`);
+    } else if (key === 'minWordCount') {
+      if (!Number.isInteger(value) || value < 0) errors.push('pageFilter.minWordCount must be a non-negative integer');
+    } else if (key === 'htmlOnly') {
+      if (typeof value !== 'boolean') errors.push('pageFilter.htmlOnly must be true or false');
+    } else {
+      errors.push(...validatePatternList(value, `pageFilter.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+// List-mode input: a non-empty list of http(s) URLs within the configured size, plus a project name for the slug
+function validateUrlList(urls, projectName, maxUrls) {
+  const errors = [];
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    errors.push('urls must be a non-empty list of URLs');
+  } else {
+    if (urls.length > maxUrls) {
+      errors.push(`urls contains ${urls.length} entries (maximum ${maxUrls})`);
+    }
+
+    const invalid = urls.filter(url => !validateUrl(url) || !/^https?:$/.test(new URL(url).protocol));
+    if (invalid.length > 0) {
+      errors.push(`Invalid URLs in list: ${invalid.slice(0, 5).join(', ')}${invalid.length > 5 ? ` (and ${invalid.length - 5} more)` : ''}`);
+    }
+  }
+
+  if (typeof projectName !== 'string' || !generateSlug(projectName)) {
+    errors.push('projectName is required for list-mode audits and must contain letters or digits');
+  }
+
+  return errors;
+}
+
+module.exports = { validateUrl, generateSlug, validateBudget, validateCrawlScope, validatePageFilter, validateUrlList };
\ No newline at end of file